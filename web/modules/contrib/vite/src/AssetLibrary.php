@@ -204,17 +204,7 @@ public function getDevDependencies(): array {
   public function shouldUseDevServer(): bool {
     $useDevServer = $this->resolveViteSetting('useDevServer');
     if ($useDevServer === NULL || $useDevServer === 'auto') {
-      try {
-        $acceptableStatuses = [
-          'vite_4' => 404,
-          'vite_5' => 200,
-        ];
-        $statusCode = $this->httpClient->request('GET', $this->getDevServerBaseUrl(), ['http_errors' => FALSE])->getStatusCode();
-        return in_array($statusCode, $acceptableStatuses, TRUE);
-      }
-      catch (\Exception $e) {
-        return FALSE;
-      }
+      return static::isDevServerRunning($this->httpClient, $this->getDevServerBaseUrl());
     }
     if (is_bool($useDevServer)) {
       return $useDevServer;
@@ -222,6 +212,23 @@ public function shouldUseDevServer(): bool {
     return FALSE;
   }
 
+  /**
+   * Checks if vite dev server is responding under the given url.
+   */
+  public static function isDevServerRunning(ClientInterface $httpClient, string $devServerUrl, array $options = []): bool {
+    try {
+      $acceptableStatuses = [
+        'vite_4' => 404,
+        'vite_5' => 200,
+      ];
+      $statusCode = $httpClient->request('GET', $devServerUrl, ['http_errors' => FALSE] + $options)->getStatusCode();
+      return in_array($statusCode, $acceptableStatuses, TRUE);
+    }
+    catch (\Exception $e) {
+      return FALSE;
+    }
+  }
+
   /**
    * Returns base url of vite dev server for the library.
    */
@@ -0,0 +1,98 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\vite\EventSubscriber;
+
+use Drupal\Component\Utility\UrlHelper;
+use Drupal\Core\Cache\CacheTagsInvalidatorInterface;
+use Drupal\Core\Site\Settings;
+use Drupal\Core\State\StateInterface;
+use Drupal\Core\Theme\ComponentPluginManager;
+use Drupal\vite\AssetLibrary;
+use GuzzleHttp\ClientInterface;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+use Symfony\Component\HttpKernel\Event\RequestEvent;
+use Symfony\Component\HttpKernel\KernelEvents;
+
+/**
+ * Detects vite dev server starting or stopping on every request.
+ *
+ * Library definitions are cached, so without this subscriber switching
+ * between dev server and dist assets requires a cache clear. Enabled with the
+ * `detectDevServerPerRequest` vite setting.
+ */
+class DevServerSubscriber implements EventSubscriberInterface {
+
+  /**
+   * State key storing the dev server status seen on the previous request.
+   */
+  const STATE_KEY = 'vite.dev_server_running';
+
+  /**
+   * Request header sent by dev clients after a component definition changed.
+   */
+  const COMPONENT_UPDATE_HEADER = 'X-Vite-Component-Update';
+
+  /**
+   * Timeout of the dev server check, in seconds.
+   */
+  const TIMEOUT = 0.5;
+
+  /**
+   * Constructs the DevServerSubscriber object.
+   */
+  public function __construct(
+    protected ClientInterface $httpClient,
+    protected StateInterface $state,
+    protected CacheTagsInvalidatorInterface $cacheTagsInvalidator,
+    protected ComponentPluginManager $componentPluginManager,
+  ) {
+  }
+
+  /**
+   * Invalidates library definitions when dev server status changed.
+   */
+  public function onRequest(RequestEvent $event): void {
+    if (!$event->isMainRequest()) {
+      return;
+    }
+
+    $settings = Settings::get('vite', []);
+    if (!is_array($settings) || ($settings['detectDevServerPerRequest'] ?? FALSE) !== TRUE) {
+      return;
+    }
+
+    $devServerUrl = $settings['devServerUrl'] ?? NULL;
+    if (!is_string($devServerUrl) || !UrlHelper::isValid($devServerUrl)) {
+      $devServerUrl = AssetLibrary::DEFAULT_VITE_DEV_SERVER_URL;
+    }
+
+    $isRunning = AssetLibrary::isDevServerRunning($this->httpClient, $devServerUrl, [
+      'timeout' => self::TIMEOUT,
+      'connect_timeout' => self::TIMEOUT,
+    ]);
+    if ($isRunning !== $this->state->get(self::STATE_KEY)) {
+      $this->state->set(self::STATE_KEY, $isRunning);
+      $this->cacheTagsInvalidator->invalidateTags(['library_info']);
+    }
+
+    // Component definitions (*.component.yml) are cached as well. Dev clients
+    // re-fetching markup after a definition change ask for them to be
+    // rebuilt, which is only honored while the dev server is running.
+    if ($isRunning && $event->getRequest()->headers->has(self::COMPONENT_UPDATE_HEADER)) {
+      $this->componentPluginManager->clearCachedDefinitions();
+      $this->cacheTagsInvalidator->invalidateTags(['library_info']);
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function getSubscribedEvents(): array {
+    // Run before anything reads library definitions.
+    $events[KernelEvents::REQUEST][] = ['onRequest', 256];
+    return $events;
+  }
+
+}
@@ -62,6 +62,24 @@ public function getImports(string $chunk): array {
     return $this->getChunkPropertyPaths('imports', $chunk);
   }
 
+  /**
+   * Returns manifest keys of chunks statically imported by given chunk.
+   */
+  public function getImportedChunks(string $chunk): array {
+    if (
+      !$this->chunkExists($chunk)
+      || !isset($this->manifest[$chunk]['imports'])
+      || !is_array($this->manifest[$chunk]['imports'])
+    ) {
+      return [];
+    }
+
+    return array_values(array_filter(
+      $this->manifest[$chunk]['imports'],
+      fn($import) => is_string($import) && $this->chunkExists($import),
+    ));
+  }
+
   /**
    * Returns styles paths of given chunk.
    */
@@ -0,0 +1,55 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\vite\Render;
+
+use Drupal\Core\Asset\LibraryDependencyResolverInterface;
+use Drupal\Core\Asset\LibraryDiscoveryInterface;
+use Drupal\Core\Render\AttachmentsInterface;
+use Drupal\Core\Render\AttachmentsResponseProcessorInterface;
+
+/**
+ * Adds modulepreload links for the chunks imported by attached libraries.
+ *
+ * Chunk libraries declared by vite list their script under the
+ * `modulepreload` key instead of attaching it, the script is loaded by the
+ * `import` statements of the entries.
+ *
+ * @see \Drupal\vite\Vite::addImportedChunksDependencies()
+ */
+class HtmlResponseAttachmentsProcessor implements AttachmentsResponseProcessorInterface {
+
+  public function __construct(
+    protected AttachmentsResponseProcessorInterface $original,
+    protected LibraryDependencyResolverInterface $libraryDependencyResolver,
+    protected LibraryDiscoveryInterface $libraryDiscovery,
+  ) {
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function processAttachments(AttachmentsInterface $response): AttachmentsInterface {
+    $attachments = $response->getAttachments();
+    $libraries = $this->libraryDependencyResolver->getLibrariesWithDependencies($attachments['library'] ?? []);
+
+    foreach ($libraries as $library) {
+      [$extension, $name] = explode('/', $library, 2);
+      $definition = $this->libraryDiscovery->getLibraryByName($extension, $name);
+      foreach ($definition['modulepreload'] ?? [] as $url) {
+        $attachments['html_head_link'][] = [
+          [
+            'rel' => 'modulepreload',
+            'href' => $url,
+          ],
+          FALSE,
+        ];
+      }
+    }
+    $response->setAttachments($attachments);
+
+    return $this->original->processAttachments($response);
+  }
+
+}
@@ -7,6 +7,7 @@
 use Drupal\Core\Asset\LibraryDiscoveryInterface;
 use Drupal\Core\Extension\ModuleExtensionList;
 use Drupal\Core\Extension\ThemeExtensionList;
+use Drupal\Core\File\FileUrlGeneratorInterface;
 use Drupal\Core\Logger\LoggerChannelFactoryInterface;
 use Drupal\Core\Messenger\MessengerInterface;
 use Drupal\Core\StringTranslation\TranslationInterface;
@@ -37,6 +38,7 @@ public function __construct(
     protected ClientInterface $httpClient,
     protected TranslationInterface $stringTranslation,
     protected string $appRoot,
+    protected FileUrlGeneratorInterface $fileUrlGenerator,
   ) {
     $this->logger = $logger_factory->get('vite');
   }
@@ -54,9 +56,93 @@ public function processLibraries(array &$libraries, string $extension): void {
       if ($assetLibrary->shouldUseDevServer()) {
         $this->rewriteDevDependencies($libraries, $assetLibrary);
       }
+      else {
+        $this->addImportedChunksDependencies($libraries, $libraryId, $assetLibrary, $extension);
+      }
     }
   }
 
+  /**
+   * Adds chunks imported by library entries as library dependencies.
+   *
+   * Each chunk shared between entries (e.g. a vendor chunk) gets its own
+   * library, so its styles are attached once per page however many libraries
+   * import it. Chunk scripts are not attached: the entries' `import`
+   * statements load them, and the URLs listed under the `modulepreload` key of
+   * the chunk library are added to the page as `<link rel="modulepreload">`
+   * so the browser fetches them together with the entries, instead of
+   * discovering them only after an entry was parsed.
+   *
+   * @param array $libraries
+   *   The array of libraries to modify.
+   * @param string $libraryId
+   *   The library to add dependencies to.
+   * @param AssetLibrary $assetLibrary
+   *   The asset library, with its original definition.
+   * @param string $extension
+   *   The extension the libraries are declared in.
+   *
+   * @see \Drupal\vite\Render\HtmlResponseAttachmentsProcessor
+   */
+  private function addImportedChunksDependencies(array &$libraries, string $libraryId, AssetLibrary $assetLibrary, string $extension): void {
+    $manifest = $assetLibrary->getViteManifest();
+    $library = $assetLibrary->getDefinition();
+    if ($manifest === NULL || !isset($library['js'])) {
+      return;
+    }
+
+    foreach ($library['js'] as $originalPath => $options) {
+      if (!$this->shouldAssetBeManagedByVite($originalPath, $options)) {
+        continue;
+      }
+      $resolvedPath = $this->resolveSourceAssetPath($originalPath, $assetLibrary);
+      foreach ($manifest->getImportedChunks($resolvedPath) as $chunk) {
+        $dependency = $extension . '/' . $this->addChunkLibrary($libraries, $chunk, $manifest, $assetLibrary);
+        if (!in_array($dependency, $libraries[$libraryId]['dependencies'] ?? [], TRUE)) {
+          $libraries[$libraryId]['dependencies'][] = $dependency;
+        }
+      }
+    }
+  }
+
+  /**
+   * Declares library for a chunk and the chunks it imports.
+   *
+   * @return string
+   *   The chunk library id, without the extension prefix.
+   */
+  private function addChunkLibrary(array &$libraries, string $chunk, Manifest $manifest, AssetLibrary $assetLibrary): string {
+    $chunkName = preg_replace('/[^a-zA-Z0-9_-]+/', '-', preg_replace('/\.js$/', '', ltrim($chunk, '_')));
+    // SDC libraries of all extensions are declared in core.
+    $chunkLibraryId = 'vite-chunk.' . ($assetLibrary->isSdc() ? $assetLibrary->getExtension() . '.' : '') . $chunkName;
+    if (isset($libraries[$chunkLibraryId])) {
+      return $chunkLibraryId;
+    }
+
+    $chunkLibrary = [
+      'modulepreload' => [
+        $this->resolveDistAssetUrl((string) $manifest->getChunk($chunk), $assetLibrary),
+      ],
+      'dependencies' => [],
+    ];
+    foreach ($manifest->getStyles($chunk) as $stylePath) {
+      $chunkLibrary['css']['component'][$this->resolveDistAssetUrl($stylePath, $assetLibrary)] = ['type' => 'external'];
+    }
+    // Register before recursing to guard against circular imports.
+    $libraries[$chunkLibraryId] = $chunkLibrary;
+
+    foreach ($manifest->getImportedChunks($chunk) as $importedChunk) {
+      $libraries[$chunkLibraryId]['dependencies'][] = $this->addChunkLibrary($libraries, $importedChunk, $manifest, $assetLibrary);
+    }
+    $extension = $assetLibrary->isSdc() ? 'core' : $assetLibrary->getExtension();
+    $libraries[$chunkLibraryId]['dependencies'] = array_map(
+      fn($dependency) => $extension . '/' . $dependency,
+      $libraries[$chunkLibraryId]['dependencies'],
+    );
+
+    return $chunkLibraryId;
+  }
+
   /**
    * Rewrite the dev dependencies for the given asset library entry.
    *
@@ -309,6 +395,20 @@ private function resolveDistAssetPath(string $path, AssetLibrary $assetLibrary):
     return rtrim($resolvedDistAssetPath, '/');
   }
 
+  /**
+   * Resolve dist asset url, for assets attached as external.
+   */
+  private function resolveDistAssetUrl(string $path, AssetLibrary $assetLibrary): string {
+    $baseUrl = $assetLibrary->getBaseUrl();
+    if (is_string($baseUrl)) {
+      return $baseUrl . '/' . ltrim($path, '/');
+    }
+
+    $distAssetPath = $assetLibrary->getDistDir() . '/' . $path;
+    $appRelativePath = ltrim((new Filesystem())->makePathRelative(dirname($distAssetPath), $this->appRoot), '/') . basename($distAssetPath);
+    return $this->fileUrlGenerator->generateString($appRelativePath);
+  }
+
   /**
    * Resolve relative parts of path to make it absolute.
    */
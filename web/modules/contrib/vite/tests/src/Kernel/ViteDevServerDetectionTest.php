@@ -0,0 +1,83 @@
+<?php
+
+namespace Drupal\Tests\vite\Kernel;
+
+use Drupal\Tests\vite\ViteKernelTestBase;
+use Drupal\vite\EventSubscriber\DevServerSubscriber;
+use GuzzleHttp\Client;
+use GuzzleHttp\Handler\MockHandler;
+use GuzzleHttp\HandlerStack;
+use GuzzleHttp\Psr7\Response;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpKernel\Event\RequestEvent;
+use Symfony\Component\HttpKernel\HttpKernelInterface;
+
+/**
+ * Tests detecting vite dev server on every request.
+ *
+ * @group vite
+ */
+class ViteDevServerDetectionTest extends ViteKernelTestBase {
+
+  protected const TEST_EXTENSION = 'test_module_vite5';
+
+  /**
+   * {@inheritdoc}
+   */
+  protected static $modules = [
+    self::TEST_EXTENSION,
+  ];
+
+  /**
+   * Mocked dev server responses.
+   */
+  protected MockHandler $devServer;
+
+  protected function setUp(): void {
+    parent::setUp();
+    $this->setSetting('vite', [
+      'detectDevServerPerRequest' => TRUE,
+    ]);
+    $this->devServer = new MockHandler();
+    $this->container->set('http_client', new Client(['handler' => HandlerStack::create($this->devServer)]));
+  }
+
+  public function testLibraryDefinitionsInvalidatedWhenDevServerStarts(): void {
+    $this->devServer->append(new Response(404), new Response(404), new Response(200));
+
+    $checksum = $this->handleRequest();
+    static::assertFalse(\Drupal::state()->get(DevServerSubscriber::STATE_KEY));
+
+    static::assertSame($checksum, $this->handleRequest(), 'Library definitions are kept while dev server status is unchanged.');
+
+    static::assertNotSame($checksum, $this->handleRequest(), 'Library definitions are invalidated once dev server starts.');
+    static::assertTrue(\Drupal::state()->get(DevServerSubscriber::STATE_KEY));
+  }
+
+  public function testComponentDefinitionsRebuiltOnComponentUpdate(): void {
+    $this->devServer->append(new Response(200), new Response(200));
+
+    $checksum = $this->handleRequest();
+    static::assertNotSame($checksum, $this->handleRequest([DevServerSubscriber::COMPONENT_UPDATE_HEADER => 'button']));
+  }
+
+  public function testDetectionDisabledByDefault(): void {
+    $this->setSetting('vite', []);
+
+    $this->handleRequest();
+    static::assertNull(\Drupal::state()->get(DevServerSubscriber::STATE_KEY));
+    static::assertNull($this->devServer->getLastRequest());
+  }
+
+  /**
+   * Dispatches a main request and returns the library_info tag checksum.
+   */
+  protected function handleRequest(array $headers = []): int {
+    $request = Request::create('/');
+    $request->headers->add($headers);
+    $event = new RequestEvent($this->container->get('http_kernel'), $request, HttpKernelInterface::MAIN_REQUEST);
+    $this->container->get('vite.dev_server_subscriber')->onRequest($event);
+    return (int) $this->container->get('cache_tags.invalidator.checksum')->getCurrentChecksum(['library_info']);
+  }
+
+}
@@ -2,7 +2,10 @@
 
 namespace Drupal\Tests\vite\Kernel;
 
+use Drupal\Core\Render\AttachmentsResponseProcessorInterface;
+use Drupal\Core\Render\HtmlResponse;
 use Drupal\Tests\vite\ViteKernelTestBase;
+use Drupal\vite\Render\HtmlResponseAttachmentsProcessor;
 
 /**
  * Tests for Vite module.
@@ -34,6 +37,36 @@ public function testModuleJsAssetPathInDistMode(): void {
     );
   }
 
+  public function testModuleJsImportedChunkAddedAsDependencyInDistMode(): void {
+    $library = $this->getLibraryDefinition('test_library_import');
+    static::assertContains(static::TEST_EXTENSION . '/vite-chunk.import-BQlpN1He', $library['dependencies']);
+
+    $chunkLibrary = $this->getLibraryDefinition('vite-chunk.import-BQlpN1He');
+    static::assertIsArray($chunkLibrary);
+    static::assertArrayNotHasKey('js', $chunkLibrary);
+    static::assertCount(1, $chunkLibrary['modulepreload']);
+    static::assertStringEndsWith($this->moduleBasePath . '/dist/assets/import-BQlpN1He.js', $chunkLibrary['modulepreload'][0]);
+  }
+
+  public function testModuleJsImportedChunkPreloadedInDistMode(): void {
+    $original = $this->createMock(AttachmentsResponseProcessorInterface::class);
+    $original->method('processAttachments')->willReturnArgument(0);
+    $processor = new HtmlResponseAttachmentsProcessor(
+      $original,
+      \Drupal::service('library.dependency_resolver'),
+      $this->libraryDiscovery,
+    );
+
+    $response = new HtmlResponse();
+    $response->setAttachments(['library' => [static::TEST_EXTENSION . '/test_library_import']]);
+    $attachments = $processor->processAttachments($response)->getAttachments();
+
+    static::assertCount(1, $attachments['html_head_link']);
+    [$attributes] = $attachments['html_head_link'][0];
+    static::assertEquals('modulepreload', $attributes['rel']);
+    static::assertStringEndsWith($this->moduleBasePath . '/dist/assets/import-BQlpN1He.js', $attributes['href']);
+  }
+
   public function testComponentCssAssetPathInDistMode(): void {
     $this->assertLibraryCssAssetPath(
       '/dist/assets/button-D8pfZ1QP.css',
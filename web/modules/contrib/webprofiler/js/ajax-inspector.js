@@ -0,0 +1,416 @@
+/**
+ * @file
+ * Drupal AJAX and htmx request inspector.
+ *
+ * Records the details of the requests made by Drupal.ajax and htmx, the AJAX
+ * toolbar item shows them under the request made by the same XMLHttpRequest.
+ */
+((Drupal, drupalSettings) => {
+  const requests = new WeakMap();
+  const rows = new WeakMap();
+  const ajaxRequests = new WeakMap();
+
+  // Keeps the toolbar readable with large insert and settings commands.
+  const maxPayloadLength = 2000;
+
+  function describe(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return 'n/a';
+    }
+
+    let description = element.tagName.toLowerCase();
+    if (element.id) {
+      description += `#${element.id}`;
+    }
+    if (element.getAttribute('name')) {
+      description += `[name="${element.getAttribute('name')}"]`;
+    }
+
+    return description;
+  }
+
+  /**
+   * Decodes the libraries of the ajax_page_state.
+   *
+   * @param {string} libraries
+   *   The libraries, compressed by UrlHelper::compressQueryParameter().
+   *
+   * @return {Promise<Array>}
+   *   The library names.
+   */
+  function decodeLibraries(libraries) {
+    if (!libraries) {
+      return Promise.resolve([]);
+    }
+    if (libraries.includes('/') || !window.DecompressionStream) {
+      return Promise.resolve(libraries.split(','));
+    }
+
+    const base64 = libraries.replace(/-/g, '+').replace(/_/g, '/');
+    try {
+      const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+      const stream = new Blob([bytes])
+        .stream()
+        .pipeThrough(new DecompressionStream('deflate'));
+
+      return new Response(stream).text().then(
+        (text) => text.split(','),
+        () => [libraries],
+      );
+    } catch (e) {
+      return Promise.resolve([libraries]);
+    }
+  }
+
+  function createRequest(xhr, details) {
+    // The libraries are shown once decoded.
+    const request = {
+      ...details,
+      libraries: [],
+    };
+    requests.set(xhr, request);
+
+    decodeLibraries(details.libraries).then((libraries) => {
+      request.libraries = libraries;
+      update(xhr);
+    });
+
+    return request;
+  }
+
+  function addItem(list, label, value) {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    if (value instanceof Node) {
+      description.appendChild(value);
+    } else {
+      description.textContent = value;
+    }
+    list.append(term, description);
+  }
+
+  function createCollapsible(summary, content) {
+    const details = document.createElement('details');
+    const summaryElement = document.createElement('summary');
+    summaryElement.textContent = summary;
+    const pre = document.createElement('pre');
+    pre.textContent = content;
+    details.append(summaryElement, pre);
+
+    return details;
+  }
+
+  function formatPayload(payload) {
+    const json = JSON.stringify(payload, null, 2) || '';
+
+    return json.length > maxPayloadLength
+      ? `${json.substring(0, maxPayloadLength)}\n…`
+      : json;
+  }
+
+  function renderCommands(commands) {
+    const list = document.createElement('ol');
+    list.className = 'sf-ajax-request-commands';
+
+    commands.forEach((command) => {
+      const item = document.createElement('li');
+      let status = Drupal.t('not executed');
+      if (command.order !== null) {
+        status =
+          command.duration !== null
+            ? Drupal.t('executed @order, @duration ms', {
+                '@order': command.order,
+                '@duration': command.duration.toFixed(1),
+              })
+            : Drupal.t('executed @order, pending or failed', {
+                '@order': command.order,
+              });
+      }
+
+      item.appendChild(
+        createCollapsible(
+          `${command.name} (${status})`,
+          formatPayload(command.payload),
+        ),
+      );
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  function render(request) {
+    const list = document.createElement('dl');
+
+    if (request.type === 'htmx') {
+      addItem(list, 'HX-Trigger-Name', request.triggerName || 'n/a');
+      addItem(list, 'HX-Trigger', request.trigger || 'n/a');
+      addItem(list, 'HX-Target', request.target || 'n/a');
+      addItem(list, Drupal.t('Triggering element'), request.element);
+      addItem(
+        list,
+        Drupal.t('Swapped target'),
+        request.swapTarget || Drupal.t('not swapped'),
+      );
+    } else {
+      addItem(list, Drupal.t('Triggering element'), request.element);
+      addItem(list, Drupal.t('Event'), request.event || 'n/a');
+    }
+
+    addItem(
+      list,
+      'ajax_page_state[libraries]',
+      createCollapsible(
+        Drupal.t('@count libraries', { '@count': request.libraries.length }),
+        request.libraries.join('\n'),
+      ),
+    );
+
+    if (request.type === 'htmx') {
+      addItem(
+        list,
+        Drupal.t('Assets loaded'),
+        request.assets
+          ? createCollapsible(
+              Drupal.t('@count assets', { '@count': request.assets.length }),
+              request.assets.join('\n'),
+            )
+          : 'n/a',
+      );
+    } else {
+      addItem(
+        list,
+        Drupal.t('Commands'),
+        request.commands ? renderCommands(request.commands) : 'n/a',
+      );
+    }
+
+    return list;
+  }
+
+  function toggle(xhr) {
+    const { row, button } = rows.get(xhr);
+    const expanded = button.getAttribute('aria-expanded') === 'true';
+    const next = row.nextElementSibling;
+
+    if (next && next.classList.contains('sf-ajax-request-details')) {
+      next.remove();
+    }
+    button.setAttribute('aria-expanded', expanded ? 'false' : 'true');
+
+    if (!expanded) {
+      const detailsRow = document.createElement('tr');
+      detailsRow.className = 'sf-ajax-request-details';
+      const cell = document.createElement('td');
+      cell.colSpan = row.children.length;
+      cell.appendChild(render(requests.get(xhr)));
+      detailsRow.appendChild(cell);
+      row.after(detailsRow);
+    }
+  }
+
+  function update(xhr) {
+    const request = requests.get(xhr);
+    const bound = rows.get(xhr);
+    if (!request || !bound) {
+      return;
+    }
+
+    if (!bound.button) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'sf-ajax-request-toggle';
+      button.setAttribute('aria-expanded', 'false');
+      button.addEventListener('click', () => toggle(xhr));
+      bound.button = button;
+      bound.typeCell.textContent = '';
+      bound.typeCell.appendChild(button);
+    }
+    bound.button.textContent = request.type;
+
+    // Re-render the open details with the latest data.
+    if (bound.button.getAttribute('aria-expanded') === 'true') {
+      bound.button.setAttribute('aria-expanded', 'false');
+      toggle(xhr);
+    }
+  }
+
+  /**
+   * Records the Drupal.ajax requests and the commands they return.
+   */
+  function inspectDrupalAjax() {
+    const { beforeSend, commandExecutionQueue } = Drupal.Ajax.prototype;
+
+    Drupal.Ajax.prototype.beforeSend = function (xmlhttprequest, options) {
+      const ajax = this;
+      const details = {
+        type: 'Drupal.ajax',
+        element: describe(ajax.element),
+        event: ajax.event,
+        libraries: drupalSettings.ajaxPageState
+          ? drupalSettings.ajaxPageState.libraries
+          : '',
+        commands: null,
+      };
+
+      // jQuery creates the XMLHttpRequest after beforeSend, the AJAX toolbar
+      // item lists the requests by their XMLHttpRequest.
+      const createXhr = options.xhr;
+      if (typeof createXhr === 'function') {
+        options.xhr = function (...args) {
+          const xhr = createXhr.apply(this, args);
+          ajaxRequests.set(ajax, xhr);
+          createRequest(xhr, details);
+          return xhr;
+        };
+      }
+
+      return beforeSend.call(this, xmlhttprequest, options);
+    };
+
+    Drupal.Ajax.prototype.commandExecutionQueue = function (response, status) {
+      const xhr = ajaxRequests.get(this);
+      const request = xhr && requests.get(xhr);
+      if (!request) {
+        return commandExecutionQueue.call(this, response, status);
+      }
+
+      const records = new Map();
+      Object.keys(response || {}).forEach((key) => {
+        const { command, ...payload } = response[key];
+        records.set(response[key], {
+          name: command,
+          payload,
+          order: null,
+          duration: null,
+        });
+      });
+      request.commands = [...records.values()];
+      update(xhr);
+
+      // Times each command, in the order of execution.
+      const { commands } = this;
+      const timedCommands = Object.create(commands);
+      let order = 0;
+      new Set(request.commands.map((record) => record.name)).forEach((name) => {
+        if (typeof commands[name] !== 'function') {
+          return;
+        }
+
+        timedCommands[name] = (ajax, command, commandStatus) => {
+          const record = records.get(command);
+          order += 1;
+          record.order = order;
+          const start = performance.now();
+          const result = commands[name](ajax, command, commandStatus);
+          Promise.resolve(result).then(
+            () => {
+              record.duration = performance.now() - start;
+              update(xhr);
+            },
+            () => update(xhr),
+          );
+          return result;
+        };
+      });
+
+      this.commands = timedCommands;
+      try {
+        return commandExecutionQueue.call(this, response, status);
+      } finally {
+        this.commands = commands;
+      }
+    };
+  }
+
+  /**
+   * Records the htmx requests, the swapped target and the loaded assets.
+   */
+  function inspectHtmx() {
+    // Listen in the capture phase, before htmx-assets.js removes the assets
+    // from the response.
+    document.addEventListener(
+      'htmx:beforeRequest',
+      ({ detail }) => {
+        if (!detail.xhr) {
+          return;
+        }
+
+        const headers = (detail.requestConfig || {}).headers || {};
+        const path = (detail.requestConfig || {}).path || '';
+        createRequest(detail.xhr, {
+          type: 'htmx',
+          element: describe(detail.elt),
+          triggerName: headers['HX-Trigger-Name'],
+          trigger: headers['HX-Trigger'],
+          target: headers['HX-Target'],
+          libraries:
+            drupalSettings.ajaxPageState && Drupal.url.isLocal(path)
+              ? drupalSettings.ajaxPageState.libraries
+              : '',
+          swapTarget: null,
+          assets: null,
+        });
+        update(detail.xhr);
+      },
+      true,
+    );
+
+    document.addEventListener(
+      'htmx:beforeSwap',
+      ({ detail }) => {
+        const request = detail.xhr && requests.get(detail.xhr);
+        if (!request) {
+          return;
+        }
+
+        request.swapTarget = describe(detail.target);
+        const response = new DOMParser().parseFromString(
+          detail.serverResponse || '',
+          'text/html',
+        );
+        request.assets = Array.from(
+          response.querySelectorAll('link[rel="stylesheet"][href], script[src]'),
+        ).map((element) => element.getAttribute('href') || element.src);
+        update(detail.xhr);
+      },
+      true,
+    );
+  }
+
+  Drupal.webprofiler = Drupal.webprofiler || {};
+
+  Drupal.webprofiler.ajax = {
+    /**
+     * Binds a row of the AJAX toolbar item to its request.
+     *
+     * @param {XMLHttpRequest} xhr
+     *   The XMLHttpRequest of the request.
+     * @param {HTMLElement} row
+     *   The row of the request.
+     * @param {HTMLElement} typeCell
+     *   The cell showing the type of the request.
+     */
+    attach(xhr, row, typeCell) {
+      rows.set(xhr, { row, typeCell, button: null });
+      update(xhr);
+    },
+  };
+
+  inspectHtmx();
+
+  /**
+   * Inspects Drupal.ajax once core/drupal.ajax has been loaded.
+   *
+   * @type {Drupal~behavior}
+   */
+  Drupal.behaviors.webprofiler_ajax_inspector = {
+    attach() {
+      if (Drupal.Ajax && !Drupal.Ajax.prototype.webprofilerInspected) {
+        Drupal.Ajax.prototype.webprofilerInspected = true;
+        inspectDrupalAjax();
+      }
+    },
+  };
+})(Drupal, drupalSettings);
@@ -0,0 +1,118 @@
+/**
+ * @file
+ * Core Web Vitals collector.
+ *
+ * Collects the metrics from the start of the page load and reports them to
+ * the frontend toolbar item once the toolbar has been loaded.
+ */
+((Drupal, webVitals) => {
+  const order = ['TTFB', 'FCP', 'LCP', 'INP', 'CLS'];
+  const metrics = new Map();
+  const callbacks = [];
+  let url = null;
+  let changed = false;
+
+  /**
+   * Keeps the scalar values of the attribution.
+   *
+   * The attribution also holds performance entries and DOM nodes, which are
+   * either too large to store in the profile or can't be serialized.
+   *
+   * @param {object} attribution
+   *   The attribution of a metric.
+   *
+   * @return {object}
+   *   The serializable attribution.
+   */
+  function serializeAttribution(attribution) {
+    const values = {};
+
+    Object.entries(attribution || {}).forEach(([key, value]) => {
+      if (['string', 'number', 'boolean'].includes(typeof value)) {
+        values[key] = value;
+      }
+    });
+
+    return values;
+  }
+
+  function send() {
+    if (!url || !changed) {
+      return;
+    }
+
+    const body = order
+      .filter((name) => metrics.has(name))
+      .map((name) => metrics.get(name));
+
+    navigator.sendBeacon(url, JSON.stringify(body));
+    changed = false;
+  }
+
+  function addMetric(metric) {
+    metrics.set(metric.name, {
+      name: metric.name,
+      value: metric.value,
+      rating: metric.rating,
+      delta: metric.delta,
+      id: metric.id,
+      navigationType: metric.navigationType,
+      attribution: serializeAttribution(metric.attribution),
+    });
+    changed = true;
+
+    callbacks.forEach((callback) => callback(metric));
+  }
+
+  Drupal.webprofiler = Drupal.webprofiler || {};
+
+  Drupal.webprofiler.cwv = {
+    /**
+     * Starts reporting the metrics.
+     *
+     * @param {string} cwvUrl
+     *   The URL of the webprofiler.frontend.cwv route of the profile.
+     * @param {function} callback
+     *   Called with each metric, including the ones collected so far.
+     */
+    start(cwvUrl, callback) {
+      url = cwvUrl;
+
+      if (callback) {
+        callbacks.push(callback);
+        metrics.forEach((metric) => callback(metric));
+      }
+    },
+
+    /**
+     * Formats the value of a metric.
+     *
+     * @param {object} metric
+     *   The metric.
+     *
+     * @return {string}
+     *   The formatted value.
+     */
+    format(metric) {
+      return metric.name === 'CLS'
+        ? metric.value.toFixed(4)
+        : `${metric.value.toFixed(2)} ms`;
+    },
+  };
+
+  // LCP, INP and CLS change while the page is used, the toolbar shows the
+  // current values while the profile is only updated when the page is hidden.
+  webVitals.onTTFB(addMetric);
+  webVitals.onFCP(addMetric);
+  webVitals.onLCP(addMetric, { reportAllChanges: true });
+  webVitals.onINP(addMetric, { reportAllChanges: true });
+  webVitals.onCLS(addMetric, { reportAllChanges: true });
+
+  // Safari doesn't reliably fire visibilitychange when the page is unloaded.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      send();
+    }
+  });
+  window.addEventListener('pagehide', send);
+})(Drupal, webVitals);
@@ -0,0 +1,195 @@
+/**
+ * @file
+ * Resource, long task and behavior timeline collector.
+ *
+ * Collects the timings from the start of the page load and reports them to
+ * the frontend collector once the toolbar has been loaded.
+ */
+((Drupal) => {
+  // Keeps the size of the payload and of the profile in check.
+  const limits = {
+    resources: 250,
+    longTasks: 100,
+    animationFrames: 100,
+    scripts: 5,
+    behaviors: 500,
+  };
+  const timeline = {
+    resources: [],
+    longTasks: [],
+    animationFrames: [],
+    behaviors: [],
+  };
+  const timed = new WeakSet();
+  let url = null;
+  let changed = false;
+
+  function add(list, item) {
+    if (timeline[list].length < limits[list]) {
+      timeline[list].push(item);
+      changed = true;
+    }
+  }
+
+  function observe(type, callback) {
+    if (
+      !window.PerformanceObserver ||
+      !(PerformanceObserver.supportedEntryTypes || []).includes(type)
+    ) {
+      return;
+    }
+
+    new PerformanceObserver((list) => {
+      list.getEntries().forEach(callback);
+    }).observe({ type, buffered: true });
+  }
+
+  function describe(context) {
+    if (!context || context === document) {
+      return 'document';
+    }
+    if (context.nodeType !== Node.ELEMENT_NODE) {
+      return context.nodeName;
+    }
+
+    return (
+      context.tagName.toLowerCase() +
+      (context.id ? `#${context.id}` : '') +
+      (typeof context.className === 'string' && context.className.trim()
+        ? `.${context.className.trim().split(/\s+/).join('.')}`
+        : '')
+    );
+  }
+
+  function send() {
+    if (!url || !changed) {
+      return;
+    }
+
+    const body = JSON.stringify(timeline);
+
+    // Large timelines go over the size limit of beacons, they are still sent
+    // when the page stays open, e.g. when switching to the profiler tab.
+    if (!navigator.sendBeacon(url, body)) {
+      fetch(url, { method: 'POST', body });
+    }
+    changed = false;
+  }
+
+  // Resources added by the libraries.
+  observe('resource', (entry) => {
+    const { pathname } = new URL(entry.name, window.location.href);
+    const type = pathname.split('.').pop();
+
+    if (type === 'js' || type === 'css') {
+      add('resources', {
+        name: entry.name,
+        type,
+        start: entry.startTime,
+        duration: entry.duration,
+        transferSize: entry.transferSize,
+        decodedBodySize: entry.decodedBodySize,
+        renderBlockingStatus: entry.renderBlockingStatus,
+      });
+    }
+  });
+
+  observe('longtask', (entry) => {
+    const attribution = (entry.attribution || [])[0];
+
+    add('longTasks', {
+      start: entry.startTime,
+      duration: entry.duration,
+      attribution: attribution
+        ? attribution.containerSrc || attribution.containerName || entry.name
+        : entry.name,
+    });
+  });
+
+  // Long animation frames attribute the blocking time to the scripts.
+  observe('long-animation-frame', (entry) => {
+    add('animationFrames', {
+      start: entry.startTime,
+      duration: entry.duration,
+      blockingDuration: entry.blockingDuration,
+      scripts: [...entry.scripts]
+        .sort((a, b) => b.duration - a.duration)
+        .slice(0, limits.scripts)
+        .map((script) => ({
+          invoker: script.invoker,
+          sourceURL: script.sourceURL,
+          duration: script.duration,
+        })),
+    });
+  });
+
+  /**
+   * Times the attach function of each behavior.
+   *
+   * Behaviors can be added by any script loaded after this one, so they are
+   * wrapped each time the behaviors are attached.
+   */
+  function timeBehaviors() {
+    Object.keys(Drupal.behaviors).forEach((name) => {
+      const behavior = Drupal.behaviors[name];
+      if (
+        !behavior ||
+        typeof behavior.attach !== 'function' ||
+        timed.has(behavior.attach)
+      ) {
+        return;
+      }
+
+      const { attach } = behavior;
+      function timedAttach(...args) {
+        const start = performance.now();
+        try {
+          return attach.apply(this, args);
+        } finally {
+          const end = performance.now();
+          add('behaviors', {
+            name,
+            context: describe(args[0]),
+            start,
+            duration: end - start,
+          });
+          // Also shown in the performance panel of the browser.
+          if (performance.measure) {
+            performance.measure(`Drupal.behaviors.${name}`, { start, end });
+          }
+        }
+      }
+
+      timed.add(timedAttach);
+      behavior.attach = timedAttach;
+    });
+  }
+
+  const { attachBehaviors } = Drupal;
+  Drupal.attachBehaviors = function (...args) {
+    timeBehaviors();
+    return attachBehaviors.apply(this, args);
+  };
+
+  Drupal.webprofiler = Drupal.webprofiler || {};
+
+  Drupal.webprofiler.timeline = {
+    /**
+     * Starts reporting the timeline.
+     *
+     * @param {string} timelineUrl
+     *   The URL of the webprofiler.frontend.timeline route of the profile.
+     */
+    start(timelineUrl) {
+      url = timelineUrl;
+    },
+  };
+
+  // Safari doesn't reliably fire visibilitychange when the page is unloaded.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      send();
+    }
+  });
+  window.addEventListener('pagehide', send);
+})(Drupal);
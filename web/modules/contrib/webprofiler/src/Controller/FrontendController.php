@@ -5,7 +5,13 @@
 namespace Drupal\webprofiler\Controller;
 
 use Drupal\Component\Serialization\Json;
+use Drupal\Component\Utility\UrlHelper;
+use Drupal\Core\Asset\AssetCollectionGrouperInterface;
+use Drupal\Core\Asset\AssetResolverInterface;
+use Drupal\Core\Asset\AttachedAssets;
 use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Theme\ThemeInitializationInterface;
+use Drupal\Core\Theme\ThemeManagerInterface;
 use Drupal\webprofiler\Profiler\Profiler;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Symfony\Component\HttpFoundation\JsonResponse;
@@ -22,8 +28,25 @@ class FrontendController extends ControllerBase {
    *
    * @param \Drupal\webprofiler\Profiler\Profiler $profiler
    *   The profiler.
+   * @param \Drupal\Core\Asset\AssetResolverInterface $assetResolver
+   *   The asset resolver.
+   * @param \Drupal\Core\Asset\AssetCollectionGrouperInterface $cssCollectionGrouper
+   *   The CSS asset collection grouper.
+   * @param \Drupal\Core\Asset\AssetCollectionGrouperInterface $jsCollectionGrouper
+   *   The JavaScript asset collection grouper.
+   * @param \Drupal\Core\Theme\ThemeInitializationInterface $themeInitialization
+   *   The theme initialization.
+   * @param \Drupal\Core\Theme\ThemeManagerInterface $themeManager
+   *   The theme manager.
    */
-  final public function __construct(private readonly Profiler $profiler) {
+  final public function __construct(
+    private readonly Profiler $profiler,
+    private readonly AssetResolverInterface $assetResolver,
+    private readonly AssetCollectionGrouperInterface $cssCollectionGrouper,
+    private readonly AssetCollectionGrouperInterface $jsCollectionGrouper,
+    private readonly ThemeInitializationInterface $themeInitialization,
+    private readonly ThemeManagerInterface $themeManager,
+  ) {
   }
 
   /**
@@ -32,6 +55,11 @@ final public function __construct(private readonly Profiler $profiler) {
   public static function create(ContainerInterface $container): FrontendController {
     return new static(
       $container->get('webprofiler.profiler'),
+      $container->get('asset.resolver'),
+      $container->get('asset.css.collection_grouper'),
+      $container->get('asset.js.collection_grouper'),
+      $container->get('theme.initialization'),
+      $container->get('theme.manager'),
     );
   }
 
@@ -83,4 +111,151 @@ public function saveCwvDataAction(Profile $profile, Request $request): JsonRespo
     return new JsonResponse(['success' => TRUE]);
   }
 
+
+  /**
+   * Save the resource, long task and behavior timings to frontend collector.
+   *
+   * @param \Symfony\Component\HttpKernel\Profiler\Profile $profile
+   *   The profile.
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The response.
+   */
+  public function saveTimelineDataAction(Profile $profile, Request $request): JsonResponse {
+    $this->profiler->disable();
+
+    $data = Json::decode($request->getContent());
+
+    // Map the assets to their libraries with the data of the same profile.
+    $asset_libraries = [];
+    if ($profile->hasCollector('assets')) {
+      /** @var \Drupal\webprofiler\DataCollector\AssetsDataCollector $assets */
+      $assets = $profile->getCollector('assets');
+      $asset_libraries = $assets->getAssetLibraries();
+    }
+    $data = \is_array($data) ? $data : [];
+    $asset_libraries += $this->mapAggregates($data, $asset_libraries, $request->getBasePath());
+
+    /** @var \Drupal\webprofiler\DataCollector\FrontendDataCollector $collector */
+    $collector = $profile->getCollector('frontend');
+    $collector->setTimelineData($data, $asset_libraries, $request->getBasePath());
+    $this->profiler->updateProfile($profile);
+
+    return new JsonResponse(['success' => TRUE]);
+  }
+
+  /**
+   * Map the aggregated assets of the timeline to the libraries they bundle.
+   *
+   * @param array $data
+   *   The timeline data.
+   * @param array $asset_libraries
+   *   The library names, keyed by asset path.
+   * @param string $base_path
+   *   The base path of the site.
+   *
+   * @return array
+   *   The comma separated library names, keyed by aggregate path.
+   */
+  private function mapAggregates(array $data, array $asset_libraries, string $base_path): array {
+    $urls = \array_column($data['resources'] ?? [], 'name');
+    foreach ($data['animationFrames'] ?? [] as $frame) {
+      $urls = \array_merge($urls, \array_column($frame['scripts'] ?? [], 'sourceURL'));
+    }
+
+    $map = [];
+    $active_theme = $this->themeManager->getActiveTheme();
+    try {
+      foreach (\array_unique(\array_filter($urls, 'is_string')) as $url) {
+        $path = (string) \parse_url($url, \PHP_URL_PATH);
+        if ($base_path !== '' && \str_starts_with($path, $base_path)) {
+          $path = \substr($path, \strlen($base_path));
+        }
+        $path = \ltrim($path, '/');
+        if (isset($map[$path]) || isset($asset_libraries[$path])) {
+          continue;
+        }
+
+        \parse_str((string) \parse_url($url, \PHP_URL_QUERY), $query);
+        $libraries = $this->getAggregateLibraries($path, $query, $asset_libraries);
+        if ($libraries !== []) {
+          $map[$path] = \implode(', ', $libraries);
+        }
+      }
+    }
+    finally {
+      $this->themeManager->setActiveTheme($active_theme);
+    }
+
+    return $map;
+  }
+
+  /**
+   * Return the libraries bundled in an aggregate.
+   *
+   * Rebuilds the asset groups of the page from the query of the aggregate and
+   * picks the group of its delta, the same way
+   * \Drupal\system\Controller\AssetControllerBase builds the aggregate.
+   *
+   * @param string $path
+   *   The path of the aggregate.
+   * @param array $query
+   *   The query parameters of the aggregate.
+   * @param array $asset_libraries
+   *   The library names, keyed by asset path.
+   *
+   * @return string[]
+   *   The library names, empty if the asset isn't an aggregate.
+   */
+  private function getAggregateLibraries(string $path, array $query, array $asset_libraries): array {
+    $type = \pathinfo($path, \PATHINFO_EXTENSION);
+    if (!\in_array($type, ['css', 'js'], TRUE) || !\str_starts_with(\basename($path), $type . '_')) {
+      return [];
+    }
+    foreach (['include', 'theme', 'language', 'delta'] as $key) {
+      if (!\is_string($query[$key] ?? NULL)) {
+        return [];
+      }
+    }
+    if (!\is_numeric($query['delta'])) {
+      return [];
+    }
+
+    $attached_assets = new AttachedAssets();
+    $attached_assets->setLibraries(\explode(',', UrlHelper::uncompressQueryParameter($query['include'])));
+    if (\is_string($query['exclude'] ?? NULL)) {
+      $attached_assets->setAlreadyLoadedLibraries(\explode(',', UrlHelper::uncompressQueryParameter($query['exclude'])));
+    }
+
+    try {
+      $this->themeManager->setActiveTheme($this->themeInitialization->initTheme($query['theme']));
+      $language = $this->languageManager()->getLanguage($query['language']);
+      if ($type === 'css') {
+        $groups = $this->cssCollectionGrouper->group($this->assetResolver->getCssAssets($attached_assets, FALSE, $language));
+      }
+      else {
+        [$header, $footer] = $this->assetResolver->getJsAssets($attached_assets, FALSE, $language);
+        $assets = ($query['scope'] ?? NULL) === 'header' ? $header : $footer;
+        // Settings are never aggregated.
+        unset($assets['drupalSettings']);
+        $groups = $this->jsCollectionGrouper->group($assets);
+      }
+    }
+    catch (\Exception) {
+      // Unknown themes or libraries, e.g. from an outdated page.
+      return [];
+    }
+
+    $libraries = [];
+    foreach ($groups[(int) $query['delta']]['items'] ?? [] as $item) {
+      if (isset($asset_libraries[$item['data']])) {
+        $libraries[$asset_libraries[$item['data']]] = TRUE;
+      }
+    }
+
+    return \array_keys($libraries);
+  }
+
 }
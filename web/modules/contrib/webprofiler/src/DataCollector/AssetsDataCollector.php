@@ -97,6 +97,7 @@ public function setLibraries(array $libraries): void {
     }
 
     $this->data['libraries'] = $data;
+    $this->data['asset_libraries'] = $this->mapAssetLibraries($libraries);
   }
 
   /**
@@ -139,6 +140,16 @@ public function getLibrariesCount(): int {
     return \count($this->data['libraries']);
   }
 
+  /**
+   * Return the libraries that added the assets used in page.
+   *
+   * @return array
+   *   The library names, keyed by asset path.
+   */
+  public function getAssetLibraries(): array {
+    return $this->data['asset_libraries'] ?? [];
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -279,4 +290,44 @@ private function renderLibraries(array $libraries): array {
     ];
   }
 
+
+  /**
+   * Map each asset of the libraries and their dependencies to its library.
+   *
+   * @param array $libraries
+   *   A list of libraries.
+   *
+   * @return array
+   *   The library names, keyed by asset path.
+   */
+  private function mapAssetLibraries(array $libraries): array {
+    $map = [];
+    $visited = [];
+
+    while (($library = \array_shift($libraries)) !== NULL) {
+      if (isset($visited[$library]) || !\str_contains($library, '/')) {
+        continue;
+      }
+      $visited[$library] = TRUE;
+
+      [$extension, $name] = \explode('/', $library, 2);
+      $definition = $this->libraryDiscovery->getLibraryByName($extension, $name);
+      if (!\is_array($definition)) {
+        continue;
+      }
+
+      foreach (['js', 'css'] as $type) {
+        foreach ($definition[$type] ?? [] as $asset) {
+          if (\is_string($asset['data'] ?? NULL)) {
+            $map[$asset['data']] ??= $library;
+          }
+        }
+      }
+
+      \array_push($libraries, ...($definition['dependencies'] ?? []));
+    }
+
+    return $map;
+  }
+
 }
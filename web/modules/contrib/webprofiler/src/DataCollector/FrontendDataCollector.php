@@ -55,14 +55,253 @@ public function setCwvData(array $data): void {
     $this->data['cwv'] = $data;
   }
 
+  /**
+   * Set the resource, long task and behavior timings.
+   *
+   * @param array $data
+   *   The timeline data.
+   * @param array $assetLibraries
+   *   The library names, keyed by asset path. Aggregates map to the comma
+   *   separated libraries they bundle.
+   * @param string $basePath
+   *   The base path of the site.
+   */
+  public function setTimelineData(array $data, array $assetLibraries, string $basePath): void {
+    $timeline = [
+      'resources' => [],
+      'long_tasks' => [],
+      'animation_frames' => [],
+      'behaviors' => [],
+    ];
+
+    foreach ($data['resources'] ?? [] as $resource) {
+      $name = (string) ($resource['name'] ?? '');
+      $timeline['resources'][] = [
+        'name' => $name,
+        'type' => ($resource['type'] ?? '') === 'css' ? 'css' : 'js',
+        'start' => (float) ($resource['start'] ?? 0),
+        'duration' => (float) ($resource['duration'] ?? 0),
+        'transfer_size' => (int) ($resource['transferSize'] ?? 0),
+        'decoded_size' => (int) ($resource['decodedBodySize'] ?? 0),
+        'render_blocking' => ($resource['renderBlockingStatus'] ?? '') === 'blocking',
+        'library' => $this->getAssetLibrary($name, $assetLibraries, $basePath),
+      ];
+    }
+
+    foreach ($data['longTasks'] ?? [] as $task) {
+      $timeline['long_tasks'][] = [
+        'start' => (float) ($task['start'] ?? 0),
+        'duration' => (float) ($task['duration'] ?? 0),
+        'attribution' => (string) ($task['attribution'] ?? ''),
+      ];
+    }
+
+    foreach ($data['animationFrames'] ?? [] as $frame) {
+      $scripts = [];
+      foreach ($frame['scripts'] ?? [] as $script) {
+        $source = (string) ($script['sourceURL'] ?? '');
+        $scripts[] = [
+          'invoker' => (string) ($script['invoker'] ?? ''),
+          'source' => $source,
+          'duration' => (float) ($script['duration'] ?? 0),
+          'library' => $this->getAssetLibrary($source, $assetLibraries, $basePath),
+        ];
+      }
+
+      $timeline['animation_frames'][] = [
+        'start' => (float) ($frame['start'] ?? 0),
+        'duration' => (float) ($frame['duration'] ?? 0),
+        'blocking_duration' => (float) ($frame['blockingDuration'] ?? 0),
+        'scripts' => $scripts,
+      ];
+    }
+
+    foreach ($data['behaviors'] ?? [] as $behavior) {
+      $timeline['behaviors'][] = [
+        'name' => (string) ($behavior['name'] ?? ''),
+        'context' => (string) ($behavior['context'] ?? ''),
+        'start' => (float) ($behavior['start'] ?? 0),
+        'duration' => (float) ($behavior['duration'] ?? 0),
+      ];
+    }
+
+    $this->data['timeline'] = $timeline;
+  }
+
   /**
    * {@inheritdoc}
    */
   public function getPanel(): array {
     return [
-      '#theme' => 'webprofiler_dashboard_frontend',
-      '#cwv' => $this->data['cwv'],
-      '#performance' => $this->data['performance'],
+      '#theme' => 'webprofiler_dashboard_tabs',
+      '#tabs' => [
+        [
+          'label' => $this->t('Core Web Vitals'),
+          'content' => [
+            '#theme' => 'webprofiler_dashboard_frontend',
+            '#cwv' => $this->data['cwv'] ?? [],
+            '#performance' => $this->data['performance'] ?? [],
+          ],
+        ],
+        [
+          'label' => $this->t('Timeline'),
+          'content' => $this->renderTimeline($this->data['timeline'] ?? []),
+        ],
+      ],
+    ];
+  }
+
+  /**
+   * Return the library that added an asset.
+   *
+   * @param string $url
+   *   The URL of the asset.
+   * @param array $assetLibraries
+   *   The library names, keyed by asset path.
+   * @param string $basePath
+   *   The base path of the site.
+   *
+   * @return string|null
+   *   The library name, the comma separated libraries bundled in an
+   *   aggregate, NULL for unknown assets.
+   */
+  private function getAssetLibrary(string $url, array $assetLibraries, string $basePath): ?string {
+    // External assets are keyed by their URL.
+    $url = \strtok($url, '?#');
+    if ($url === FALSE) {
+      return NULL;
+    }
+    if (isset($assetLibraries[$url])) {
+      return $assetLibraries[$url];
+    }
+
+    $path = (string) \parse_url($url, \PHP_URL_PATH);
+    if ($basePath !== '' && \str_starts_with($path, $basePath)) {
+      $path = \substr($path, \strlen($basePath));
+    }
+
+    return $assetLibraries[\ltrim($path, '/')] ?? NULL;
+  }
+
+  /**
+   * Render the timeline as a waterfall.
+   *
+   * @param array $timeline
+   *   The timeline data.
+   *
+   * @return array
+   *   The render array of the timeline.
+   */
+  private function renderTimeline(array $timeline): array {
+    $rows = [];
+    $libraries = [];
+    $behaviors = [];
+
+    foreach ($timeline['resources'] ?? [] as $resource) {
+      $rows[] = [
+        'type' => $resource['type'],
+        'label' => $resource['name'],
+        'library' => $resource['library'],
+        'start' => $resource['start'],
+        'duration' => $resource['duration'],
+        'details' => $resource['render_blocking'] ? $this->t('Render blocking') : '',
+      ];
+
+      // Unknown assets are grouped together.
+      $library = $resource['library'] ?? '';
+      $libraries[$library] ??= [
+        'name' => $library,
+        'assets' => 0,
+        'transfer_size' => 0,
+        'duration' => 0,
+        'scripts' => 0,
+      ];
+      $libraries[$library]['assets']++;
+      $libraries[$library]['transfer_size'] += $resource['transfer_size'];
+      $libraries[$library]['duration'] += $resource['duration'];
+    }
+
+    foreach ($timeline['long_tasks'] ?? [] as $task) {
+      $rows[] = [
+        'type' => 'long-task',
+        'label' => $this->t('Long task'),
+        'library' => NULL,
+        'start' => $task['start'],
+        'duration' => $task['duration'],
+        'details' => $task['attribution'],
+      ];
+    }
+
+    foreach ($timeline['animation_frames'] ?? [] as $frame) {
+      $scripts = [];
+      foreach ($frame['scripts'] as $script) {
+        $scripts[] = \sprintf('%s (%.1f ms)', $script['invoker'] ?: $script['source'], $script['duration']);
+
+        if ($script['library'] !== NULL) {
+          $libraries[$script['library']] ??= [
+            'name' => $script['library'],
+            'assets' => 0,
+            'transfer_size' => 0,
+            'duration' => 0,
+            'scripts' => 0,
+          ];
+          $libraries[$script['library']]['scripts'] += $script['duration'];
+        }
+      }
+
+      $rows[] = [
+        'type' => 'animation-frame',
+        'label' => $this->t('Long animation frame, @blocking ms blocking', ['@blocking' => \round($frame['blocking_duration'], 1)]),
+        'library' => NULL,
+        'start' => $frame['start'],
+        'duration' => $frame['duration'],
+        'details' => \implode(', ', $scripts),
+      ];
+    }
+
+    foreach ($timeline['behaviors'] ?? [] as $behavior) {
+      $rows[] = [
+        'type' => 'behavior',
+        'label' => 'Drupal.behaviors.' . $behavior['name'],
+        'library' => NULL,
+        'start' => $behavior['start'],
+        'duration' => $behavior['duration'],
+        'details' => $behavior['context'],
+      ];
+
+      $behaviors[$behavior['name']] ??= [
+        'name' => $behavior['name'],
+        'calls' => 0,
+        'duration' => 0,
+        'max' => 0,
+      ];
+      $behaviors[$behavior['name']]['calls']++;
+      $behaviors[$behavior['name']]['duration'] += $behavior['duration'];
+      $behaviors[$behavior['name']]['max'] = \max($behaviors[$behavior['name']]['max'], $behavior['duration']);
+    }
+
+    \usort($rows, static fn($a, $b) => $a['start'] <=> $b['start']);
+
+    $end = 0;
+    foreach ($rows as $row) {
+      $end = \max($end, $row['start'] + $row['duration']);
+    }
+
+    foreach ($rows as &$row) {
+      $row['offset'] = $end > 0 ? \round($row['start'] / $end * 100, 2) : 0;
+      $row['width'] = $end > 0 ? \max(\round($row['duration'] / $end * 100, 2), 0.1) : 0;
+    }
+    unset($row);
+
+    \usort($libraries, static fn($a, $b) => ($b['duration'] + $b['scripts']) <=> ($a['duration'] + $a['scripts']));
+    \usort($behaviors, static fn($a, $b) => $b['duration'] <=> $a['duration']);
+
+    return [
+      '#theme' => 'webprofiler_dashboard_timeline',
+      '#rows' => $rows,
+      '#end' => $end,
+      '#libraries' => $libraries,
+      '#behaviors' => $behaviors,
     ];
   }
 
@@ -0,0 +1,190 @@
+<?php
+
+namespace Drupal\sdc_preview\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Extension\ThemeExtensionList;
+use Drupal\Core\Plugin\Component;
+use Drupal\Core\Render\Component\Exception\ComponentNotFoundException;
+use Drupal\Core\Serialization\Yaml;
+use Drupal\Core\Theme\ComponentPluginManager;
+use Drupal\Core\Url;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+/**
+ * Lists the components of the default theme and renders their fixtures.
+ */
+class ComponentPreviewController extends ControllerBase {
+
+  public function __construct(
+    protected ComponentPluginManager $componentPluginManager,
+    protected ThemeExtensionList $themeExtensionList,
+    protected string $appRoot,
+  ) {
+  }
+
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('plugin.manager.sdc'),
+      $container->get('extension.list.theme'),
+      $container->getParameter('app.root')
+    );
+  }
+
+  /**
+   * Lists the previewable components, grouped by component group.
+   */
+  public function index(): array {
+    $groups = [];
+    foreach ($this->getThemeComponents() as $component) {
+      $metadata = $component->metadata;
+      $groups[(string) $metadata->group][] = [
+        '#type' => 'link',
+        '#title' => $metadata->name,
+        '#url' => Url::fromRoute('sdc_preview.component', [
+          'provider' => $component->getBaseId(),
+          'machine_name' => $component->machineName,
+        ]),
+        '#suffix' => ' <small>' . $metadata->status . '</small>',
+      ];
+    }
+    ksort($groups);
+
+    $build = [];
+    foreach ($groups as $group => $links) {
+      $build[$group] = [
+        '#theme' => 'item_list',
+        '#title' => $group,
+        '#items' => $links,
+      ];
+    }
+    if (!$build) {
+      $build['empty'] = ['#markup' => $this->t('The default theme does not provide any components.')];
+    }
+    $build['#cache']['tags'] = ['config:system.theme'];
+    return $build;
+  }
+
+  /**
+   * Lists the fixtures of every previewable component.
+   *
+   * Used by the visual regression Nightwatch commands to know which fixtures
+   * to render and where the baseline screenshots of a component are kept.
+   */
+  public function fixtures(): JsonResponse {
+    $data = [];
+    foreach ($this->getThemeComponents() as $component) {
+      $fixtures = static::loadFixtures($component);
+      if (!$fixtures) {
+        continue;
+      }
+      $data[$component->getPluginId()] = [
+        'provider' => $component->getBaseId(),
+        'machineName' => $component->machineName,
+        'path' => $this->getRelativePath($component->getPluginDefinition()['path']),
+        'fixtures' => array_map(fn(array $fixture) => [
+          'label' => $fixture['label'] ?? NULL,
+          'tolerance' => $fixture['tolerance'] ?? NULL,
+          'width' => $fixture['width'] ?? NULL,
+        ], $fixtures),
+      ];
+    }
+
+    return new JsonResponse((object) $data);
+  }
+
+  /**
+   * Renders a component with the props and slots of one of its fixtures.
+   */
+  public function fixture(string $provider, string $machine_name, string $fixture): array {
+    $component = static::loadComponent($this->componentPluginManager, $provider, $machine_name);
+    $fixtures = static::loadFixtures($component);
+    if (!isset($fixtures[$fixture])) {
+      throw new NotFoundHttpException();
+    }
+
+    $slots = [];
+    foreach ($fixtures[$fixture]['slots'] ?? [] as $name => $markup) {
+      $slots[$name] = ['#markup' => $markup];
+    }
+
+    $attributes = ['data-sdc-fixture' => $component->getPluginId() . '/' . $fixture];
+    if (isset($fixtures[$fixture]['width'])) {
+      $attributes['style'] = 'width: ' . (int) $fixtures[$fixture]['width'] . 'px';
+    }
+    return [
+      '#type' => 'container',
+      '#attributes' => $attributes,
+      'component' => [
+        '#type' => 'component',
+        '#component' => $component->getPluginId(),
+        '#props' => $fixtures[$fixture]['props'] ?? [],
+        '#slots' => $slots,
+      ],
+      '#cache' => ['max-age' => 0],
+    ];
+  }
+
+  /**
+   * Title callback for the component preview.
+   */
+  public function title(string $provider, string $machine_name): string {
+    return (string) $this->t('Preview: @name', ['@name' => static::loadComponent($this->componentPluginManager, $provider, $machine_name)->metadata->name]);
+  }
+
+  /**
+   * Loads a component, or throws a 404.
+   */
+  public static function loadComponent(ComponentPluginManager $component_plugin_manager, string $provider, string $machine_name): Component {
+    try {
+      return $component_plugin_manager->find($provider . ':' . $machine_name);
+    }
+    catch (ComponentNotFoundException) {
+      throw new NotFoundHttpException();
+    }
+  }
+
+  /**
+   * Returns the fixtures declared next to a component, keyed by name.
+   *
+   * Fixtures live in a <machine_name>.fixtures.yml file in the component
+   * directory. Each one may declare "label", "props", "slots" (markup keyed by
+   * slot name), a "width" in pixels and a "tolerance", the share of pixels
+   * allowed to differ from the baseline screenshot.
+   */
+  public static function loadFixtures(Component $component): array {
+    $file = $component->getPluginDefinition()['path'] . '/' . $component->machineName . '.fixtures.yml';
+    if (!is_file($file)) {
+      return [];
+    }
+    return Yaml::decode(file_get_contents($file)) ?? [];
+  }
+
+  /**
+   * Returns a path relative to the Drupal root.
+   */
+  protected function getRelativePath(string $path): string {
+    $root = $this->appRoot . '/';
+    return str_starts_with($path, $root) ? substr($path, strlen($root)) : $path;
+  }
+
+  /**
+   * Returns the components provided by the default theme or its base themes.
+   *
+   * @return \Drupal\Core\Plugin\Component[]
+   *   The components.
+   */
+  protected function getThemeComponents(): array {
+    $default_theme = $this->config('system.theme')->get('default');
+    $themes = $this->themeExtensionList->getList();
+    $providers = [$default_theme, ...array_keys($themes[$default_theme]->base_themes ?? [])];
+
+    return array_filter(
+      $this->componentPluginManager->getAllComponents(),
+      fn(Component $component) => in_array($component->getBaseId(), $providers, TRUE),
+    );
+  }
+
+}
@@ -0,0 +1,188 @@
+<?php
+
+namespace Drupal\sdc_preview\Form;
+
+use Drupal\Component\Utility\Xss;
+use Drupal\Core\Form\FormBase;
+use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\Plugin\Component;
+use Drupal\Core\Render\Markup;
+use Drupal\Core\Theme\ComponentPluginManager;
+use Drupal\sdc_preview\Controller\ComponentPreviewController;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * Renders a component with props and slots edited through form controls.
+ *
+ * Controls are generated from the component's props schema and the preview
+ * is re-rendered over AJAX on every change, so JS behaviors attach to it the
+ * same way they do on a regular page.
+ */
+class ComponentPreviewForm extends FormBase {
+
+  public function __construct(protected ComponentPluginManager $componentPluginManager) {
+  }
+
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('plugin.manager.sdc')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId(): string {
+    return 'sdc_preview_component';
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function buildForm(array $form, FormStateInterface $form_state, string $provider = '', string $machine_name = ''): array {
+    $component = ComponentPreviewController::loadComponent($this->componentPluginManager, $provider, $machine_name);
+    $form_state->set('component_id', $component->getPluginId());
+
+    $ajax = [
+      'callback' => '::updatePreview',
+      'wrapper' => 'sdc-preview-output',
+      'event' => 'change',
+      'progress' => ['type' => 'none'],
+    ];
+
+    $form['controls'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Props and slots'),
+      '#open' => TRUE,
+      '#tree' => TRUE,
+    ];
+
+    $schema = $component->metadata->schema ?? [];
+    $required = $schema['required'] ?? [];
+    foreach ($schema['properties'] ?? [] as $name => $prop_schema) {
+      $element = $this->buildPropElement($name, $prop_schema, in_array($name, $required, TRUE));
+      if ($element !== NULL) {
+        $form['controls']['props'][$name] = $element + ['#ajax' => $ajax];
+      }
+    }
+
+    foreach ($component->metadata->slots as $name => $slot) {
+      $form['controls']['slots'][$name] = [
+        '#type' => 'textarea',
+        '#title' => $slot['title'] ?? $name,
+        '#description' => $slot['description'] ?? '',
+        '#default_value' => $this->getSampleSlotContent($name, $slot),
+        '#rows' => 3,
+        '#ajax' => $ajax,
+      ];
+    }
+
+    $form['controls']['update'] = [
+      '#type' => 'submit',
+      '#value' => $this->t('Update preview'),
+      '#ajax' => ['event' => 'click'] + $ajax,
+    ];
+
+    $form['preview'] = [
+      '#type' => 'container',
+      '#attributes' => ['id' => 'sdc-preview-output'],
+      'component' => $this->buildComponent($component, $form_state),
+    ];
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state): void {
+    $form_state->setRebuild();
+  }
+
+  /**
+   * AJAX callback returning the re-rendered preview.
+   */
+  public function updatePreview(array &$form, FormStateInterface $form_state): array {
+    return $form['preview'];
+  }
+
+  /**
+   * Returns the form control for a prop, or NULL if it can't be edited.
+   */
+  protected function buildPropElement(string $name, array $prop_schema, bool $required): ?array {
+    $element = [
+      '#title' => $prop_schema['title'] ?? $name,
+      '#description' => $prop_schema['description'] ?? '',
+      '#default_value' => $prop_schema['default'] ?? $prop_schema['examples'][0] ?? NULL,
+      '#required' => $required,
+    ];
+
+    if (isset($prop_schema['enum'])) {
+      return $element + [
+        '#type' => 'select',
+        '#options' => $prop_schema['meta:enum'] ?? array_combine($prop_schema['enum'], $prop_schema['enum']),
+        '#empty_option' => $required ? NULL : $this->t('- Default -'),
+      ];
+    }
+
+    return match ($this->getPropType($prop_schema)) {
+      'boolean' => $element + ['#type' => 'checkbox'],
+      'integer' => $element + ['#type' => 'number', '#step' => 1],
+      'number' => $element + ['#type' => 'number', '#step' => 'any'],
+      'string' => $element + ['#type' => 'textfield'],
+      default => NULL,
+    };
+  }
+
+  /**
+   * Returns the sample markup of a slot.
+   */
+  protected function getSampleSlotContent(string $name, array $slot): string {
+    if (isset($slot['examples'][0]) && is_string($slot['examples'][0])) {
+      return $slot['examples'][0];
+    }
+    return '<p>' . ($slot['title'] ?? $name) . '</p>';
+  }
+
+  /**
+   * Builds the component render array from the submitted values.
+   */
+  protected function buildComponent(Component $component, FormStateInterface $form_state): array {
+    $schema = $component->metadata->schema ?? [];
+    $props = [];
+    foreach ($schema['properties'] ?? [] as $name => $prop_schema) {
+      $value = $form_state->getValue(['controls', 'props', $name]);
+      if ($value === NULL || $value === '') {
+        continue;
+      }
+      $props[$name] = match ($this->getPropType($prop_schema)) {
+        'boolean' => (bool) $value,
+        'integer' => (int) $value,
+        'number' => (float) $value,
+        default => $value,
+      };
+    }
+
+    $slots = [];
+    foreach (array_keys($component->metadata->slots) as $name) {
+      $value = $form_state->getValue(['controls', 'slots', $name]) ?? $this->getSampleSlotContent($name, $component->metadata->slots[$name]);
+      $slots[$name] = ['#markup' => Markup::create(Xss::filterAdmin($value))];
+    }
+
+    return [
+      '#type' => 'component',
+      '#component' => $component->getPluginId(),
+      '#props' => $props,
+      '#slots' => $slots,
+    ];
+  }
+
+  /**
+   * Returns the JSON type of a prop, ignoring the "object" SDC adds to all.
+   */
+  protected function getPropType(array $prop_schema): ?string {
+    $types = array_diff((array) ($prop_schema['type'] ?? []), ['object']);
+    return $types ? reset($types) : NULL;
+  }
+
+}
@@ -0,0 +1,31 @@
+/**
+ * Lists the component fixtures of the default theme.
+ *
+ * Requires the "access component preview" permission.
+ *
+ * @param {function} callback
+ *   A callback receiving an object keyed by component ID, with the provider,
+ *   machineName, path (relative to the Drupal root) and fixtures of each
+ *   component.
+ * @return {object}
+ *   The drupalComponentFixtures command.
+ */
+exports.command = function drupalComponentFixtures(callback) {
+  const self = this;
+  this.drupalRelativeURL('/sdc-preview/fixtures').execute(
+    function () {
+      return JSON.parse(document.body.innerText);
+    },
+    [],
+    (result) => {
+      if (!result.value || typeof result.value !== 'object') {
+        throw new Error('Listing component fixtures failed.');
+      }
+      if (typeof callback === 'function') {
+        callback.call(self, result.value);
+      }
+    },
+  );
+
+  return this;
+};
@@ -0,0 +1,93 @@
+const fs = require('node:fs');
+const visualRegression = require('../visualRegression');
+
+/**
+ * Asserts that a component fixture looks like its baseline screenshot.
+ *
+ * Baselines are committed next to the component, in
+ * screenshots/<fixture>.png. A missing baseline fails the test. When the
+ * fixture regressed, the current screenshot and a diff highlighting the
+ * mismatched pixels in red are written to the visual-regression output
+ * folder. With the DRUPAL_NIGHTWATCH_UPDATE_BASELINES environment variable
+ * set, missing baselines are created and mismatching ones overwritten
+ * instead, and reported as "created" or "updated" so they can be reviewed
+ * and committed.
+ *
+ * @param {object} component
+ *   The component, as returned by drupalComponentFixtures.
+ * @param {string} fixture
+ *   The fixture name.
+ * @return {object}
+ *   The drupalComponentMatchesBaseline command.
+ */
+exports.command = function drupalComponentMatchesBaseline(component, fixture) {
+  const name = `${component.provider}:${component.machineName}/${fixture}`;
+  const baselinePath = visualRegression.baselinePath(component, fixture);
+  const tolerance =
+    component.fixtures[fixture].tolerance ?? visualRegression.defaultTolerance;
+
+  // Regressed fixtures keep the current screenshot and the diff as files.
+  const record = ({ current, diff, ...result }) => {
+    if (result.status === 'regressed') {
+      result.current = visualRegression.outputPath(
+        component,
+        fixture,
+        'current',
+      );
+      visualRegression.writePng(result.current, current);
+      if (diff) {
+        result.diff = visualRegression.outputPath(component, fixture, 'diff');
+        visualRegression.writePng(result.diff, diff);
+      }
+    }
+    visualRegression.results.push({ fixture: name, tolerance, ...result });
+  };
+
+  this.drupalComponentScreenshot(component, fixture, (current) => {
+    if (!fs.existsSync(baselinePath)) {
+      if (visualRegression.updateBaselines) {
+        visualRegression.writePng(baselinePath, current);
+        record({ status: 'created', baseline: baselinePath });
+        return;
+      }
+      record({ status: 'regressed', reason: 'missing baseline', current });
+      this.assert.ok(
+        false,
+        `${name} has no baseline screenshot at ${baselinePath}, run with DRUPAL_NIGHTWATCH_UPDATE_BASELINES=1 to create it.`,
+      );
+      return;
+    }
+
+    const baseline = fs.readFileSync(baselinePath).toString('base64');
+    this.executeAsync(
+      visualRegression.compareImages,
+      [baseline, current, visualRegression.colorThreshold],
+      ({ value }) => {
+        if (value.error) {
+          throw new Error(`Comparing ${name} failed: ${value.error}`);
+        }
+
+        const reason = value.sizeMismatch
+          ? `size changed: ${value.sizeMismatch}`
+          : value.mismatched / value.total > tolerance &&
+            `${value.mismatched} of ${value.total} pixels differ`;
+
+        if (!reason) {
+          record({ status: 'passed', mismatched: value.mismatched });
+        } else if (visualRegression.updateBaselines) {
+          visualRegression.writePng(baselinePath, current);
+          record({ status: 'updated', reason });
+        } else {
+          record({ status: 'regressed', reason, current, diff: value.diff });
+        }
+
+        this.assert.ok(
+          !reason || visualRegression.updateBaselines,
+          `${name} matches its baseline${reason ? ` (${reason})` : ''}.`,
+        );
+      },
+    );
+  });
+
+  return this;
+};
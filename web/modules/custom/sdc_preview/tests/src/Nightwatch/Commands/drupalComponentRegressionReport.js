@@ -0,0 +1,46 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const mkdirp = require('mkdirp');
+const visualRegression = require('../visualRegression');
+
+/**
+ * Writes the results of the compared component fixtures.
+ *
+ * The report is written to report.json in the visual-regression output
+ * folder, regressed fixtures and created baselines are logged to the console.
+ *
+ * @return {object}
+ *   The drupalComponentRegressionReport command.
+ */
+exports.command = function drupalComponentRegressionReport() {
+  this.perform(() => {
+    const { results } = visualRegression;
+    const regressed = results.filter(({ status }) => status === 'regressed');
+    const created = results.filter(({ status }) => status === 'created');
+    const folder = visualRegression.outputFolder();
+
+    mkdirp.sync(folder);
+    fs.writeFileSync(
+      path.join(folder, 'report.json'),
+      JSON.stringify(
+        { regressed: regressed.length, created: created.length, results },
+        null,
+        '  ',
+      ),
+    );
+
+    regressed.forEach(({ fixture, reason, diff }) => {
+      // eslint-disable-next-line no-console
+      console.log(
+        `Visual regression in ${fixture}: ${reason}${diff ? `, see ${diff}` : ''}`,
+      );
+    });
+
+    created.forEach(({ fixture, baseline }) => {
+      // eslint-disable-next-line no-console
+      console.log(`Created the baseline of ${fixture}, commit ${baseline}`);
+    });
+  });
+
+  return this;
+};
@@ -0,0 +1,52 @@
+/**
+ * Renders a component fixture and takes a screenshot of it.
+ *
+ * Animations and transitions are disabled and web fonts are awaited so
+ * consecutive screenshots of the same markup are identical.
+ *
+ * @param {object} component
+ *   The component, as returned by drupalComponentFixtures.
+ * @param {string} fixture
+ *   The fixture name.
+ * @param {function} callback
+ *   A callback receiving the base64 encoded PNG screenshot.
+ * @return {object}
+ *   The drupalComponentScreenshot command.
+ */
+exports.command = function drupalComponentScreenshot(
+  component,
+  fixture,
+  callback,
+) {
+  const self = this;
+  const selector = `[data-sdc-fixture="${component.provider}:${component.machineName}/${fixture}"]`;
+
+  this.drupalRelativeURL(
+    `/sdc-preview/${component.provider}/${component.machineName}/fixture/${fixture}`,
+  )
+    .waitForElementVisible(selector)
+    .executeAsync(function (done) {
+      const style = document.createElement('style');
+      style.textContent =
+        '*, *::before, *::after { animation: none !important; transition: none !important; caret-color: transparent !important; }';
+      document.head.appendChild(style);
+      // Custom elements render asynchronously, see solo_ex's sdc-element.js.
+      const elements = Array.from(document.querySelectorAll(':not(:defined)'));
+      Promise.all([
+        document.fonts.ready,
+        ...elements.map((element) =>
+          customElements.whenDefined(element.localName),
+        ),
+      ]).then(() => requestAnimationFrame(() => done()));
+    })
+    .takeElementScreenshot(selector, (result) => {
+      if (result.status === -1 || !result.value) {
+        throw new Error(`Taking a screenshot of ${selector} failed.`);
+      }
+      if (typeof callback === 'function') {
+        callback.call(self, result.value);
+      }
+    });
+
+  return this;
+};
@@ -0,0 +1,46 @@
+<?php
+
+namespace Drupal\Tests\sdc_preview\Nightwatch;
+
+use Drupal\Core\Extension\ModuleInstallerInterface;
+use Drupal\Core\Extension\ThemeInstallerInterface;
+use Drupal\TestSite\TestSetupInterface;
+use Drupal\user\Entity\Role;
+use Drupal\user\RoleInterface;
+
+/**
+ * Sets up the site for the component visual regression tests.
+ *
+ * The theme whose components are tested defaults to solo_ex and can be
+ * changed with the DRUPAL_NIGHTWATCH_SDC_THEME environment variable.
+ */
+class SdcPreviewTestSetup implements TestSetupInterface {
+
+  /**
+   * {@inheritdoc}
+   */
+  public function setup(): void {
+    $theme = getenv('DRUPAL_NIGHTWATCH_SDC_THEME') ?: 'solo_ex';
+
+    $module_installer = \Drupal::service('module_installer');
+    assert($module_installer instanceof ModuleInstallerInterface);
+    $module_installer->install(['sdc_preview']);
+
+    // Themes can't install the modules they depend on.
+    $info = \Drupal::service('extension.list.theme')->getExtensionInfo($theme);
+    $dependencies = array_map(fn(string $dependency) => explode(':', $dependency)[1] ?? $dependency, $info['dependencies'] ?? []);
+    if ($dependencies) {
+      $module_installer->install($dependencies);
+    }
+
+    $theme_installer = \Drupal::service('theme_installer');
+    assert($theme_installer instanceof ThemeInstallerInterface);
+    $theme_installer->install([$theme]);
+    \Drupal::configFactory()->getEditable('system.theme')->set('default', $theme)->save();
+
+    $role = Role::load(RoleInterface::ANONYMOUS_ID);
+    $role->grantPermission('access component preview');
+    $role->save();
+  }
+
+}
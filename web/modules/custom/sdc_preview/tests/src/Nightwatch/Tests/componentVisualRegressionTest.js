@@ -0,0 +1,71 @@
+/**
+ * @file
+ * Compares the component fixtures of the default theme to their baselines.
+ */
+
+const fs = require('node:fs');
+const visualRegression = require('../visualRegression');
+
+module.exports = {
+  '@tags': ['sdc_preview', 'visual-regression'],
+  before(browser) {
+    browser
+      .drupalInstall({
+        setupFile:
+          'modules/custom/sdc_preview/tests/src/Nightwatch/SdcPreviewTestSetup.php',
+      })
+      // Screenshots depend on the viewport, keep it the same on every run.
+      .setWindowSize(1280, 1024);
+  },
+  after(browser) {
+    browser.drupalComponentRegressionReport().drupalUninstall();
+  },
+  'Component fixtures match their baselines': (browser) => {
+    browser.drupalComponentFixtures((components) => {
+      Object.values(components).forEach((component) => {
+        Object.keys(component.fixtures).forEach((fixture) => {
+          browser.drupalComponentMatchesBaseline(component, fixture);
+        });
+      });
+    });
+  },
+  'Missing baselines are created when updating baselines': (browser) => {
+    browser.drupalComponentFixtures((components) => {
+      const component = Object.values(components).find(
+        ({ fixtures }) => Object.keys(fixtures).length,
+      );
+      const fixture = Object.keys(component.fixtures)[0];
+      const baselinePath = visualRegression.baselinePath(component, fixture);
+      const backupPath = `${baselinePath}.orig`;
+      const exists = fs.existsSync(baselinePath);
+      const { updateBaselines } = visualRegression;
+
+      browser
+        .perform(() => {
+          visualRegression.updateBaselines = true;
+          if (exists) {
+            fs.renameSync(baselinePath, backupPath);
+          }
+        })
+        .drupalComponentMatchesBaseline(component, fixture)
+        .perform(() => {
+          // Keeps the created baseline out of the report.
+          const result = visualRegression.results.pop();
+          browser.assert.equal(result.status, 'created');
+          browser.assert.ok(
+            fs.existsSync(baselinePath),
+            `${baselinePath} was created.`,
+          );
+
+          // Restores the committed baseline, or removes the created one so
+          // the source tree is left as it was.
+          if (exists) {
+            fs.renameSync(backupPath, baselinePath);
+          } else {
+            fs.unlinkSync(baselinePath);
+          }
+          visualRegression.updateBaselines = updateBaselines;
+        });
+    });
+  },
+};
@@ -0,0 +1,62 @@
+/**
+ * @file
+ * Tests Drupal behaviors attached by the Lit elements of the default theme.
+ */
+
+module.exports = {
+  '@tags': ['sdc_preview'],
+  before(browser) {
+    browser.drupalInstall({
+      setupFile:
+        'modules/custom/sdc_preview/tests/src/Nightwatch/SdcPreviewTestSetup.php',
+    });
+  },
+  after(browser) {
+    browser.drupalUninstall();
+  },
+  'Mounting an element runs once() based behaviors without errors': (
+    browser,
+  ) => {
+    browser
+      .drupalRelativeURL('/sdc-preview/solo_ex/accordion/fixture/closed')
+      .waitForElementPresent('solo-ex-accordion[data-sdc-element]')
+      .executeAsync(
+        (done) => {
+          const errors = [];
+          window.addEventListener('error', (event) => {
+            errors.push(event.message);
+          });
+
+          window.Drupal.behaviors.sdcPreviewTestOnce = {
+            attach(context) {
+              window
+                .once('sdc-preview-test', 'p', context)
+                .forEach((element) => element.classList.add('processed'));
+            },
+          };
+
+          const element = document.createElement('solo-ex-accordion');
+          element.innerHTML = '<div slot="content"><p>Mounted</p></div>';
+          document.body.appendChild(element);
+
+          element.updateComplete.then(() => {
+            // Drupal.attachBehaviors() rethrows errors in a timeout.
+            setTimeout(() => {
+              done({
+                errors,
+                processed: element.querySelector('p.processed') !== null,
+              });
+            }, 100);
+          });
+        },
+        [],
+        ({ value }) => {
+          browser.assert.deepEqual(value.errors, []);
+          browser.assert.ok(
+            value.processed,
+            'The behavior enhanced the slotted content.',
+          );
+        },
+      );
+  },
+};
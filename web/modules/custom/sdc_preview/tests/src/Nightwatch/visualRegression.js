@@ -0,0 +1,177 @@
+/**
+ * @file
+ * Shared state and helpers of the component visual regression commands.
+ */
+
+const path = require('node:path');
+const fs = require('node:fs');
+const mkdirp = require('mkdirp');
+
+// Nightwatch runs from the core directory.
+const drupalRoot = path.resolve(process.cwd(), '..');
+
+module.exports = {
+  // Share of the pixels of a screenshot allowed to differ from the baseline,
+  // unless the fixture declares its own "tolerance".
+  defaultTolerance: 0.001,
+
+  // Largest difference of a single color channel (0-255) for two pixels to
+  // still be considered identical. Absorbs anti-aliasing noise.
+  colorThreshold: 24,
+
+  // Whether missing or mismatching baselines are (re)written instead of
+  // failing the test.
+  updateBaselines: !!process.env.DRUPAL_NIGHTWATCH_UPDATE_BASELINES,
+
+  // Results of every compared fixture, written out by
+  // drupalComponentRegressionReport.
+  results: [],
+
+  /**
+   * Returns the path of the baseline screenshot of a fixture.
+   *
+   * @param {object} component
+   *   The component, as returned by drupalComponentFixtures.
+   * @param {string} fixture
+   *   The fixture name.
+   * @return {string}
+   *   The absolute path of the baseline PNG.
+   */
+  baselinePath(component, fixture) {
+    return path.join(
+      drupalRoot,
+      component.path,
+      'screenshots',
+      `${fixture}.png`,
+    );
+  },
+
+  /**
+   * Returns the path of an output file of a fixture.
+   *
+   * @param {object} component
+   *   The component, as returned by drupalComponentFixtures.
+   * @param {string} fixture
+   *   The fixture name.
+   * @param {string} suffix
+   *   The file suffix, such as "current" or "diff".
+   * @return {string}
+   *   The absolute path of the output PNG.
+   */
+  outputPath(component, fixture, suffix) {
+    return path.join(
+      this.outputFolder(),
+      `${component.provider}-${component.machineName}`,
+      `${fixture}.${suffix}.png`,
+    );
+  },
+
+  /**
+   * Returns the folder regressions are reported to.
+   *
+   * @return {string}
+   *   The absolute path of the folder.
+   */
+  outputFolder() {
+    return path.resolve(
+      process.env.DRUPAL_NIGHTWATCH_OUTPUT || 'reports/nightwatch',
+      'visual-regression',
+    );
+  },
+
+  /**
+   * Writes a base64 encoded PNG, creating its folder if needed.
+   *
+   * @param {string} file
+   *   The absolute path of the file.
+   * @param {string} data
+   *   The base64 encoded PNG.
+   */
+  writePng(file, data) {
+    mkdirp.sync(path.dirname(file));
+    fs.writeFileSync(file, data, 'base64');
+  },
+
+  /**
+   * Compares two base64 encoded PNG images, in the browser.
+   *
+   * Node has no image decoder, but the browser under test has. This function
+   * is serialized and run through executeAsync, so it must not reference
+   * anything outside of its body, and is declared as a function expression:
+   * the source of a shorthand method isn't a valid function.
+   *
+   * @param {string} baseline
+   *   The base64 encoded baseline image.
+   * @param {string} current
+   *   The base64 encoded current image.
+   * @param {number} threshold
+   *   The color threshold, see colorThreshold.
+   * @param {function} done
+   *   Called with the number of mismatched and total pixels and the base64
+   *   encoded diff image, or with the sizes of both images if they differ.
+   */
+  // eslint-disable-next-line object-shorthand
+  compareImages: function (baseline, current, threshold, done) {
+    const load = (data) =>
+      new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Invalid PNG image.'));
+        image.src = `data:image/png;base64,${data}`;
+      });
+
+    Promise.all([load(baseline), load(current)]).then(
+      ([expected, actual]) => {
+        if (
+          expected.width !== actual.width ||
+          expected.height !== actual.height
+        ) {
+          done({
+            sizeMismatch: `${expected.width}x${expected.height} != ${actual.width}x${actual.height}`,
+          });
+          return;
+        }
+
+        const { width, height } = expected;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const pixels = (image) => {
+          context.clearRect(0, 0, width, height);
+          context.drawImage(image, 0, 0);
+          return context.getImageData(0, 0, width, height).data;
+        };
+        const a = pixels(expected);
+        const b = pixels(actual);
+
+        // Mismatched pixels are painted red over a faded copy of the baseline.
+        const diff = context.createImageData(width, height);
+        let mismatched = 0;
+        for (let i = 0; i < a.length; i += 4) {
+          const distance = Math.max(
+            Math.abs(a[i] - b[i]),
+            Math.abs(a[i + 1] - b[i + 1]),
+            Math.abs(a[i + 2] - b[i + 2]),
+            Math.abs(a[i + 3] - b[i + 3]),
+          );
+          if (distance > threshold) {
+            mismatched += 1;
+            diff.data.set([255, 0, 0, 255], i);
+          } else {
+            const grey = (a[i] + a[i + 1] + a[i + 2]) / 3;
+            diff.data.set([grey, grey, grey, 64], i);
+          }
+        }
+        context.putImageData(diff, 0, 0);
+
+        done({
+          mismatched,
+          total: width * height,
+          diff: canvas.toDataURL('image/png').split(',')[1],
+        });
+      },
+      (error) => done({ error: error.message }),
+    );
+  },
+};
@@ -0,0 +1,102 @@
+<?php
+
+namespace Drupal\sdc_props;
+
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Component\Serialization\Json;
+use Drupal\Core\Cache\CacheBackendInterface;
+use Drupal\Core\Site\Settings;
+use GuzzleHttp\ClientInterface;
+use GuzzleHttp\Exception\GuzzleException;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Server-renders React islands through the theme's Node renderer.
+ *
+ * The renderer is a local HTTP process (see the solo_ex README) configured
+ * with:
+ * @code
+ * $settings['sdc_props']['ssr_url'] = 'http://localhost:5174';
+ * @endcode
+ * Rendered markup is cached per component and props until caches are
+ * rebuilt, so the renderer is only asked once for a given set of props. When
+ * the renderer can't be reached, islands render on the client only for the
+ * next few seconds instead of each waiting for the timeout again.
+ */
+class SsrRenderer {
+
+  /**
+   * Timeout of a render request, in seconds.
+   */
+  const TIMEOUT = 1;
+
+  /**
+   * Time the renderer is considered down after a failed request, in seconds.
+   */
+  const FAILURE_TTL = 10;
+
+  /**
+   * Cache ID marking the renderer as down.
+   */
+  const FAILURE_CID = 'ssr:unavailable';
+
+  public function __construct(
+    protected ClientInterface $httpClient,
+    protected CacheBackendInterface $cache,
+    protected LoggerInterface $logger,
+    protected TimeInterface $time,
+  ) {
+  }
+
+  /**
+   * Renders an island.
+   *
+   * @param string $component
+   *   The component machine name, as registered with registerIsland().
+   * @param array $props
+   *   The typed props.
+   *
+   * @return string|null
+   *   The markup, or NULL when no renderer is configured or rendering failed.
+   */
+  public function render(string $component, array $props): ?string {
+    $url = Settings::get('sdc_props', [])['ssr_url'] ?? NULL;
+    if (!$url) {
+      return NULL;
+    }
+
+    $payload = Json::encode(['component' => $component, 'props' => (object) $props]);
+    $cid = 'ssr:' . $component . ':' . hash('sha256', $payload);
+    if ($cached = $this->cache->get($cid)) {
+      return $cached->data;
+    }
+    if ($this->cache->get(self::FAILURE_CID)) {
+      return NULL;
+    }
+
+    try {
+      $response = $this->httpClient->request('POST', rtrim($url, '/') . '/render', [
+        'body' => $payload,
+        'headers' => ['Content-Type' => 'application/json'],
+        'timeout' => self::TIMEOUT,
+        'connect_timeout' => self::TIMEOUT,
+      ]);
+      $html = Json::decode((string) $response->getBody())['html'] ?? NULL;
+    }
+    catch (GuzzleException $e) {
+      $this->cache->set(self::FAILURE_CID, TRUE, $this->time->getRequestTime() + self::FAILURE_TTL);
+      $this->logger->warning('Server-rendering @component failed: @message', [
+        '@component' => $component,
+        '@message' => $e->getMessage(),
+      ]);
+      return NULL;
+    }
+
+    if (!is_string($html)) {
+      return NULL;
+    }
+    $this->cache->set($cid, $html);
+    return $html;
+  }
+
+}
@@ -0,0 +1,145 @@
+<?php
+
+namespace Drupal\sdc_props\Twig;
+
+use Drupal\Component\Serialization\Json;
+use Drupal\Core\Template\Attribute;
+use Drupal\Core\Render\Markup;
+use Drupal\Core\Theme\ComponentPluginManager;
+use Drupal\sdc_props\SsrRenderer;
+use Twig\Extension\AbstractExtension;
+use Twig\TwigFunction;
+
+/**
+ * Provides the sdc_props() and sdc_ssr() Twig functions.
+ *
+ * Serializes the declared props of the component being rendered into a typed
+ * JSON object, for JS entry points to read from a single data attribute, and
+ * server-renders React islands with those props.
+ */
+class SdcPropsTwigExtension extends AbstractExtension {
+
+  public function __construct(
+    protected ComponentPluginManager $componentPluginManager,
+    protected SsrRenderer $ssrRenderer,
+  ) {
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFunctions(): array {
+    return [
+      new TwigFunction('sdc_props', [$this, 'serializeProps'], ['needs_context' => TRUE]),
+      new TwigFunction('sdc_ssr', [$this, 'renderServerSide'], ['needs_context' => TRUE]),
+    ];
+  }
+
+  /**
+   * Returns the JSON encoded props of a component.
+   *
+   * Every prop declared in the component's schema is included. Values are
+   * coerced to the declared type, missing values fall back to the schema
+   * default and props without a value or default are left out. Props typed
+   * with a PHP class, such as attributes, are never serialized.
+   *
+   * @param array $context
+   *   The Twig context of the component template.
+   * @param string|null $component_id
+   *   (optional) The component ID. Defaults to the ID SDC adds to the
+   *   component attributes.
+   *
+   * @return string
+   *   The JSON encoded props.
+   */
+  public function serializeProps(array $context, ?string $component_id = NULL): string {
+    // An empty array would be encoded as a JSON list.
+    return Json::encode((object) $this->getProps($context, $component_id));
+  }
+
+  /**
+   * Returns the server-rendered markup of a React island.
+   *
+   * The props are the ones sdc_props() serializes, so the markup matches what
+   * the island renders on the client and can be hydrated. Returns an empty
+   * string when no renderer is configured or rendering failed, in which case
+   * the island renders on the client.
+   *
+   * @param array $context
+   *   The Twig context of the component template.
+   * @param string|null $component_id
+   *   (optional) The component ID. Defaults to the ID SDC adds to the
+   *   component attributes.
+   *
+   * @return \Drupal\Core\Render\Markup|string
+   *   The rendered markup.
+   */
+  public function renderServerSide(array $context, ?string $component_id = NULL): Markup|string {
+    $component_id ??= $this->getComponentId($context);
+    $props = $this->getProps($context, $component_id);
+    $html = $this->ssrRenderer->render($this->componentPluginManager->find($component_id)->machineName, $props);
+    return $html === NULL ? '' : Markup::create($html);
+  }
+
+  /**
+   * Returns the typed props of a component, see serializeProps().
+   */
+  protected function getProps(array $context, ?string $component_id = NULL): array {
+    $component_id ??= $this->getComponentId($context);
+    if ($component_id === NULL) {
+      throw new \InvalidArgumentException('Could not determine the component ID, pass it as the first argument.');
+    }
+
+    $schema = $this->componentPluginManager->find($component_id)->metadata->schema ?? [];
+    $props = [];
+    foreach ($schema['properties'] ?? [] as $name => $prop_schema) {
+      $type = $this->getJsonType($prop_schema);
+      if ($type === NULL) {
+        continue;
+      }
+      $value = $context[$name] ?? $prop_schema['default'] ?? NULL;
+      if ($value === NULL) {
+        continue;
+      }
+      $props[$name] = $this->coerce($value, $type);
+    }
+    return $props;
+  }
+
+  /**
+   * Returns the component ID SDC stores in the component attributes.
+   */
+  protected function getComponentId(array $context): ?string {
+    $attributes = $context['attributes'] ?? NULL;
+    if (!$attributes instanceof Attribute || !$attributes->hasAttribute('data-component-id')) {
+      return NULL;
+    }
+    return (string) $attributes->offsetGet('data-component-id')->value();
+  }
+
+  /**
+   * Returns the JSON type of a prop, or NULL for PHP class types.
+   *
+   * SDC adds "object" to every prop type so render arrays can be passed. The
+   * first declared type is the one the component author intended.
+   */
+  protected function getJsonType(array $prop_schema): ?string {
+    $type = ((array) ($prop_schema['type'] ?? 'string'))[0];
+    $json_types = ['string', 'integer', 'number', 'boolean', 'array', 'object'];
+    return in_array($type, $json_types, TRUE) ? $type : NULL;
+  }
+
+  /**
+   * Coerces a Twig value to the given JSON type.
+   */
+  protected function coerce(mixed $value, string $type): mixed {
+    return match ($type) {
+      'integer' => is_numeric($value) ? (int) $value : $value,
+      'number' => is_numeric($value) ? (float) $value : $value,
+      'boolean' => (bool) $value,
+      'string' => is_scalar($value) || $value instanceof \Stringable ? (string) $value : $value,
+      default => $value,
+    };
+  }
+
+}
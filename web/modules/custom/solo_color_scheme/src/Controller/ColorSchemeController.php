@@ -0,0 +1,38 @@
+<?php
+
+namespace Drupal\solo_color_scheme\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Saves the color scheme of the current user.
+ */
+class ColorSchemeController extends ControllerBase {
+
+  /**
+   * Color schemes the switcher offers.
+   */
+  const SCHEMES = ['light', 'dark', 'system'];
+
+  /**
+   * Saves the "scheme" of the JSON request body on the current user.
+   */
+  public function save(Request $request): JsonResponse {
+    $data = json_decode($request->getContent(), TRUE);
+    $scheme = is_array($data) ? ($data['scheme'] ?? NULL) : NULL;
+    if (!in_array($scheme, self::SCHEMES, TRUE)) {
+      return new JsonResponse(['message' => $this->t('Unknown color scheme.')], 400);
+    }
+
+    /** @var \Drupal\user\UserInterface $user */
+    $user = $this->entityTypeManager()->getStorage('user')->load($this->currentUser()->id());
+    if ($user->get('solo_color_scheme')->value !== $scheme) {
+      $user->set('solo_color_scheme', $scheme)->save();
+    }
+
+    return new JsonResponse(['scheme' => $scheme]);
+  }
+
+}
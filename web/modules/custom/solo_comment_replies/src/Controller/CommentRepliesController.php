@@ -0,0 +1,140 @@
+<?php
+
+namespace Drupal\solo_comment_replies\Controller;
+
+use Drupal\comment\CommentInterface;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Entity\EntityDisplayRepositoryInterface;
+use Drupal\Core\Entity\Query\QueryInterface;
+use Drupal\Core\Render\RendererInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Returns the replies of a comment as JSON, one page at a time.
+ */
+class CommentRepliesController extends ControllerBase {
+
+  /**
+   * Number of replies per page when the request doesn't set one.
+   */
+  const DEFAULT_LIMIT = 10;
+
+  /**
+   * Largest number of replies per page.
+   */
+  const MAX_LIMIT = 50;
+
+  public function __construct(
+    protected RendererInterface $renderer,
+    protected EntityDisplayRepositoryInterface $entityDisplayRepository,
+  ) {
+  }
+
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('renderer'),
+      $container->get('entity_display.repository')
+    );
+  }
+
+  /**
+   * Renders a page of the direct replies of a comment.
+   *
+   * Takes "page" and "limit" query parameters. The replies are rendered the
+   * way the comment field renders a thread: in a div.indented, each reply
+   * without its own replies.
+   */
+  public function replies(CommentInterface $comment, Request $request): JsonResponse {
+    $limit = $this->getLimit($request);
+    $page = max(0, (int) $request->query->get('page', 0));
+
+    $total = (int) $this->getReplyQuery($comment)->count()->execute();
+    $ids = $this->getReplyQuery($comment)
+      ->sort('thread')
+      ->range($page * $limit, $limit)
+      ->execute();
+
+    $html = '';
+    if ($ids) {
+      $replies = $this->entityTypeManager()->getStorage('comment')->loadMultiple($ids);
+      $build = $this->entityTypeManager()->getViewBuilder('comment')->viewMultiple($replies, $this->getViewMode($comment));
+      $html = (string) $this->renderer->renderInIsolation($build);
+    }
+
+    return new JsonResponse([
+      'id' => (int) $comment->id(),
+      'html' => $html,
+      'page' => $page,
+      'total' => $total,
+      'remaining' => max(0, $total - ($page + 1) * $limit),
+    ]);
+  }
+
+  /**
+   * Lists the ancestors of a comment, from the top of its thread down.
+   *
+   * Each entry holds the page of the replies of the ancestor on which the
+   * next comment down the path is found, for the same "limit" query
+   * parameter as the replies.
+   */
+  public function path(CommentInterface $comment, Request $request): JsonResponse {
+    $limit = $this->getLimit($request);
+
+    $path = [];
+    $child = $comment;
+    while ($parent = $child->getParentComment()) {
+      $position = (int) $this->getReplyQuery($parent)
+        ->condition('thread', $child->getThread(), '<')
+        ->count()
+        ->execute();
+      array_unshift($path, [
+        'id' => (int) $parent->id(),
+        'page' => intdiv($position, $limit),
+      ]);
+      $child = $parent;
+    }
+
+    return new JsonResponse([
+      'id' => (int) $comment->id(),
+      'path' => $path,
+    ]);
+  }
+
+  /**
+   * Builds a query for the direct replies the current user may see.
+   */
+  protected function getReplyQuery(CommentInterface $comment): QueryInterface {
+    $query = $this->entityTypeManager()->getStorage('comment')->getQuery()
+      ->accessCheck(TRUE)
+      ->condition('pid', $comment->id());
+    if (!$this->currentUser()->hasPermission('administer comments')) {
+      $query->condition('status', CommentInterface::PUBLISHED);
+    }
+    return $query;
+  }
+
+  /**
+   * Gets the number of replies per page of the request.
+   */
+  protected function getLimit(Request $request): int {
+    $limit = (int) $request->query->get('limit', self::DEFAULT_LIMIT);
+    return min(self::MAX_LIMIT, max(1, $limit));
+  }
+
+  /**
+   * Gets the view mode the comment field displays its comments in.
+   */
+  protected function getViewMode(CommentInterface $comment): string {
+    $entity = $comment->getCommentedEntity();
+    if (!$entity) {
+      return 'default';
+    }
+    $component = $this->entityDisplayRepository
+      ->getViewDisplay($entity->getEntityTypeId(), $entity->bundle())
+      ->getComponent($comment->getFieldName());
+    return $component['settings']['view_mode'] ?? 'default';
+  }
+
+}
@@ -0,0 +1,109 @@
+<?php
+
+namespace Drupal\solo_live_search\Controller;
+
+use Drupal\Core\Cache\CacheableJsonResponse;
+use Drupal\Core\Cache\CacheableMetadata;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Messenger\MessengerInterface;
+use Drupal\Core\Render\RendererInterface;
+use Drupal\Core\Url;
+use Drupal\search\SearchPageInterface;
+use Drupal\search\SearchPageRepositoryInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Returns node search results as JSON, grouped by content type.
+ */
+class LiveSearchController extends ControllerBase {
+
+  public function __construct(
+    protected SearchPageRepositoryInterface $searchPageRepository,
+    protected RendererInterface $renderer,
+  ) {
+  }
+
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('search.search_page_repository'),
+      $container->get('renderer')
+    );
+  }
+
+  /**
+   * Searches the index of the node search page.
+   *
+   * Takes the same "keys" and "f" query parameters as the search page, e.g.
+   * f[]=type:article to restrict the results to articles.
+   */
+  public function results(Request $request): CacheableJsonResponse {
+    $keys = trim((string) $request->query->get('keys', ''));
+    $filters = array_filter($request->query->all('f'), 'is_string');
+
+    $cacheability = (new CacheableMetadata())
+      ->addCacheContexts(['url.query_args:keys', 'url.query_args:f', 'user.permissions', 'user.node_grants:view', 'languages:language_interface'])
+      ->addCacheTags(['search_index:node_search']);
+
+    $data = ['keys' => $keys, 'groups' => [], 'url' => NULL];
+    $search_page = $this->getNodeSearchPage();
+    if ($search_page) {
+      $cacheability->addCacheableDependency($search_page);
+      $data['url'] = Url::fromRoute('search.view_' . $search_page->id(), [], [
+        'query' => array_filter(['keys' => $keys, 'f' => $filters]),
+      ])->toString();
+
+      if ($keys !== '') {
+        $data['groups'] = $this->search($search_page, $keys, $filters, $cacheability);
+      }
+    }
+
+    return (new CacheableJsonResponse($data))->addCacheableDependency($cacheability);
+  }
+
+  /**
+   * Runs a search and groups its results by content type.
+   */
+  protected function search(SearchPageInterface $search_page, string $keys, array $filters, CacheableMetadata $cacheability): array {
+    $plugin = $search_page->getPlugin();
+    $plugin->setSearch($keys, ['f' => $filters], []);
+
+    // The plugin adds warnings meant for the search page, e.g. while the
+    // first word typed is shorter than the minimum word size. Keep them from
+    // showing up on the next page the user visits.
+    $warnings = $this->messenger()->messagesByType(MessengerInterface::TYPE_WARNING);
+    $results = $plugin->execute();
+    $this->messenger()->deleteByType(MessengerInterface::TYPE_WARNING);
+    foreach ($warnings as $warning) {
+      $this->messenger()->addWarning($warning);
+    }
+    $cacheability->addCacheableDependency($plugin);
+
+    $groups = [];
+    foreach ($results as $result) {
+      /** @var \Drupal\node\NodeInterface $node */
+      $node = $result['node'];
+      $type = $node->bundle();
+      $groups[$type] ??= ['type' => $type, 'label' => (string) $result['type'], 'results' => []];
+      $groups[$type]['results'][] = [
+        'title' => $result['title'],
+        'url' => $result['link'],
+        'snippet' => (string) $this->renderer->renderInIsolation($result['snippet']),
+      ];
+    }
+    return array_values($groups);
+  }
+
+  /**
+   * Returns the first active search page of the node search plugin.
+   */
+  protected function getNodeSearchPage(): ?SearchPageInterface {
+    foreach ($this->searchPageRepository->getActiveSearchPages() as $search_page) {
+      if ($search_page->getPlugin()->getPluginId() === 'node_search') {
+        return $search_page;
+      }
+    }
+    return NULL;
+  }
+
+}
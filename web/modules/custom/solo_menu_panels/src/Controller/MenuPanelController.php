@@ -0,0 +1,79 @@
+<?php
+
+namespace Drupal\solo_menu_panels\Controller;
+
+use Drupal\Core\Cache\CacheableJsonResponse;
+use Drupal\Core\Cache\CacheableMetadata;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Menu\MenuLinkManagerInterface;
+use Drupal\Core\Menu\MenuLinkTreeInterface;
+use Drupal\Core\Menu\MenuTreeParameters;
+use Drupal\Core\Render\RendererInterface;
+use Drupal\Core\Theme\ThemeManagerInterface;
+use Drupal\system\MenuInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Returns the submenu of a menu link as JSON.
+ */
+class MenuPanelController extends ControllerBase {
+
+  public function __construct(
+    protected MenuLinkTreeInterface $menuTree,
+    protected MenuLinkManagerInterface $menuLinkManager,
+    protected RendererInterface $renderer,
+    protected ThemeManagerInterface $themeManager,
+  ) {
+  }
+
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('menu.link_tree'),
+      $container->get('plugin.manager.menu.link'),
+      $container->get('renderer'),
+      $container->get('theme.manager')
+    );
+  }
+
+  /**
+   * Renders a menu link with everything below it.
+   *
+   * Takes the plugin ID of the link in the "link" query parameter. The link
+   * is rendered the way the primary menu region renders the menu, so the
+   * markup matches the rest of the menu; the Solo theme keeps the submenu of
+   * the link and drops the rest. The html is empty when the link isn't in
+   * the menu or the user may not see it.
+   */
+  public function panel(MenuInterface $menu, Request $request): CacheableJsonResponse {
+    $link = (string) $request->query->get('link', '');
+    $theme = $this->themeManager->getActiveTheme()->getName();
+
+    $cacheability = (new CacheableMetadata())
+      ->addCacheContexts(['url.query_args:link', 'theme', 'languages:language_interface'])
+      ->addCacheableDependency($menu)
+      ->addCacheableDependency($this->config($theme . '.settings'));
+
+    $html = '';
+    $definition = $link !== '' ? $this->menuLinkManager->getDefinition($link, FALSE) : NULL;
+    if ($definition && $definition['menu_name'] === $menu->id()) {
+      $parameters = (new MenuTreeParameters())->setRoot($link)->onlyEnabledLinks();
+      $tree = $this->menuTree->transform($this->menuTree->load($menu->id(), $parameters), [
+        ['callable' => 'menu.default_tree_manipulators:checkAccess'],
+        ['callable' => 'menu.default_tree_manipulators:generateIndexAndSort'],
+      ]);
+      $build = $this->menuTree->build($tree);
+      if (!empty($build['#items'])) {
+        $build['#attributes']['region'] = 'primary_menu';
+        $html = (string) $this->renderer->renderInIsolation($build);
+      }
+      $cacheability->addCacheableDependency(CacheableMetadata::createFromRenderArray($build));
+    }
+
+    return (new CacheableJsonResponse([
+      'link' => $link,
+      'html' => $html,
+    ]))->addCacheableDependency($cacheability);
+  }
+
+}
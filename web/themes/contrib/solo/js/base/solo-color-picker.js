@@ -2,6 +2,10 @@
  * @file
  * Solo Color Picker functionality.
  *
+ * Region text colors also get a badge with their contrast ratio against the
+ * matching background color and the WCAG 2 levels it passes. Below level AA,
+ * the badge offers the closest color, in lightness, that passes.
+ *
  * Filename:     solo-color-picker.js
  * Website:      https://www.flashwebcenter.com
  * Developer:    Alaa Haddad https://www.alaahaddad.com.
@@ -15,6 +19,36 @@
   // Counter for unique IDs
   let colorInputCounter = 0;
 
+  /**
+   * WCAG 2 contrast ratios for normal size text.
+   *
+   * @const {Object}
+   */
+  const CONTRAST_LEVELS = {
+    AA: 4.5,
+    AAA: 7
+  };
+
+  /**
+   * Foreground and background region settings shown together.
+   *
+   * @const {Array}
+   */
+  const CONTRAST_PAIRS = [
+    ['__r_tx', '__r_bg'],
+    ['__r_h1', '__r_bg'],
+    ['__r_lk', '__r_bg'],
+    ['__r_lk_h', '__r_bg'],
+    ['__r_tx', '__r_bg_fr'],
+    ['__r_tx_lk', '__r_bg_lk'],
+    ['__r_tx_lk_h', '__r_bg_lk_h'],
+    ['__r_tx_bt', '__r_bg_bt'],
+    ['__r_tx_bt_h', '__r_bg_bt_h']
+  ];
+
+  // Region color settings are named settings_{region}_{key}.
+  const REGION_SETTING_PATTERN = /^settings_(.+)_(__r_[a-z_]+)$/;
+
   /**
    * Validates if a color value is complete and valid.
    *
@@ -280,6 +314,258 @@
     }
   };
 
+  /**
+   * Converts a hex color to RGB.
+   *
+   * @param {string} hex - A #RGB or #RRGGBB color.
+   * @return {number[]} - The red, green and blue channels, 0 to 255.
+   */
+  const hexToRgb = (hex) => {
+    const value = toSixDigitHex(hex).slice(1);
+    return [0, 2, 4].map((start) => parseInt(value.slice(start, start + 2), 16));
+  };
+
+  /**
+   * Converts RGB channels to a #RRGGBB color.
+   *
+   * @param {number[]} rgb - The red, green and blue channels.
+   * @return {string} - The hex color.
+   */
+  const rgbToHex = (rgb) => '#' + rgb
+    .map((channel) => Math.round(channel).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+
+  /**
+   * Gets the relative luminance of a color, as defined by WCAG 2.
+   *
+   * @param {string} hex - The hex color.
+   * @return {number} - The luminance, 0 to 1.
+   */
+  const getLuminance = (hex) => {
+    const [r, g, b] = hexToRgb(hex).map((channel) => {
+      const c = channel / 255;
+      return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+
+  /**
+   * Gets the contrast ratio of two colors.
+   *
+   * @param {string} foreground - The hex text color.
+   * @param {string} background - The hex background color.
+   * @return {number} - The ratio, 1 to 21.
+   */
+  const getContrastRatio = (foreground, background) => {
+    const l1 = getLuminance(foreground);
+    const l2 = getLuminance(background);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  };
+
+  /**
+   * Converts RGB channels to hue (0-360), saturation and lightness (0-1).
+   *
+   * @param {number[]} rgb - The red, green and blue channels.
+   * @return {number[]} - The hue, saturation and lightness.
+   */
+  const rgbToHsl = (rgb) => {
+    const [r, g, b] = rgb.map((channel) => channel / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) {
+      return [0, 0, l];
+    }
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) {
+      h = (g - b) / d + (g < b ? 6 : 0);
+    } else if (max === g) {
+      h = (b - r) / d + 2;
+    } else {
+      h = (r - g) / d + 4;
+    }
+    return [h * 60, s, l];
+  };
+
+  /**
+   * Converts hue, saturation and lightness to RGB channels.
+   *
+   * @param {number[]} hsl - The hue (0-360), saturation and lightness (0-1).
+   * @return {number[]} - The red, green and blue channels.
+   */
+  const hslToRgb = ([h, s, l]) => {
+    const a = s * Math.min(l, 1 - l);
+    const f = (n) => {
+      const k = (n + h / 30) % 12;
+      return (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+    };
+    return [f(0), f(8), f(4)];
+  };
+
+  /**
+   * Finds the color closest in lightness to a text color that reaches a
+   * contrast ratio, keeping its hue and saturation.
+   *
+   * @param {string} foreground - The hex text color.
+   * @param {string} background - The hex background color.
+   * @param {number} target - The contrast ratio to reach.
+   * @return {string|null} - The hex color, or null if none reaches it.
+   */
+  const suggestColor = (foreground, background, target) => {
+    const [h, s, l] = rgbToHsl(hexToRgb(foreground));
+    for (let step = 0.01; step <= 1; step += 0.01) {
+      for (const lightness of [l - step, l + step]) {
+        if (lightness < 0 || lightness > 1) {
+          continue;
+        }
+        const candidate = rgbToHex(hslToRgb([h, s, lightness]));
+        if (getContrastRatio(candidate, background) >= target) {
+          return candidate;
+        }
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Sets the value of a color text input as if the user had typed it.
+   *
+   * @param {HTMLElement} textInput - The text input element.
+   * @param {string} value - The hex color.
+   */
+  const setColorValue = (textInput, value) => {
+    textInput.value = value;
+    textInput.dispatchEvent(new Event('input', { bubbles: true }));
+    textInput.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  /**
+   * Gets the complete hex color of a region setting.
+   *
+   * @param {HTMLFormElement} form - The theme settings form.
+   * @param {string} name - The setting name.
+   * @return {string} - The color, or '' if unset or incomplete.
+   */
+  const getSettingColor = (form, name) => {
+    const input = form.querySelector(`input[type="text"][name="${name}"]`);
+    const value = input ? input.value.trim() : '';
+    return value && isValidColor(value) ? value : '';
+  };
+
+  /**
+   * Updates a contrast badge from the current form values.
+   *
+   * @param {Object} badge - The badge element and the settings it compares.
+   */
+  const updateContrastBadge = (badge) => {
+    const foreground = getSettingColor(badge.form, badge.foreground);
+    const background = getSettingColor(badge.form, badge.background);
+
+    badge.element.hidden = !foreground || !background;
+    if (badge.element.hidden) {
+      return;
+    }
+
+    const ratio = getContrastRatio(foreground, background);
+    badge.ratio.textContent = Drupal.t('@ratio:1 on @background', {
+      '@ratio': (Math.floor(ratio * 100) / 100).toFixed(2),
+      '@background': badge.backgroundLabel
+    });
+
+    Object.keys(CONTRAST_LEVELS).forEach((level) => {
+      const pass = ratio >= CONTRAST_LEVELS[level];
+      const element = badge.levels[level];
+      element.classList.toggle('solo-contrast__level--pass', pass);
+      element.classList.toggle('solo-contrast__level--fail', !pass);
+      element.textContent = pass
+        ? Drupal.t('@level pass', { '@level': level })
+        : Drupal.t('@level fail', { '@level': level });
+    });
+
+    const suggestion = ratio < CONTRAST_LEVELS.AA
+      ? suggestColor(foreground, background, CONTRAST_LEVELS.AA)
+      : null;
+    badge.suggestion.hidden = !suggestion;
+    if (suggestion) {
+      badge.suggestion.dataset.color = suggestion;
+      badge.suggestion.style.setProperty('--solo-contrast-suggestion', suggestion);
+      badge.suggestion.textContent = Drupal.t('Use @color', { '@color': suggestion });
+    }
+  };
+
+  /**
+   * Adds contrast badges to the text color settings of a form.
+   *
+   * @param {HTMLFormElement} form - The theme settings form.
+   */
+  const initContrastBadges = (form) => {
+    const badges = [];
+
+    form.querySelectorAll('[data-drupal-selector="solo-color-picker"] input[type="text"]').forEach((textInput) => {
+      const match = REGION_SETTING_PATTERN.exec(textInput.name || '');
+      if (!match) return;
+      const [, region, key] = match;
+
+      CONTRAST_PAIRS.filter(([foreground]) => foreground === key).forEach(([, backgroundKey]) => {
+        const background = `settings_${region}_${backgroundKey}`;
+        const backgroundInput = form.querySelector(`input[type="text"][name="${background}"]`);
+        if (!backgroundInput) return;
+
+        const backgroundLabel = form.querySelector(`label[for="${backgroundInput.id}"]`);
+        const element = document.createElement('div');
+        element.className = 'solo-contrast';
+
+        const ratio = document.createElement('span');
+        ratio.className = 'solo-contrast__ratio';
+        element.appendChild(ratio);
+
+        const levels = {};
+        Object.keys(CONTRAST_LEVELS).forEach((level) => {
+          levels[level] = document.createElement('span');
+          levels[level].className = 'solo-contrast__level';
+          element.appendChild(levels[level]);
+        });
+
+        const suggestion = document.createElement('button');
+        suggestion.type = 'button';
+        suggestion.className = 'solo-contrast__suggestion button button--extrasmall';
+        suggestion.addEventListener('click', () => {
+          setColorValue(textInput, suggestion.dataset.color);
+        });
+        element.appendChild(suggestion);
+
+        textInput.closest('[data-drupal-selector="solo-color-picker"]').appendChild(element);
+        badges.push({
+          form,
+          element,
+          ratio,
+          levels,
+          suggestion,
+          foreground: textInput.name,
+          background,
+          backgroundLabel: backgroundLabel
+            ? backgroundLabel.textContent.trim().replace(/^\(|\)$/g, '')
+            : backgroundKey
+        });
+      });
+    });
+
+    if (!badges.length) return;
+
+    badges.forEach(updateContrastBadge);
+
+    // Color inputs update their text input on the next frame.
+    let frame;
+    form.addEventListener('input', (event) => {
+      if (!event.target.closest('[data-drupal-selector="solo-color-picker"]')) return;
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => badges.forEach(updateContrastBadge));
+    });
+  };
+
   /**
    * Solo Color Picker behavior.
    *
@@ -302,6 +588,8 @@
       colorTextInputs.forEach((textInput) => {
         initColorPicker(textInput, context);
       });
+
+      once('solo-contrast', 'form.system-theme-settings', context).forEach(initContrastBadges);
     },
 
     detach: function (context, settings, trigger) {
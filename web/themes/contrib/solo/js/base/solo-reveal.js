@@ -0,0 +1,179 @@
+/**
+ * @file
+ * Solo Theme - Reveal animations on scroll
+ *
+ * Elements with data-solo-reveal are revealed the first time they scroll
+ * into view:
+ * - data-solo-reveal: "fade", "slide-up", "slide-down", "slide-left",
+ *   "slide-right" or "scale".
+ * - data-solo-reveal-delay: Delay before the animation, in milliseconds.
+ * - data-solo-reveal-stagger: Reveals the children one after another, this
+ *   many milliseconds apart, instead of the element as a whole.
+ *
+ * The theme settings add the attributes to the regions, they can be used in
+ * any markup of the page too. solo-reveal.css only hides the elements once
+ * this script has set solo-reveal-on on the html element, so the page shows
+ * in full without JavaScript or IntersectionObserver, and for visitors who
+ * prefer reduced motion.
+ *
+ * Filename:     solo-reveal.js
+ * Website:      https://www.flashwebcenter.com
+ * Developer:    Alaa Haddad https://www.alaahaddad.com
+ */
+
+(function (Drupal, once) {
+  'use strict';
+
+  Drupal.solo = Drupal.solo || {};
+
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+  // Set in the head, before the elements are painted.
+  if ('IntersectionObserver' in window && !reducedMotion.matches) {
+    document.documentElement.classList.add('solo-reveal-on');
+  }
+
+  let observer = null;
+
+  /**
+   * Whether the page is taller than the viewport.
+   *
+   * @return {boolean}
+   *   False when scrolling can't bring more elements into view.
+   */
+  function canScroll() {
+    return document.documentElement.scrollHeight > window.innerHeight;
+  }
+
+  Drupal.solo.reveal = {
+
+    /**
+     * Whether the elements are revealed with an animation.
+     *
+     * @return {boolean}
+     *   False when IntersectionObserver is missing or motion is reduced.
+     */
+    isEnabled: function () {
+      return document.documentElement.classList.contains('solo-reveal-on');
+    },
+
+    /**
+     * Gets the observer revealing the elements.
+     *
+     * @return {IntersectionObserver}
+     *   The observer.
+     */
+    getObserver: function () {
+      if (!observer) {
+        observer = new IntersectionObserver((entries) => {
+          entries.forEach((entry) => {
+            // Elements above the viewport, e.g. after following an anchor,
+            // are revealed too, and all of them on a page that can't scroll.
+            if (entry.isIntersecting || entry.boundingClientRect.bottom < 0 || !canScroll()) {
+              this.reveal(entry.target);
+            }
+          });
+        }, {
+          // Reveal as soon as any part of the element is in the viewport, a
+          // negative bottom margin would keep the last elements of a short
+          // page hidden.
+          rootMargin: '0px',
+          threshold: 0
+        });
+      }
+      return observer;
+    },
+
+    /**
+     * Sets the delays of an element, or of its children when staggered.
+     *
+     * @param {HTMLElement} element
+     *   The element with data-solo-reveal.
+     */
+    prepare: function (element) {
+      const delay = parseInt(element.getAttribute('data-solo-reveal-delay'), 10) || 0;
+      const stagger = parseInt(element.getAttribute('data-solo-reveal-stagger'), 10) || 0;
+
+      if (stagger) {
+        Array.from(element.children).forEach((child, index) => {
+          child.style.setProperty('--solo-reveal-delay', `${delay + index * stagger}ms`);
+        });
+      }
+      else if (delay) {
+        element.style.setProperty('--solo-reveal-delay', `${delay}ms`);
+      }
+    },
+
+    /**
+     * Reveals an element.
+     *
+     * @param {HTMLElement} element
+     *   The element with data-solo-reveal.
+     */
+    reveal: function (element) {
+      element.classList.add('is-revealed');
+      if (observer) {
+        observer.unobserve(element);
+      }
+    },
+
+    /**
+     * Reveals all elements at once and stops animating.
+     */
+    revealAll: function () {
+      document.documentElement.classList.remove('solo-reveal-on');
+      document.querySelectorAll('[data-solo-reveal]').forEach((element) => {
+        element.classList.add('is-revealed');
+      });
+      if (observer) {
+        observer.disconnect();
+        observer = null;
+      }
+    }
+  };
+
+  /**
+   * Reveals the elements with data-solo-reveal as they scroll into view.
+   *
+   * @type {Drupal~behavior}
+   */
+  Drupal.behaviors.soloReveal = {
+    attach: function (context) {
+      const reveal = Drupal.solo.reveal;
+
+      once('solo-reveal-init', 'html', context).forEach(() => {
+        // Layout Builder shows the regions as they are.
+        if (document.getElementById('layout-builder')) {
+          reveal.revealAll();
+          return;
+        }
+
+        reducedMotion.addEventListener('change', () => {
+          if (reducedMotion.matches) {
+            reveal.revealAll();
+          }
+        });
+      });
+
+      const elements = once('solo-reveal', '[data-solo-reveal]', context);
+      if (!reveal.isEnabled()) {
+        elements.forEach((element) => element.classList.add('is-revealed'));
+        return;
+      }
+
+      elements.forEach((element) => {
+        reveal.prepare(element);
+        reveal.getObserver().observe(element);
+      });
+    },
+
+    detach: function (context, settings, trigger) {
+      if (trigger === 'unload' && observer) {
+        once.remove('solo-reveal', '[data-solo-reveal]', context).forEach((element) => {
+          observer.unobserve(element);
+        });
+      }
+    }
+  };
+
+})(Drupal, once);
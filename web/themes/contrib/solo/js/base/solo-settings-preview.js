@@ -0,0 +1,183 @@
+/**
+ * @file
+ * Solo Settings Preview
+ *
+ * Shows the front page in a pane of the theme settings form and applies the
+ * region colors being edited to it as they change, before the form is saved.
+ * Regions are found by their data-solo-region attribute, the colors are set
+ * as the same CSS custom properties the theme prints for saved settings.
+ *
+ * The preview shows the default theme; when editing another theme, it only
+ * matches if that theme is a Solo sub-theme with the same regions.
+ *
+ * Filename:     solo-settings-preview.js
+ * Website:      https://www.flashwebcenter.com
+ * Developer:    Alaa Haddad https://www.alaahaddad.com.
+ */
+((Drupal, drupalSettings, once) => {
+  'use strict';
+
+  Drupal.solo = Drupal.solo || {};
+
+  // Region color settings are named settings_{region}_{key}.
+  const REGION_SETTING_PATTERN = /^settings_(.+)_(__r_[a-z_]+)$/;
+
+  const HEX_PATTERN = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+
+  /**
+   * Live preview pane of a theme settings form.
+   *
+   * @param {HTMLFormElement} form - The theme settings form
+   */
+  Drupal.solo.SettingsPreview = function (form) {
+    this.form = form;
+    this.iframe = null;
+    this.frame = null;
+  };
+
+  /**
+   * Build the toggle button and the pane.
+   */
+  Drupal.solo.SettingsPreview.prototype.init = function () {
+    const container = document.createElement('div');
+    container.className = 'form-item solo-preview-toggle-container';
+
+    this.toggle = document.createElement('button');
+    this.toggle.type = 'button';
+    this.toggle.className = 'button button--small solo-preview-toggle';
+    this.toggle.textContent = Drupal.t('Show live preview');
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.toggle.setAttribute('aria-controls', 'solo-settings-preview');
+    this.toggle.addEventListener('click', () => {
+      if (this.pane.hidden) {
+        this.open();
+      } else {
+        this.close();
+      }
+    });
+    container.appendChild(this.toggle);
+
+    this.pane = document.createElement('section');
+    this.pane.id = 'solo-settings-preview';
+    this.pane.className = 'solo-settings-preview';
+    this.pane.setAttribute('aria-label', Drupal.t('Live preview'));
+    this.pane.hidden = true;
+
+    const bar = document.createElement('div');
+    bar.className = 'solo-settings-preview__bar';
+
+    const title = document.createElement('span');
+    title.className = 'solo-settings-preview__title';
+    title.textContent = Drupal.t('Live preview (unsaved changes)');
+    bar.appendChild(title);
+
+    const reload = document.createElement('button');
+    reload.type = 'button';
+    reload.className = 'button button--extrasmall';
+    reload.textContent = Drupal.t('Reload');
+    reload.addEventListener('click', () => {
+      if (this.iframe) {
+        this.iframe.contentWindow.location.reload();
+      }
+    });
+    bar.appendChild(reload);
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'button button--extrasmall';
+    close.textContent = Drupal.t('Close');
+    close.addEventListener('click', () => this.close());
+    bar.appendChild(close);
+
+    this.pane.appendChild(bar);
+
+    const firstSection = this.form.querySelector(':scope > details.form-wrapper');
+    this.form.insertBefore(container, firstSection);
+    this.form.appendChild(this.pane);
+
+    this.form.addEventListener('input', (event) => {
+      if (this.pane.hidden || !event.target.closest('[data-drupal-selector="solo-color-picker"]')) return;
+      // Color inputs update their text input on the next frame.
+      cancelAnimationFrame(this.frame);
+      this.frame = requestAnimationFrame(() => this.applyAll());
+    });
+  };
+
+  /**
+   * Open the pane, loading the front page the first time.
+   */
+  Drupal.solo.SettingsPreview.prototype.open = function () {
+    if (!this.iframe) {
+      this.iframe = document.createElement('iframe');
+      this.iframe.className = 'solo-settings-preview__frame';
+      this.iframe.title = Drupal.t('Front page preview');
+      // Links followed in the preview load other pages, color them as well.
+      this.iframe.addEventListener('load', () => this.applyAll());
+      this.iframe.src = drupalSettings.path.baseUrl;
+      this.pane.appendChild(this.iframe);
+    }
+
+    this.pane.hidden = false;
+    this.toggle.setAttribute('aria-expanded', 'true');
+    this.toggle.textContent = Drupal.t('Hide live preview');
+    this.applyAll();
+  };
+
+  /**
+   * Close the pane.
+   */
+  Drupal.solo.SettingsPreview.prototype.close = function () {
+    this.pane.hidden = true;
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.toggle.textContent = Drupal.t('Show live preview');
+    this.toggle.focus();
+  };
+
+  /**
+   * Apply every region color of the form to the preview.
+   */
+  Drupal.solo.SettingsPreview.prototype.applyAll = function () {
+    let doc;
+    try {
+      doc = this.iframe && this.iframe.contentDocument;
+    } catch (error) {
+      // The preview navigated to another origin.
+      return;
+    }
+    if (!doc) return;
+
+    this.form.querySelectorAll('[data-drupal-selector="solo-color-picker"] input[type="text"]').forEach((input) => {
+      const match = REGION_SETTING_PATTERN.exec(input.name || '');
+      if (!match) return;
+
+      const [, region, key] = match;
+      const property = key.replace(/_/g, '-');
+      const value = input.value.trim();
+
+      doc.querySelectorAll(`[data-solo-region="${region}"]`).forEach((element) => {
+        if (HEX_PATTERN.test(value)) {
+          element.style.setProperty(property, value);
+        } else if (value === '') {
+          // Unset, the stylesheets apply.
+          element.style.removeProperty(property);
+        }
+      });
+    });
+  };
+
+  /**
+   * Adds the live preview to the Solo theme settings form.
+   *
+   * @type {Drupal~behavior}
+   */
+  Drupal.behaviors.soloSettingsPreview = {
+    attach: function (context) {
+      once('solo-settings-preview', 'form.system-theme-settings', context).forEach((form) => {
+        if (!form.querySelector('[data-drupal-selector="solo-color-picker"]') || !drupalSettings.path) return;
+        form.soloSettingsPreview = new Drupal.solo.SettingsPreview(form);
+        form.soloSettingsPreview.init();
+      });
+    }
+  };
+
+})(Drupal, drupalSettings, once);
@@ -0,0 +1,188 @@
+/**
+ * @file
+ * Light / Dark / System color scheme switcher.
+ *
+ * The scheme is first applied by an inline script of html.html.twig, before
+ * the first paint: it switches the media of the stylesheet of the dark color
+ * scheme and sets data-solo-color-scheme on the html element. This script
+ * does the same when a switcher button is pressed, keeps the choice in
+ * localStorage and, for logged-in users, saves it on their account through
+ * the endpoint of the solo_color_scheme module.
+ *
+ * Filename: solo-color-scheme.js
+ * Website: https://www.flashwebcenter.com
+ * Developer: Alaa Haddad https://www.alaahaddad.com.
+ */
+((Drupal, drupalSettings, once) => {
+  'use strict';
+
+  Drupal.solo = Drupal.solo || {};
+
+  const SCHEMES = ['light', 'dark', 'system'];
+
+  const STORAGE_KEY = 'solo.colorScheme';
+
+  const MEDIA = {
+    light: 'not all',
+    dark: 'all',
+    system: '(prefers-color-scheme: dark)'
+  };
+
+  let tokenRequest = null;
+
+  Drupal.solo.colorScheme = {
+
+    /**
+     * Get the scheme in use.
+     *
+     * @returns {string} "light", "dark" or "system"
+     */
+    get: function () {
+      const scheme = document.documentElement.getAttribute('data-solo-color-scheme');
+      return SCHEMES.includes(scheme) ? scheme : 'system';
+    },
+
+    /**
+     * Get the scheme kept in the browser.
+     *
+     * @returns {string|null} The scheme, null when there's none
+     */
+    getStored: function () {
+      try {
+        const scheme = localStorage.getItem(STORAGE_KEY);
+        return SCHEMES.includes(scheme) ? scheme : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * Keep a scheme in the browser.
+     *
+     * @param {string} scheme - The scheme
+     */
+    store: function (scheme) {
+      try {
+        localStorage.setItem(STORAGE_KEY, scheme);
+      } catch (error) {
+        // Storage is disabled, the choice lasts for this page only.
+      }
+    },
+
+    /**
+     * Apply a scheme to the page and the switchers.
+     *
+     * @param {string} scheme - The scheme
+     */
+    apply: function (scheme) {
+      const link = document.getElementById('solo-color-scheme-dark');
+      if (link) {
+        link.media = MEDIA[scheme];
+      }
+      document.documentElement.setAttribute('data-solo-color-scheme', scheme);
+
+      document.querySelectorAll('[data-solo-color-scheme-switcher] [data-scheme]').forEach((button) => {
+        button.setAttribute('aria-pressed', button.dataset.scheme === scheme ? 'true' : 'false');
+      });
+
+      document.dispatchEvent(new CustomEvent('solo:color-scheme:change', {
+        detail: { scheme: scheme }
+      }));
+    },
+
+    /**
+     * Apply and save the scheme chosen by the user.
+     *
+     * @param {string} scheme - The scheme
+     */
+    set: function (scheme) {
+      if (!SCHEMES.includes(scheme) || scheme === this.get()) return;
+
+      this.apply(scheme);
+      this.store(scheme);
+      this.save(scheme);
+      Drupal.announce(Drupal.t('@scheme color scheme', {
+        '@scheme': { light: Drupal.t('Light'), dark: Drupal.t('Dark'), system: Drupal.t('System') }[scheme]
+      }));
+    },
+
+    /**
+     * Save a scheme on the account of the user.
+     *
+     * @param {string} scheme - The scheme
+     * @returns {Promise|undefined} The request, when the user is logged in
+     */
+    save: function (scheme) {
+      const settings = drupalSettings.solo && drupalSettings.solo.colorScheme;
+      if (!settings || !settings.url) return;
+
+      tokenRequest = tokenRequest || fetch(Drupal.url('session/token'), { credentials: 'same-origin' })
+        .then((response) => response.text());
+
+      return tokenRequest
+        .then((token) => fetch(settings.url, {
+          method: 'POST',
+          credentials: 'same-origin',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': token
+          },
+          body: JSON.stringify({ scheme: scheme })
+        }))
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(response.statusText);
+          }
+        })
+        .catch((error) => {
+          tokenRequest = null;
+          if (window.console && console.error) {
+            console.error('Solo: could not save the color scheme', error);
+          }
+        });
+    }
+  };
+
+  /**
+   * Binds the color scheme switchers.
+   *
+   * @type {Drupal~behavior}
+   */
+  Drupal.behaviors.soloColorScheme = {
+    attach: function (context) {
+      const colorScheme = Drupal.solo.colorScheme;
+
+      once('solo-color-scheme', '[data-solo-color-scheme-switcher]', context).forEach((switcher) => {
+        switcher.addEventListener('click', (event) => {
+          const button = event.target.closest('[data-scheme]');
+          if (button) {
+            colorScheme.set(button.dataset.scheme);
+          }
+        });
+        switcher.hidden = false;
+      });
+
+      once('solo-color-scheme', 'html').forEach(() => {
+        const link = document.getElementById('solo-color-scheme-dark');
+        const stored = colorScheme.getStored();
+
+        if (link && link.hasAttribute('data-user')) {
+          // The account wins over the browser.
+          colorScheme.store(colorScheme.get());
+        } else if (stored) {
+          // First visit since logging in, move the choice to the account.
+          colorScheme.save(stored);
+        }
+        colorScheme.apply(colorScheme.get());
+
+        // Follow the choices made in other tabs.
+        window.addEventListener('storage', (event) => {
+          if (event.key === STORAGE_KEY && SCHEMES.includes(event.newValue)) {
+            colorScheme.apply(event.newValue);
+          }
+        });
+      });
+    }
+  };
+
+})(Drupal, drupalSettings, once);
@@ -1,97 +1,447 @@
 /**
  * @file
  * Comment replies toggle behavior.
+ *
+ * Each group of replies gets a button showing or hiding it. With the
+ * solo_comment_replies module enabled, the replies nested deeper than the
+ * depth of drupalSettings.solo.commentReplies are not rendered with the page:
+ * their parent comment carries the number of replies in data-replies-count,
+ * the thread starts collapsed and loads perPage replies at a time.
+ *
+ * Threads toggled away from their default state are kept in the URL fragment,
+ * e.g. #open=12,45&closed=7, and restored when the page loads. A link to
+ * #comment-123 expands the threads leading to that comment.
  */
 
-(function (Drupal, once) {
+(function (Drupal, drupalSettings, once) {
 
   'use strict';
 
+  const ICON_OPEN = '<svg fill="var(--r-tx)" xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px"><path d="M240-440v-80h480v80H240Z"/></svg>';
+  const ICON_CLOSE = '<svg fill="var(--r-tx)" xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px"><path d="M440-80v-340H120v-120h320v-340h80v340h320v120H520v340h-80Z"/></svg>';
+
   /**
-   * Initialize show/hide button for comment replies.
+   * Threads by the ID of their parent comment.
    *
-   * @param {Element} comments
-   *   The comment wrapper element.
+   * @type {Map<string, Object>}
    */
-  function init(comments) {
-    // Mark comments that have children
-    comments
-      .querySelectorAll('[data-drupal-selector="comment"]')
-      .forEach(function (comment) {
-        if (comment.nextElementSibling?.matches('.indented')) {
-          comment.classList.add('has-children');
-        }
+  const threads = new Map();
+
+  /**
+   * IDs of the threads that differ from their default state.
+   */
+  const fragmentState = {
+    open: new Set(),
+    closed: new Set()
+  };
+
+  /**
+   * Gets the lazy loading settings, if the replies endpoint is available.
+   *
+   * @return {Object|null}
+   *   The depth and perPage settings.
+   */
+  function getSettings() {
+    return (drupalSettings.solo && drupalSettings.solo.commentReplies) || null;
+  }
+
+  /**
+   * Requests JSON from the replies endpoint of a comment.
+   *
+   * @param {string} id
+   *   The comment ID.
+   * @param {string} endpoint
+   *   The endpoint below comment/{id}/, 'replies' or 'replies/path'.
+   * @param {Object} params
+   *   The query parameters.
+   *
+   * @return {Promise<Object>}
+   *   The decoded response.
+   */
+  function fetchReplies(id, endpoint, params) {
+    const url = Drupal.url('comment/' + id + '/' + endpoint) + '?' + new URLSearchParams(params);
+    return fetch(url, {
+      credentials: 'same-origin',
+      headers: { Accept: 'application/json' }
+    }).then(function (response) {
+      if (!response.ok) {
+        throw new Error(response.statusText);
+      }
+      return response.json();
+    });
+  }
+
+  /**
+   * Reads the thread states from the URL fragment.
+   */
+  function readFragment() {
+    const hash = window.location.hash.slice(1);
+    if (hash.indexOf('=') === -1) {
+      return;
+    }
+    const params = new URLSearchParams(hash);
+    Object.keys(fragmentState).forEach(function (key) {
+      (params.get(key) || '').split(',').filter(Boolean).forEach(function (id) {
+        fragmentState[key].add(id);
       });
+    });
+  }
 
-    // Add toggle button for each indented group
-    comments.querySelectorAll('.indented').forEach(function (commentGroup) {
-      const parentComment = commentGroup.previousElementSibling;
-      if (!parentComment) {
-        return;
+  /**
+   * Records the state of a thread in the URL fragment.
+   *
+   * @param {Object} thread
+   *   The thread.
+   */
+  function updateFragment(thread) {
+    fragmentState.open.delete(thread.id);
+    fragmentState.closed.delete(thread.id);
+    if (thread.expanded !== thread.defaultExpanded) {
+      fragmentState[thread.expanded ? 'open' : 'closed'].add(thread.id);
+    }
+
+    const params = [];
+    Object.keys(fragmentState).forEach(function (key) {
+      if (fragmentState[key].size) {
+        params.push(key + '=' + Array.from(fragmentState[key]).join(','));
       }
+    });
 
-      const footer = parentComment.querySelector('.comment__footer');
-      if (!footer) {
-        return;
+    // Replace the entry, toggling threads shouldn't fill the history.
+    const url = window.location.pathname + window.location.search + (params.length ? '#' + params.join('&') : '');
+    window.history.replaceState(window.history.state, '', url);
+  }
+
+  /**
+   * Creates the toggle button of a thread.
+   *
+   * @param {Object} thread
+   *   The thread.
+   * @param {number} replyCount
+   *   The number of direct replies.
+   *
+   * @return {Element}
+   *   The button wrapper.
+   */
+  function createToggle(thread, replyCount) {
+    // Create toggle button wrapper
+    const toggleWrapper = document.createElement('div');
+    toggleWrapper.setAttribute('class', 'comment__replies-wrapper');
+
+    // Create toggle button
+    const toggleButton = document.createElement('button');
+    toggleButton.setAttribute('type', 'button');
+    toggleButton.setAttribute('class', 'comment__replies-toggle solo-button');
+    toggleButton.setAttribute('aria-expanded', String(thread.expanded));
+
+    // Create icon wrapper for open state (minus icon)
+    const iconOpen = document.createElement('span');
+    iconOpen.setAttribute('class', 'comment__replies-icon comment__replies-icon--open');
+    iconOpen.innerHTML = ICON_OPEN;
+
+    // Create icon wrapper for close state (plus icon)
+    const iconClose = document.createElement('span');
+    iconClose.setAttribute('class', 'comment__replies-icon comment__replies-icon--close');
+    iconClose.innerHTML = ICON_CLOSE;
+
+    // Create text
+    const text = document.createElement('span');
+    text.setAttribute('class', 'comment__replies-text');
+    text.textContent = Drupal.t('Replies') + ' (' + replyCount + ')';
+
+    // Append elements
+    toggleButton.appendChild(iconOpen);
+    toggleButton.appendChild(iconClose);
+    toggleButton.appendChild(text);
+    toggleWrapper.appendChild(toggleButton);
+
+    thread.button = toggleButton;
+    return toggleWrapper;
+  }
+
+  /**
+   * Shows or hides the replies of a thread that are in the page.
+   *
+   * @param {Object} thread
+   *   The thread.
+   * @param {boolean} expanded
+   *   Whether to show the replies.
+   * @param {number} [duration]
+   *   The animation duration, the Solo default if not set.
+   */
+  function setExpanded(thread, expanded, duration) {
+    thread.expanded = expanded;
+    thread.button.setAttribute('aria-expanded', String(expanded));
+
+    if (expanded) {
+      Drupal.solo.slideDown(thread.group, duration ?? Drupal.solo.animations.slideDown, 'block', 'comments');
+    }
+    else {
+      Drupal.solo.slideUp(thread.group, duration ?? Drupal.solo.animations.slideUp, 'comments');
+    }
+  }
+
+  /**
+   * Shows or hides a thread, loading its first replies if needed.
+   *
+   * @param {Object} thread
+   *   The thread.
+   * @param {boolean} expanded
+   *   Whether to show the replies.
+   * @param {boolean} [record=true]
+   *   Whether to record the new state in the URL fragment.
+   *
+   * @return {Promise}
+   *   Resolves once the thread is toggled.
+   */
+  function toggleThread(thread, expanded, record) {
+    const ready = expanded && !thread.group ? loadReplies(thread) : Promise.resolve();
+    return ready.then(function () {
+      setExpanded(thread, expanded);
+      if (record !== false) {
+        updateFragment(thread);
       }
+    });
+  }
 
-      // Count replies
-      const replyCount = commentGroup.querySelectorAll('[data-drupal-selector="comment"]').length;
+  /**
+   * Loads the next page of replies of a thread.
+   *
+   * @param {Object} thread
+   *   The thread.
+   *
+   * @return {Promise}
+   *   Resolves once the replies are in the page.
+   */
+  function loadReplies(thread) {
+    if (thread.loading) {
+      return thread.loading;
+    }
 
-      // Create toggle button wrapper
-      const toggleWrapper = document.createElement('div');
-      toggleWrapper.setAttribute('class', 'comment__replies-wrapper');
+    const busy = thread.more ? thread.more.querySelector('button') : thread.button;
+    busy.setAttribute('aria-busy', 'true');
+    busy.disabled = true;
 
-      // Create toggle button
-      const toggleButton = document.createElement('button');
-      toggleButton.setAttribute('type', 'button');
-      toggleButton.setAttribute('class', 'comment__replies-toggle solo-button');
-      toggleButton.setAttribute('aria-expanded', 'true');
-      toggleButton.setAttribute('aria-controls', 'replies-' + parentComment.getAttribute('data-comment-id'));
+    thread.loading = fetchReplies(thread.id, 'replies', {
+      page: thread.page + 1,
+      limit: getSettings().perPage
+    })
+      .then(function (data) {
+        thread.page = data.page;
+        thread.remaining = data.remaining;
 
-      // Create icon wrapper for open state (minus icon)
-      const iconOpen = document.createElement('span');
-      iconOpen.setAttribute('class', 'comment__replies-icon comment__replies-icon--open');
-      iconOpen.innerHTML = '<svg fill="var(--r-tx)" xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px"><path d="M240-440v-80h480v80H240Z"/></svg>';
+        // The replies come in the div.indented of a rendered thread.
+        const template = document.createElement('template');
+        template.innerHTML = data.html;
+        const loaded = template.content.querySelector('.indented');
+        const replies = loaded ? Array.from(loaded.children) : [];
 
+        if (!thread.group) {
+          thread.group = document.createElement('div');
+          thread.group.className = 'indented';
+          thread.group.id = 'replies-' + thread.id;
+          thread.group.style.display = 'none';
+          thread.comment.after(thread.group);
+          thread.button.setAttribute('aria-controls', thread.group.id);
+        }
 
-      // Create icon wrapper for close state (plus icon)
-      const iconClose = document.createElement('span');
-      iconClose.setAttribute('class', 'comment__replies-icon comment__replies-icon--close');
-      iconClose.setAttribute('hidden', '');
-      iconClose.innerHTML = '<svg fill="var(--r-tx)" xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px"><path d="M440-80v-340H120v-120h320v-340h80v340h320v120H520v340h-80Z"/></svg>';
+        replies.forEach(function (reply) {
+          thread.group.insertBefore(reply, thread.more);
+        });
+        updateMore(thread);
 
-      // Create text
-      const text = document.createElement('span');
-      text.setAttribute('class', 'comment__replies-text');
-      text.textContent = Drupal.t('Replies') + ' (' + replyCount + ')';
+        Drupal.attachBehaviors(thread.group, drupalSettings);
+        initThreads(thread.group);
 
-      // Append elements
-      toggleButton.appendChild(iconOpen);
-      toggleButton.appendChild(iconClose);
-      toggleButton.appendChild(text);
-      toggleWrapper.appendChild(toggleButton);
-      footer.appendChild(toggleWrapper);
+        Drupal.announce(Drupal.formatPlural(replies.length, '1 reply loaded', '@count replies loaded'));
+      })
+      .catch(function (error) {
+        if (window.console && console.error) {
+          console.error('Solo Theme: Failed to load comment replies', error);
+        }
+        Drupal.announce(Drupal.t('The replies could not be loaded.'), 'assertive');
+        throw error;
+      })
+      .finally(function () {
+        thread.loading = null;
+        busy.removeAttribute('aria-busy');
+        busy.disabled = false;
+      });
 
-      // Set ID for aria-controls
-      commentGroup.id = 'replies-' + parentComment.getAttribute('data-comment-id');
+    return thread.loading;
+  }
 
-      // Add click event using Solo slideUp/slideDown
-      toggleButton.addEventListener('click', function (e) {
+  /**
+   * Adds, updates or removes the "load more" button of a thread.
+   *
+   * @param {Object} thread
+   *   The thread.
+   */
+  function updateMore(thread) {
+    if (!thread.remaining) {
+      if (thread.more) {
+        thread.more.remove();
+        thread.more = null;
+      }
+      return;
+    }
+
+    if (!thread.more) {
+      thread.more = document.createElement('div');
+      thread.more.className = 'comment__replies-more';
+      const button = document.createElement('button');
+      button.setAttribute('type', 'button');
+      button.setAttribute('class', 'comment__replies-more-button solo-button');
+      button.addEventListener('click', function (e) {
         e.preventDefault();
-        const isExpanded = toggleButton.getAttribute('aria-expanded') === 'true';
-
-        if (isExpanded) {
-          // Close replies
-          Drupal.solo.slideUp(commentGroup, Drupal.solo.animations.slideUp, 'comments');
-          toggleButton.setAttribute('aria-expanded', 'false');
-        } else {
-          // Open replies
-          Drupal.solo.slideDown(commentGroup, Drupal.solo.animations.slideDown, 'block', 'comments');
-          toggleButton.setAttribute('aria-expanded', 'true');
-        }
+        loadReplies(thread).catch(function () {});
       });
+      thread.more.appendChild(button);
+      thread.group.appendChild(thread.more);
+    }
+
+    const next = Math.min(thread.remaining, getSettings().perPage);
+    thread.more.querySelector('button').textContent = Drupal.formatPlural(next, 'Load 1 more reply', 'Load @count more replies');
+  }
+
+  /**
+   * Adds a toggle to a comment with replies.
+   *
+   * @param {Element} comment
+   *   The comment element.
+   */
+  function initThread(comment) {
+    const id = comment.getAttribute('data-comment-id');
+    const footer = comment.querySelector('.comment__footer');
+    if (!id || !footer || threads.has(id)) {
+      return;
+    }
+
+    const group = comment.nextElementSibling?.matches('.indented') ? comment.nextElementSibling : null;
+    let replyCount;
+    if (group) {
+      replyCount = group.querySelectorAll(':scope > [data-drupal-selector="comment"]').length;
+    }
+    else if (getSettings()) {
+      // Collapsed on the server, the replies load when expanded.
+      replyCount = parseInt(comment.getAttribute('data-replies-count'), 10) || 0;
+    }
+    if (!replyCount) {
+      return;
+    }
+
+    const thread = {
+      id: id,
+      comment: comment,
+      group: group,
+      defaultExpanded: !!group,
+      expanded: !!group,
+      // Last loaded page of replies, rendered threads have them all.
+      page: group ? 0 : -1,
+      remaining: 0,
+      loading: null,
+      more: null,
+      button: null
+    };
+    threads.set(id, thread);
+
+    comment.classList.add('has-children');
+    footer.appendChild(createToggle(thread, replyCount));
+
+    if (group) {
+      // Set ID for aria-controls
+      group.id = 'replies-' + id;
+      thread.button.setAttribute('aria-controls', group.id);
+    }
+
+    thread.button.addEventListener('click', function (e) {
+      e.preventDefault();
+      toggleThread(thread, !thread.expanded).catch(function () {});
     });
+
+    // Restore the state from the URL fragment.
+    if (fragmentState.open.has(id) && !thread.expanded) {
+      toggleThread(thread, true, false).catch(function () {});
+    }
+    else if (fragmentState.closed.has(id) && thread.expanded) {
+      setExpanded(thread, false, 0);
+    }
+  }
+
+  /**
+   * Initialize show/hide buttons for the comments in an element.
+   *
+   * @param {Element} element
+   *   The comment wrapper element or a group of loaded replies.
+   */
+  function initThreads(element) {
+    element
+      .querySelectorAll('[data-drupal-selector="comment"]')
+      .forEach(initThread);
+  }
+
+  /**
+   * Expands the threads leading to a comment and scrolls to it.
+   *
+   * @param {string} id
+   *   The comment ID.
+   */
+  function revealComment(id) {
+    const settings = getSettings();
+    let ready = Promise.resolve();
+
+    if (!document.getElementById('comment-' + id)) {
+      if (!settings) {
+        return;
+      }
+      // The comment is in a collapsed thread, load the threads above it down
+      // to the page of replies it is on.
+      ready = fetchReplies(id, 'replies/path', { limit: settings.perPage }).then(function (data) {
+        return data.path.reduce(function (previous, step) {
+          return previous.then(function () {
+            const thread = threads.get(String(step.id));
+            if (!thread) {
+              return;
+            }
+            const loadUntil = function () {
+              if (thread.page < step.page && thread.remaining) {
+                return loadReplies(thread).then(loadUntil);
+              }
+            };
+            return (thread.group ? Promise.resolve() : loadReplies(thread)).then(loadUntil);
+          });
+        }, Promise.resolve());
+      });
+    }
+
+    ready.then(function () {
+      const target = document.getElementById('comment-' + id);
+      if (!target) {
+        return;
+      }
+
+      // Show the threads the comment is in, without animation.
+      let group = target.closest('.indented');
+      while (group) {
+        const thread = threads.get(group.id.replace('replies-', ''));
+        if (thread && !thread.expanded) {
+          setExpanded(thread, true, 0);
+        }
+        group = group.parentElement.closest('.indented');
+      }
+
+      target.scrollIntoView({ block: 'start' });
+    }).catch(function () {});
+  }
+
+  /**
+   * Reveals the comment the URL fragment points to.
+   */
+  function revealFragmentComment() {
+    const match = window.location.hash.match(/^#comment-(\d+)$/);
+    if (match) {
+      revealComment(match[1]);
+    }
   }
 
   /**
@@ -101,8 +451,19 @@
    */
   Drupal.behaviors.commentRepliesToggle = {
     attach: function (context) {
-      once('comment-replies-toggle', '[data-drupal-selector="comments"]', context).forEach(init);
+      const comments = once('comment-replies-toggle', '[data-drupal-selector="comments"]', context);
+      if (!comments.length) {
+        return;
+      }
+
+      if (once('comment-replies-fragment', 'html').length) {
+        readFragment();
+        window.addEventListener('hashchange', revealFragmentComment);
+      }
+
+      comments.forEach(initThreads);
+      revealFragmentComment();
     }
   };
 
-})(Drupal, once);
+})(Drupal, drupalSettings, once);
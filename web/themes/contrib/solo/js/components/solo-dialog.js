@@ -0,0 +1,281 @@
+/**
+ * @file
+ * Solo Dialog - shared controller for modal overlays.
+ *
+ * The popup login block, the fixed search block and the side menu register
+ * with Drupal.solo.dialog and open and close through the returned handle.
+ * The controller keeps a stack of the open overlays and owns what they have
+ * in common: focus trapping, the Escape key, outside clicks, inert toggling,
+ * scroll locking and returning focus on close.
+ *
+ * An overlay opened from inside the topmost one (the login popup opened from
+ * the side menu) is stacked on top of it; any other overlay opening closes
+ * the open ones first. Only the topmost overlay reacts to Escape, Tab and
+ * outside clicks.
+ *
+ * Events, dispatched on the overlay element and bubbling:
+ * - solo:dialog:open, detail: { id, element, trigger, depth }
+ * - solo:dialog:close, detail: { id, element, depth }
+ *
+ * Filename: solo-dialog.js
+ * Website: https://www.flashwebcenter.com
+ * Developer: Alaa Haddad https://www.alaahaddad.com.
+ */
+((Drupal) => {
+  'use strict';
+
+  Drupal.solo = Drupal.solo || {};
+
+  const FOCUSABLE_SELECTOR = [
+    'a[href]:not([tabindex="-1"])',
+    'button:not([disabled]):not([tabindex="-1"])',
+    'input:not([disabled]):not([type="hidden"]):not([tabindex="-1"])',
+    'select:not([disabled]):not([tabindex="-1"])',
+    'textarea:not([disabled]):not([tabindex="-1"])',
+    '[tabindex]:not([tabindex="-1"])',
+    '[contenteditable="true"]:not([tabindex="-1"])'
+  ].join(', ');
+
+  const SCROLL_LOCK_CLASS = 'solo-dialog-scroll-lock';
+
+  // Open dialogs, the topmost last.
+  const stack = [];
+
+  const getTop = () => stack[stack.length - 1];
+
+  const isVisible = (element) =>
+    element.getClientRects().length > 0 && getComputedStyle(element).visibility !== 'hidden';
+
+  const getFocusable = (dialog) => {
+    if (typeof dialog.options.focusable === 'function') {
+      return dialog.options.focusable().filter(Boolean);
+    }
+    return Array.from(dialog.element.querySelectorAll(FOCUSABLE_SELECTOR)).filter(isVisible);
+  };
+
+  const getContainer = (dialog) => {
+    const { container } = dialog.options;
+    return (typeof container === 'function' ? container() : container) || dialog.element;
+  };
+
+  const dispatch = (dialog, type, detail = {}) => {
+    dialog.element.dispatchEvent(new CustomEvent(`solo:dialog:${type}`, {
+      bubbles: true,
+      detail: {
+        id: dialog.id,
+        element: dialog.element,
+        depth: stack.length,
+        ...detail
+      }
+    }));
+  };
+
+  // Keeps Tab and Shift+Tab within the topmost dialog.
+  const trapFocus = (event, dialog) => {
+    const focusable = getFocusable(dialog);
+    event.preventDefault();
+    if (focusable.length === 0) return;
+
+    const index = focusable.indexOf(document.activeElement);
+    let next;
+    if (event.shiftKey) {
+      next = index > 0 ? index - 1 : focusable.length - 1;
+    } else {
+      next = index < focusable.length - 1 ? index + 1 : 0;
+    }
+    focusable[next].focus();
+  };
+
+  const onKeydown = (event) => {
+    const dialog = getTop();
+    if (!dialog) return;
+
+    if (event.key === 'Escape' || event.key === 'Esc') {
+      if (dialog.options.closeOnEscape) {
+        event.preventDefault();
+        dialog.handle.close();
+      }
+      return;
+    }
+
+    if (event.key === 'Tab' && dialog.options.trapFocus) {
+      trapFocus(event, dialog);
+    }
+  };
+
+  const onClick = (event) => {
+    const dialog = getTop();
+    if (!dialog || !dialog.options.closeOnOutsideClick) return;
+
+    const target = event.target;
+    if (!(target instanceof Element) || !target.isConnected) return;
+    if (getContainer(dialog).contains(target)) return;
+    if (dialog.options.triggers && target.closest(dialog.options.triggers)) return;
+
+    dialog.handle.close();
+  };
+
+  // Global listeners only exist while a dialog is open.
+  const updateListeners = () => {
+    if (stack.length) {
+      document.addEventListener('keydown', onKeydown);
+      document.addEventListener('click', onClick, true);
+    } else {
+      document.removeEventListener('keydown', onKeydown);
+      document.removeEventListener('click', onClick, true);
+    }
+  };
+
+  const updateScrollLock = () => {
+    const root = document.documentElement;
+    const lock = stack.some((dialog) => dialog.options.lockScroll);
+    if (lock && !root.classList.contains(SCROLL_LOCK_CLASS)) {
+      // Keep the layout from shifting when the scrollbar disappears.
+      root.style.setProperty('--solo-scrollbar-width', `${window.innerWidth - root.clientWidth}px`);
+      root.classList.add(SCROLL_LOCK_CLASS);
+    } else if (!lock) {
+      root.classList.remove(SCROLL_LOCK_CLASS);
+      root.style.removeProperty('--solo-scrollbar-width');
+    }
+  };
+
+  Drupal.solo.dialog = {
+    /**
+     * Registers an overlay.
+     *
+     * @param {HTMLElement} element - The overlay element
+     * @param {Object} options - The overlay options
+     * @param {string} options.id - Name used in events, e.g. 'login'
+     * @param {Function} [options.onOpen] - Shows the overlay, receives the trigger
+     * @param {Function} [options.onClose] - Hides the overlay
+     * @param {HTMLElement|Function} [options.container] - Clicks outside of it
+     *   close the overlay, defaults to the overlay element
+     * @param {string} [options.triggers] - Selector of the elements opening the
+     *   overlay, clicks on them aren't outside clicks
+     * @param {Function} [options.focusable] - Returns the elements Tab cycles
+     *   through, defaults to the focusable descendants of the overlay
+     * @param {boolean} [options.closeOnEscape=true]
+     * @param {boolean} [options.closeOnOutsideClick=true]
+     * @param {boolean} [options.trapFocus=true]
+     * @param {boolean} [options.returnFocus=true] - Focus the trigger on close
+     * @param {boolean} [options.inert=true] - Make the overlay inert when closed
+     * @param {boolean} [options.lockScroll=false] - Prevent the page from
+     *   scrolling while the overlay is open
+     * @param {boolean} [options.initiallyOpen=false] - The overlay is rendered
+     *   open, it's put on the stack without calling onOpen
+     * @returns {Object} Handle with open(trigger), close(), isOpen(),
+     *   configure(options) and destroy() methods
+     */
+    register(element, options) {
+      const dialog = {
+        id: options.id,
+        element,
+        trigger: null,
+        options: {
+          closeOnEscape: true,
+          closeOnOutsideClick: true,
+          trapFocus: true,
+          returnFocus: true,
+          inert: true,
+          lockScroll: false,
+          ...options
+        }
+      };
+
+      const handle = {
+        open(trigger = document.activeElement) {
+          if (stack.includes(dialog)) return;
+
+          // Opening from inside the topmost dialog nests, anything else
+          // replaces the open dialogs.
+          const top = getTop();
+          if (top && !(trigger instanceof Node && top.element.contains(trigger))) {
+            Drupal.solo.dialog.closeAll();
+          }
+
+          dialog.trigger = trigger instanceof HTMLElement && trigger !== document.body ? trigger : null;
+          stack.push(dialog);
+          if (dialog.options.inert) {
+            Drupal.solo.setInert(element, false);
+          }
+          updateListeners();
+          updateScrollLock();
+
+          if (typeof dialog.options.onOpen === 'function') {
+            dialog.options.onOpen(dialog.trigger);
+          }
+          dispatch(dialog, 'open', { trigger: dialog.trigger });
+        },
+
+        close() {
+          const index = stack.indexOf(dialog);
+          if (index === -1) return;
+
+          // Dialogs stacked on this one close first.
+          stack.slice(index + 1).reverse().forEach((nested) => nested.handle.close());
+          stack.splice(stack.indexOf(dialog), 1);
+
+          // Move focus out before the overlay is hidden, unless the user
+          // already moved it elsewhere (e.g. by clicking outside).
+          const active = document.activeElement;
+          const focusInside = !active || active === document.body || element.contains(active);
+          if (focusInside && dialog.options.returnFocus && dialog.trigger && dialog.trigger.isConnected) {
+            dialog.trigger.focus({ preventScroll: true });
+          } else if (element.contains(active)) {
+            active.blur();
+          }
+          dialog.trigger = null;
+
+          if (typeof dialog.options.onClose === 'function') {
+            dialog.options.onClose();
+          }
+          if (dialog.options.inert) {
+            Drupal.solo.setInert(element, true);
+          }
+          updateListeners();
+          updateScrollLock();
+          dispatch(dialog, 'close');
+        },
+
+        isOpen() {
+          return stack.includes(dialog);
+        },
+
+        configure(newOptions) {
+          Object.assign(dialog.options, newOptions);
+        },
+
+        destroy() {
+          handle.close();
+        }
+      };
+
+      dialog.handle = handle;
+
+      if (dialog.options.initiallyOpen) {
+        stack.push(dialog);
+        updateListeners();
+        updateScrollLock();
+      }
+
+      return handle;
+    },
+
+    /**
+     * Closes every open overlay, the topmost first.
+     */
+    closeAll() {
+      stack.slice().reverse().forEach((dialog) => dialog.handle.close());
+    },
+
+    /**
+     * Returns the ids of the open overlays, the topmost last.
+     *
+     * @returns {string[]} The overlay ids
+     */
+    getOpen() {
+      return stack.map((dialog) => dialog.id);
+    }
+  };
+
+})(Drupal);
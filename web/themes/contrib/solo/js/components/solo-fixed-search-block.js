@@ -27,10 +27,12 @@
    * @type {Object}
    * @property {boolean} isOpen - Current state of the search block
    * @property {number} animationId - Current animation frame ID
+   * @property {Object} dialog - Handle returned by Drupal.solo.dialog.register
    */
   Drupal.solo.searchBlock = {
     isOpen: false,
-    animationId: null
+    animationId: null,
+    dialog: null
   };
 
   /**
@@ -72,7 +74,11 @@
         once.remove('solo-search-block-init', '[id="fixed-search-block"]', context);
         once.remove('solo-search-open-btn', '.search-button-open > button', context);
         once.remove('solo-search-close-btn', '.search-button-close > button', context);
-        once.remove('solo-search-outside-click', 'body', document);
+
+        if (Drupal.solo.searchBlock.dialog) {
+          Drupal.solo.searchBlock.dialog.destroy();
+          Drupal.solo.searchBlock.dialog = null;
+        }
 
         // Cancel any pending animations
         if (Drupal.solo.searchBlock.animationId) {
@@ -97,6 +103,20 @@
 
       // Cache elements for performance
       const cache = this.createElementCache(searchBlock);
+      const initiallyOpen = searchBlock.classList.contains('toggled');
+
+      // Focus trapping, Escape, outside clicks and focus return are handled by
+      // the shared dialog controller, which also closes the other overlays
+      Drupal.solo.searchBlock.dialog = Drupal.solo.dialog.register(searchBlock, {
+        id: 'search',
+        triggers: '.search-button-open',
+        focusable: () => Array.from(
+          searchBlock.querySelectorAll('button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])')
+        ).filter(el => el.offsetParent !== null),
+        initiallyOpen: initiallyOpen,
+        onOpen: () => this.toggleSearchBlock(true, searchBlock, cache),
+        onClose: () => this.toggleSearchBlock(false, searchBlock, cache)
+      });
 
       // Expose public API method
       Drupal.solo.searchBlockToggle = this.createToggleFunction(searchBlock, cache);
@@ -108,14 +128,7 @@
         });
       }
 
-      // Add keyboard trap handler
-      this.attachKeyboardTrap(searchBlock);
-
-      // Add outside click handler
-      this.attachOutsideClickHandler(searchBlock, context);
-
        // Set initial ARIA attributes based on current DOM state.
-       const initiallyOpen = searchBlock.classList.contains('toggled');
        Drupal.solo.searchBlock.isOpen = initiallyOpen;
        this.setInitialAriaAttributes(searchBlock, cache);
        this.setAriaAttributes(initiallyOpen, searchBlock, cache);
@@ -133,14 +146,16 @@
         openButtons: document.querySelectorAll('.search-button-open > button'),
         closeButton: searchBlock.querySelector('.search-button-close > button'),
         inputs: searchBlock.querySelectorAll('input'),
-        focusableElements: searchBlock.querySelectorAll('button, input, [tabindex]:not([tabindex="-1"])'),
-        mainSideNav: document.getElementById('primary-sidebar-menu')
+        focusableElements: searchBlock.querySelectorAll('button, input, [tabindex]:not([tabindex="-1"])')
       };
     },
 
     /**
      * Create the toggle function with proper error handling.
      *
+     * Opening and closing go through the dialog controller, which calls
+     * toggleSearchBlock() back.
+     *
      * @param {HTMLElement} searchBlock - The search block element
      * @param {Object} cache - Cached element references
      * @returns {Function} The toggle function
@@ -149,7 +164,13 @@
       const self = this;
       return function (isOpen) {
         try {
-          self.toggleSearchBlock(isOpen, searchBlock, cache);
+          const dialog = Drupal.solo.searchBlock.dialog;
+          if (isOpen) {
+            dialog.open(Drupal.solo.searchBlock.triggerElement || document.activeElement);
+          } else {
+            dialog.close();
+          }
+          Drupal.solo.searchBlock.triggerElement = null;
         } catch (error) {
           self.handleError('Failed to toggle search block', error);
         }
@@ -225,15 +246,6 @@
         }
       };
       searchBlock.addEventListener('transitionend', onOpenEnd);
-
-      // Close sidebar if present
-      if (cache.mainSideNav && typeof Drupal.solo.sideMenubarToggleNav === 'function') {
-        try {
-          Drupal.solo.sideMenubarToggleNav(false);
-        } catch (error) {
-          this.logWarning('Failed to close sidebar', error);
-        }
-      }
     },
 
     /**
@@ -264,16 +276,6 @@
           searchBlock.style.height = '';
 
          searchBlock.removeEventListener('transitionend', onCloseEnd);
-         // Return focus to the element that opened the search, if known.
-         if (Drupal.solo.searchBlock.triggerElement) {
-           try {
-             Drupal.solo.searchBlock.triggerElement.focus();
-           } catch (e) {
-             // no-op
-           }
-           Drupal.solo.searchBlock.triggerElement = null;
-         }
-
         }
       };
       searchBlock.addEventListener('transitionend', onCloseEnd);
@@ -387,70 +389,6 @@
       }
     },
 
-    /**
-     * Attach keyboard trap for accessibility.
-     *
-     * @param {HTMLElement} searchBlock - The search block element
-     */
-    attachKeyboardTrap: function (searchBlock) {
-      const trapHandler = this.createKeyboardTrapHandler(searchBlock);
-      searchBlock.addEventListener('keydown', trapHandler);
-
-      // Store reference for cleanup
-      searchBlock.dataset.keyboardTrapHandler = 'attached';
-    },
-
-    /**
-     * Create keyboard trap handler.
-     *
-     * @param {HTMLElement} searchBlock - The search block element
-     * @returns {Function} The keyboard trap handler
-     */
-    createKeyboardTrapHandler: function (searchBlock) {
-      return (event) => {
-        if (!Drupal.solo.searchBlock.isOpen) {
-          return;
-        }
-
-        // Allow Escape to close any time the block is open.
-        if (event.key === 'Escape') {
-          event.preventDefault();
-          if (typeof Drupal.solo.searchBlockToggle === 'function') {
-            Drupal.solo.searchBlockToggle(false);
-          }
-          // If we know who opened it, return focus there; otherwise focus the first opener.
-          const opener =
-            Drupal.solo.searchBlock.triggerElement ||
-            document.querySelector('.search-button-open > button');
-          if (opener) {
-            opener.focus();
-          }
-          return;
-        }
-
-        if (event.key !== 'Tab') {
-          return;
-        }
-
-        const focusable = Array.from(
-          searchBlock.querySelectorAll('button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])')
-        ).filter(el => el.offsetParent !== null);
-
-        if (focusable.length === 0) return;
-
-        const first = focusable[0];
-        const last = focusable[focusable.length - 1];
-
-        if (event.shiftKey && event.target === first) {
-          event.preventDefault();
-          last.focus();
-        } else if (!event.shiftKey && event.target === last) {
-          event.preventDefault();
-          first.focus();
-        }
-      };
-    },
-
     /**
      * Attach open button handler with debouncing.
      *
@@ -480,41 +418,14 @@
      */
     attachCloseButtonHandler: function (button, searchBlock, cache) {
       const debouncedHandler = this.debounce(() => {
-        this.toggleSearchBlock(false, searchBlock, cache);
+        if (typeof Drupal.solo.searchBlockToggle === 'function') {
+          Drupal.solo.searchBlockToggle(false);
+        }
       }, 200);
 
       button.addEventListener('click', debouncedHandler);
     },
 
-    /**
-     * Attach outside click handler.
-     *
-     * @param {HTMLElement} searchBlock - The search block element
-     * @param {HTMLElement} context - The context element
-     */
-      attachOutsideClickHandler: function (searchBlock, context) {
-        // Attach a single, global outside-click listener for the page lifetime.
-        // Using document as the context ensures this runs once even after AJAX attaches.
-        once('solo-search-outside-click', 'body', document).forEach(() => {
-          document.addEventListener('click', (event) => {
-            if (!searchBlock || !Drupal.solo.searchBlock.isOpen) {
-              return;
-            }
-
-            const target = event.target;
-            // Treat clicks as "outside" if they are neither inside the block nor on any open button.
-            const isOutsideClick =
-              !searchBlock.contains(target) &&
-              !(target.closest && target.closest('.search-button-open'));
-
-            if (isOutsideClick && typeof Drupal.solo.searchBlockToggle === 'function') {
-              Drupal.solo.searchBlockToggle(false);
-            }
-          });
-        });
-      },
-
-
     /**
      * Announce state change to screen readers.
      *
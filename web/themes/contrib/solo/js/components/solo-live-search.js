@@ -0,0 +1,370 @@
+/**
+ * @file
+ * Search-as-you-type results for the fixed search block.
+ *
+ * Results come from the endpoint of the solo_live_search module, whose URL is
+ * passed in drupalSettings.solo.liveSearch, and are restricted to the content
+ * types of drupalSettings.solo.searchContentTypes. They are shown as a
+ * listbox grouped by content type under the search input, following the
+ * WAI-ARIA combobox pattern.
+ *
+ * Filename: solo-live-search.js
+ * Website: https://www.flashwebcenter.com
+ * Developer: Alaa Haddad https://www.alaahaddad.com.
+ */
+((Drupal, drupalSettings, once) => {
+  'use strict';
+
+  Drupal.solo = Drupal.solo || {};
+
+  const DEBOUNCE_DELAY = 250;
+
+  let instanceCount = 0;
+
+  /**
+   * Live search results attached to a search input.
+   *
+   * @param {HTMLInputElement} input - The search input
+   * @param {Object} settings - drupalSettings.solo.liveSearch
+   */
+  Drupal.solo.LiveSearch = function (input, settings) {
+    this.input = input;
+    this.form = input.form;
+    this.url = settings.url;
+    this.minLength = Math.max(1, Number(settings.minLength) || 1);
+    this.options = [];
+    this.activeIndex = -1;
+    this.controller = null;
+    this.lastKeys = '';
+    this.id = 'solo-live-search-' + (++instanceCount);
+    this.boundHandlers = {};
+  };
+
+  /**
+   * Build the listbox and bind the input.
+   */
+  Drupal.solo.LiveSearch.prototype.init = function () {
+    this.listbox = document.createElement('div');
+    this.listbox.id = this.id;
+    this.listbox.className = 'solo-live-search';
+    this.listbox.setAttribute('role', 'listbox');
+    this.listbox.setAttribute('aria-label', Drupal.t('Search results'));
+    this.listbox.hidden = true;
+    this.form.after(this.listbox);
+
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-autocomplete', 'list');
+    this.input.setAttribute('aria-controls', this.id);
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.setAttribute('autocomplete', 'off');
+
+    this.boundHandlers.input = Drupal.debounce(() => this.search(), DEBOUNCE_DELAY);
+    this.boundHandlers.keydown = (e) => this.handleKeydown(e);
+    this.boundHandlers.click = (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) {
+        this.select(option);
+      }
+    };
+    // Keep focus in the input while clicking an option.
+    this.boundHandlers.mousedown = (e) => e.preventDefault();
+    this.boundHandlers.dialogClose = (e) => {
+      if (e.target.contains(this.input)) {
+        this.hide();
+      }
+    };
+
+    this.input.addEventListener('input', this.boundHandlers.input);
+    this.input.addEventListener('keydown', this.boundHandlers.keydown);
+    this.listbox.addEventListener('click', this.boundHandlers.click);
+    this.listbox.addEventListener('mousedown', this.boundHandlers.mousedown);
+    document.addEventListener('solo:dialog:close', this.boundHandlers.dialogClose);
+  };
+
+  /**
+   * Get the content type filters, in the format of the search page.
+   *
+   * @returns {string[]} The f[] values, e.g. 'type:article'
+   */
+  Drupal.solo.LiveSearch.prototype.getFilters = function () {
+    const contentTypes = drupalSettings.solo && drupalSettings.solo.searchContentTypes;
+    return Object.values(contentTypes || {}).map((type) => 'type:' + type);
+  };
+
+  /**
+   * Request the results of the current keywords.
+   */
+  Drupal.solo.LiveSearch.prototype.search = function () {
+    const keys = this.input.value.trim();
+    if (keys === this.lastKeys) return;
+    this.lastKeys = keys;
+
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+
+    // Core search ignores words shorter than the minimum word size.
+    if (!keys.split(/\s+/).some((word) => word.length >= this.minLength)) {
+      this.hide();
+      return;
+    }
+
+    const url = new URL(this.url, window.location.href);
+    url.searchParams.set('keys', keys);
+    this.getFilters().forEach((filter, index) => {
+      url.searchParams.set('f[' + index + ']', filter);
+    });
+
+    this.controller = new AbortController();
+    this.listbox.setAttribute('aria-busy', 'true');
+    fetch(url, {
+      credentials: 'same-origin',
+      headers: { Accept: 'application/json' },
+      signal: this.controller.signal
+    })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(response.statusText);
+        }
+        return response.json();
+      })
+      .then((data) => {
+        this.controller = null;
+        this.render(data);
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          this.controller = null;
+          this.hide();
+        }
+      })
+      .finally(() => {
+        this.listbox.removeAttribute('aria-busy');
+      });
+  };
+
+  /**
+   * Render the grouped results.
+   *
+   * @param {Object} data - The endpoint response
+   */
+  Drupal.solo.LiveSearch.prototype.render = function (data) {
+    this.listbox.textContent = '';
+    this.options = [];
+    this.activeIndex = -1;
+    this.input.removeAttribute('aria-activedescendant');
+
+    let count = 0;
+    data.groups.forEach((group, groupIndex) => {
+      const groupElement = document.createElement('div');
+      const heading = document.createElement('div');
+      heading.id = this.id + '-group-' + groupIndex;
+      heading.className = 'solo-live-search__group-label';
+      heading.setAttribute('role', 'presentation');
+      heading.textContent = group.label;
+      groupElement.className = 'solo-live-search__group';
+      groupElement.setAttribute('role', 'group');
+      groupElement.setAttribute('aria-labelledby', heading.id);
+      groupElement.appendChild(heading);
+
+      group.results.forEach((result) => {
+        const option = this.createOption(result.title, result.url);
+        option.dataset.group = group.label;
+        if (result.snippet) {
+          const snippet = document.createElement('span');
+          snippet.className = 'solo-live-search__snippet';
+          // The excerpt is filtered by core search, it only adds <strong>.
+          snippet.innerHTML = result.snippet;
+          option.appendChild(snippet);
+        }
+        groupElement.appendChild(option);
+        count++;
+      });
+      this.listbox.appendChild(groupElement);
+    });
+
+    if (count === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'solo-live-search__empty';
+      empty.setAttribute('role', 'presentation');
+      empty.textContent = Drupal.t('No results for @keys', { '@keys': data.keys });
+      this.listbox.appendChild(empty);
+    }
+
+    if (data.url) {
+      const all = this.createOption(Drupal.t('View all results'), data.url);
+      all.classList.add('solo-live-search__all');
+      this.listbox.appendChild(all);
+    }
+
+    this.show();
+    Drupal.announce(count === 0
+      ? Drupal.t('No results')
+      : Drupal.formatPlural(count, '1 result available, use the up and down arrow keys to browse.', '@count results available, use the up and down arrow keys to browse.'));
+  };
+
+  /**
+   * Create a result option.
+   *
+   * @param {string} title - The option title
+   * @param {string} url - The URL the option goes to
+   * @returns {HTMLElement} The option
+   */
+  Drupal.solo.LiveSearch.prototype.createOption = function (title, url) {
+    const option = document.createElement('div');
+    option.id = this.id + '-option-' + this.options.length;
+    option.className = 'solo-live-search__option';
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+    option.dataset.url = url;
+
+    const label = document.createElement('span');
+    label.className = 'solo-live-search__title';
+    label.textContent = title;
+    option.appendChild(label);
+
+    this.options.push(option);
+    return option;
+  };
+
+  /**
+   * Handle keyboard navigation of the results.
+   *
+   * @param {KeyboardEvent} e - The keydown event
+   */
+  Drupal.solo.LiveSearch.prototype.handleKeydown = function (e) {
+    const expanded = !this.listbox.hidden;
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        if (!expanded || this.options.length === 0) return;
+        e.preventDefault();
+        if (e.key === 'ArrowDown') {
+          this.highlight(this.activeIndex < this.options.length - 1 ? this.activeIndex + 1 : 0);
+        } else {
+          this.highlight(this.activeIndex > 0 ? this.activeIndex - 1 : this.options.length - 1);
+        }
+        break;
+
+      case 'Enter':
+        if (expanded && this.activeIndex > -1) {
+          e.preventDefault();
+          this.select(this.options[this.activeIndex]);
+        }
+        break;
+
+      case 'Escape':
+      case 'Esc':
+        // Close the results before the search block itself.
+        if (expanded) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.hide();
+        }
+        break;
+    }
+  };
+
+  /**
+   * Highlight an option and announce it.
+   *
+   * @param {number} index - The option index
+   */
+  Drupal.solo.LiveSearch.prototype.highlight = function (index) {
+    if (this.activeIndex > -1) {
+      this.options[this.activeIndex].setAttribute('aria-selected', 'false');
+    }
+    this.activeIndex = index;
+
+    const option = this.options[index];
+    option.setAttribute('aria-selected', 'true');
+    option.scrollIntoView({ block: 'nearest' });
+    this.input.setAttribute('aria-activedescendant', option.id);
+
+    const title = option.querySelector('.solo-live-search__title').textContent;
+    Drupal.announce(option.dataset.group
+      ? Drupal.t('@title, @type, @position of @count', {
+        '@title': title,
+        '@type': option.dataset.group,
+        '@position': index + 1,
+        '@count': this.options.length
+      })
+      : title);
+  };
+
+  /**
+   * Go to the page of an option.
+   *
+   * @param {HTMLElement} option - The option
+   */
+  Drupal.solo.LiveSearch.prototype.select = function (option) {
+    window.location.assign(option.dataset.url);
+  };
+
+  /**
+   * Show the results.
+   */
+  Drupal.solo.LiveSearch.prototype.show = function () {
+    this.listbox.hidden = false;
+    this.input.setAttribute('aria-expanded', 'true');
+  };
+
+  /**
+   * Hide the results.
+   */
+  Drupal.solo.LiveSearch.prototype.hide = function () {
+    this.listbox.hidden = true;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+    this.activeIndex = -1;
+    this.lastKeys = '';
+  };
+
+  /**
+   * Remove the listbox and the listeners.
+   */
+  Drupal.solo.LiveSearch.prototype.destroy = function () {
+    if (this.controller) {
+      this.controller.abort();
+    }
+    this.input.removeEventListener('input', this.boundHandlers.input);
+    this.input.removeEventListener('keydown', this.boundHandlers.keydown);
+    document.removeEventListener('solo:dialog:close', this.boundHandlers.dialogClose);
+    ['role', 'aria-autocomplete', 'aria-controls', 'aria-expanded', 'aria-activedescendant'].forEach((attribute) => {
+      this.input.removeAttribute(attribute);
+    });
+    this.listbox.remove();
+  };
+
+  /**
+   * Attaches live results to the search input of the fixed search block.
+   */
+  Drupal.behaviors.soloLiveSearch = {
+    attach: function (context, settings) {
+      const liveSearch = settings.solo && settings.solo.liveSearch;
+      if (!liveSearch || !liveSearch.url || typeof window.fetch !== 'function') {
+        return;
+      }
+
+      once('solo-live-search', '#fixed-search-block input[name="keys"]', context).forEach((input) => {
+        if (!input.form) return;
+        input.soloLiveSearch = new Drupal.solo.LiveSearch(input, liveSearch);
+        input.soloLiveSearch.init();
+      });
+    },
+
+    detach: function (context, settings, trigger) {
+      if (trigger === 'unload') {
+        once.remove('solo-live-search', '#fixed-search-block input[name="keys"]', context).forEach((input) => {
+          if (input.soloLiveSearch) {
+            input.soloLiveSearch.destroy();
+            delete input.soloLiveSearch;
+          }
+        });
+      }
+    }
+  };
+
+})(Drupal, drupalSettings, once);
@@ -5,6 +5,14 @@
  * Provides close functionality for Drupal messages with proper AJAX support,
  * error handling, and accessibility features.
  *
+ * When drupalSettings.solo.messages.toasts is set, the messages of the system
+ * messages region, including the ones added later with Drupal.Message, are
+ * shown as a stack of toasts. Only maxVisible toasts show at a time, the
+ * others wait in a queue. Toasts close after autoDismiss milliseconds, except
+ * for errors; the countdown pauses while a toast is hovered or focused.
+ * Closed messages are remembered for the browser session so that going back
+ * to a page doesn't show them again.
+ *
  * Filename:     solo-message.js
  * Website:      https://www.flashwebcenter.com
  * Developer:    Alaa Haddad https://www.alaahaddad.com
@@ -33,6 +41,17 @@
       hiddenClass: 'hidden',
       visuallyHidden: 'visually-hidden'
     },
+    toasts: {
+      region: '#system-messages',
+      regionClass: 'solo-toasts',
+      queuedClass: 'messages--queued',
+      // Message types that never close on their own
+      stickyTypes: ['error'],
+      storageKey: 'solo.dismissedMessages',
+      storageLimit: 50,
+      // Minimum time left when a paused countdown resumes
+      minRemaining: 1000
+    },
     animation: {
       hideDelay: 300, // milliseconds
       removeDelay: 500 // milliseconds after hide animation
@@ -62,6 +81,74 @@
    */
   const initializedMessages = new WeakMap();
 
+  /**
+   * WeakMap holding the countdown state of the toasts.
+   *
+   * @type {WeakMap}
+   */
+  const toastState = new WeakMap();
+
+  /**
+   * The toasts in order of arrival, the visible ones first.
+   *
+   * @type {HTMLElement[]}
+   */
+  const toasts = [];
+
+  /**
+   * Gets the message settings of the theme.
+   *
+   * @return {Object} The toasts, autoDismiss and maxVisible settings.
+   */
+  const getSettings = () => Object.assign(
+    { toasts: false, autoDismiss: 0, maxVisible: 3 },
+    drupalSettings.solo && drupalSettings.solo.messages
+  );
+
+  /**
+   * Keys of the messages closed during the browser session.
+   */
+  const dismissedStore = {
+    read: function () {
+      try {
+        const keys = JSON.parse(window.sessionStorage.getItem(CONFIG.toasts.storageKey));
+        return Array.isArray(keys) ? keys : [];
+      } catch (error) {
+        return [];
+      }
+    },
+
+    add: function (key) {
+      try {
+        const keys = dismissedStore.read().filter((stored) => stored !== key);
+        keys.push(key);
+        window.sessionStorage.setItem(
+          CONFIG.toasts.storageKey,
+          JSON.stringify(keys.slice(-CONFIG.toasts.storageLimit))
+        );
+      } catch (error) {
+        // Storage is unavailable or full, the message may show up again.
+      }
+    }
+  };
+
+  /**
+   * Keys of the closed messages to hide on this page load.
+   *
+   * Only pages reached with the back and forward buttons are filtered, a new
+   * page showing the same message again has a new reason to show it.
+   *
+   * @type {Set|null}
+   */
+  let restoredKeys = (() => {
+    const navigation = window.performance && performance.getEntriesByType
+      ? performance.getEntriesByType('navigation')[0]
+      : null;
+    return navigation && navigation.type === 'back_forward'
+      ? new Set(dismissedStore.read())
+      : null;
+  })();
+
   /**
    * Creates a close button element with proper accessibility attributes.
    *
@@ -100,19 +187,28 @@
   };
 
   /**
-   * Handles the close button click event with animation and cleanup.
+   * Hides a message and removes it after the animation.
    *
    * @param {HTMLElement} message - The message element to close.
-   * @param {MouseEvent} event - The click event.
+   * @param {boolean} announce - Whether to tell screen readers it closed.
    */
-  const handleCloseClick = (message, event) => {
-    try {
-      event.preventDefault();
-      event.stopPropagation();
+  const dismissMessage = (message, announce) => {
+    if (message.classList.contains(CONFIG.selectors.hiddenClass)) {
+      return;
+    }
 
-      // Add hidden class for CSS animation
-      message.classList.add(CONFIG.selectors.hiddenClass);
+    // Add hidden class for CSS animation
+    message.classList.add(CONFIG.selectors.hiddenClass);
 
+    const data = initializedMessages.get(message);
+    if (data && data.key) {
+      dismissedStore.add(data.key);
+    }
+
+    // Let the next queued toast in right away
+    removeToast(message);
+
+    if (announce) {
       // Announce closure to screen readers with appropriate priority
       const messageAriaLive = message.getAttribute('aria-live') || 'polite';
       const messageRole = message.getAttribute('role') || 'status';
@@ -131,25 +227,39 @@
           announcement.parentNode.removeChild(announcement);
         }
       }, 1000);
+    }
 
-      // Remove from DOM after animation completes
-      setTimeout(() => {
-        if (message.parentNode) {
-          // Clean up event listeners
-          cleanupMessage(message);
-
-          // Trigger custom event for other scripts
-          const removeEvent = new CustomEvent('solo:messageRemoved', {
-            detail: { message: message },
-            bubbles: true
-          });
-          document.dispatchEvent(removeEvent);
-
-          // Remove from DOM
-          message.parentNode.removeChild(message);
-        }
-      }, CONFIG.animation.removeDelay);
+    // Remove from DOM after animation completes
+    setTimeout(() => {
+      if (message.parentNode) {
+        // Clean up event listeners
+        cleanupMessage(message);
+
+        // Trigger custom event for other scripts
+        const removeEvent = new CustomEvent('solo:messageRemoved', {
+          detail: { message: message },
+          bubbles: true
+        });
+        document.dispatchEvent(removeEvent);
 
+        // Remove from DOM
+        message.parentNode.removeChild(message);
+      }
+    }, CONFIG.animation.removeDelay);
+  };
+
+  /**
+   * Handles the close button click event with animation and cleanup.
+   *
+   * @param {HTMLElement} message - The message element to close.
+   * @param {MouseEvent} event - The click event.
+   */
+  const handleCloseClick = (message, event) => {
+    try {
+      event.preventDefault();
+      event.stopPropagation();
+
+      dismissMessage(message, true);
     } catch (error) {
       if (window.console && console.error) {
         console.error('Solo Theme: Error closing message', error);
@@ -157,12 +267,166 @@
     }
   };
 
+  /**
+   * Starts or resumes the countdown of a visible toast.
+   *
+   * @param {HTMLElement} message - The toast.
+   */
+  const startTimer = (message) => {
+    const state = toastState.get(message);
+    if (!state || state.sticky || state.timer || state.hovered || state.focused) {
+      return;
+    }
+
+    state.startedAt = Date.now();
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      dismissMessage(message, false);
+    }, state.remaining);
+  };
+
+  /**
+   * Pauses the countdown of a toast.
+   *
+   * @param {HTMLElement} message - The toast.
+   */
+  const pauseTimer = (message) => {
+    const state = toastState.get(message);
+    if (!state || !state.timer) {
+      return;
+    }
+
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.remaining = Math.max(
+      CONFIG.toasts.minRemaining,
+      state.remaining - (Date.now() - state.startedAt)
+    );
+  };
+
+  /**
+   * Shows the first maxVisible toasts and queues the others.
+   */
+  const updateToasts = () => {
+    const { maxVisible } = getSettings();
+
+    toasts.forEach((message, index) => {
+      const state = toastState.get(message);
+      const queued = index >= maxVisible;
+      message.classList.toggle(CONFIG.toasts.queuedClass, queued);
+
+      if (queued) {
+        state.queued = true;
+        return;
+      }
+
+      if (state.queued) {
+        state.queued = false;
+        // Hidden messages weren't read out when they were added. Core already
+        // announced the ones added with Drupal.Message.
+        if (!message.hasAttribute('data-drupal-message-id')) {
+          Drupal.announce(message.textContent.trim(), state.sticky ? 'assertive' : 'polite');
+        }
+      }
+      startTimer(message);
+    });
+  };
+
+  /**
+   * Adds a message to the toasts.
+   *
+   * @param {HTMLElement} message - The message element.
+   */
+  const addToast = (message) => {
+    const { autoDismiss } = getSettings();
+    const type = getMessageType(message);
+    const state = {
+      sticky: autoDismiss <= 0 || CONFIG.toasts.stickyTypes.includes(type),
+      remaining: autoDismiss,
+      timer: null,
+      startedAt: 0,
+      hovered: false,
+      focused: false,
+      queued: false,
+      handlers: {}
+    };
+
+    state.handlers.mouseenter = () => {
+      state.hovered = true;
+      pauseTimer(message);
+    };
+    state.handlers.mouseleave = () => {
+      state.hovered = false;
+      startTimer(message);
+    };
+    state.handlers.focusin = () => {
+      state.focused = true;
+      pauseTimer(message);
+    };
+    state.handlers.focusout = (event) => {
+      if (!message.contains(event.relatedTarget)) {
+        state.focused = false;
+        startTimer(message);
+      }
+    };
+
+    Object.keys(state.handlers).forEach((type) => {
+      message.addEventListener(type, state.handlers[type]);
+    });
+
+    toastState.set(message, state);
+    toasts.push(message);
+    updateToasts();
+  };
+
+  /**
+   * Removes a message from the toasts.
+   *
+   * @param {HTMLElement} message - The message element.
+   */
+  const removeToast = (message) => {
+    const state = toastState.get(message);
+    if (!state) {
+      return;
+    }
+
+    clearTimeout(state.timer);
+    Object.keys(state.handlers).forEach((type) => {
+      message.removeEventListener(type, state.handlers[type]);
+    });
+    message.classList.remove(CONFIG.toasts.queuedClass);
+    toastState.delete(message);
+
+    const index = toasts.indexOf(message);
+    if (index !== -1) {
+      toasts.splice(index, 1);
+    }
+    updateToasts();
+  };
+
+  /**
+   * Builds a key identifying a message by its type and text.
+   *
+   * @param {HTMLElement} message - The message element.
+   * @return {string} The message key.
+   */
+  const getMessageKey = (message) => {
+    const text = `${getMessageType(message)}:${message.textContent.replace(/\s+/g, ' ').trim()}`;
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  };
+
   /**
    * Cleans up event listeners and references for a message.
    *
    * @param {HTMLElement} message - The message element to clean up.
    */
   const cleanupMessage = (message) => {
+    removeToast(message);
+
     const data = initializedMessages.get(message);
     if (data && data.closeHandler) {
       const closeBtn = message.querySelector(`.${CONFIG.selectors.closeButton}`);
@@ -212,6 +476,15 @@
         return;
       }
 
+      // Key the message before the close button adds its text
+      const key = getMessageKey(message);
+
+      // Closed earlier in the session, the page is shown again from history
+      if (restoredKeys && restoredKeys.has(key)) {
+        message.parentNode.removeChild(message);
+        return;
+      }
+
       // Find or create message container
       let messageContainer = message.querySelector(CONFIG.selectors.container);
 
@@ -267,9 +540,14 @@
       // Store reference for cleanup
       initializedMessages.set(message, {
         closeHandler: boundHandleClose,
-        closeButton: closeBtn
+        closeButton: closeBtn,
+        key: key
       });
 
+      if (getSettings().toasts && message.closest(CONFIG.toasts.region)) {
+        addToast(message);
+      }
+
       // Trigger custom event
       const initEvent = new CustomEvent('solo:messageInitialized', {
         detail: { message: message },
@@ -296,6 +574,12 @@
    */
   Drupal.behaviors.soloMessages = {
     attach: function (context, settings) {
+      if (settings.solo && settings.solo.messages && settings.solo.messages.toasts) {
+        once('solo-toasts', CONFIG.toasts.region, context).forEach(function (region) {
+          region.classList.add(CONFIG.toasts.regionClass);
+        });
+      }
+
       // Use once() to ensure single initialization per element
       const messages = once('solo-messages', CONFIG.selectors.message, context);
 
@@ -304,6 +588,11 @@
         closeMessage(message);
       });
 
+      // History filtering only applies to the messages of the page load
+      if (context === document) {
+        restoredKeys = null;
+      }
+
       // Log initialization in development mode
       if (settings.solo && settings.solo.debug) {
         if (messages.length > 0 && window.console && console.log) {
@@ -415,6 +704,34 @@
     }
   };
 
+  /**
+   * Messages added with Drupal.Message get the same close button and toast
+   * handling as the ones rendered by the server.
+   */
+  if (Drupal.Message) {
+    const { add, remove } = Drupal.Message.prototype;
+
+    Drupal.Message.prototype.add = function (message, options) {
+      const id = add.call(this, message, options);
+      const element = this.select(id);
+      if (element) {
+        element.setAttribute('data-drupal-selector', 'messages');
+        once('solo-messages', element).forEach(closeMessage);
+      }
+      return id;
+    };
+
+    Drupal.Message.prototype.remove = function (id) {
+      const element = this.select(id);
+      // Already closed by the user or the countdown
+      if (!element) {
+        return null;
+      }
+      cleanupMessage(element);
+      return remove.call(this, id);
+    };
+  }
+
   // Legacy API support for backward compatibility
   Drupal.solo.closeMessage = closeMessage;
 
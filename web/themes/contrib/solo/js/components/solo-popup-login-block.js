@@ -15,6 +15,23 @@
 
   Drupal.solo = Drupal.solo || {};
 
+  /**
+   * Elements opening the popup, clicks on them are not outside clicks.
+   */
+  const TRIGGER_SELECTOR = '.login-button-open, [data-solo-login-popup-trigger], .login-popup-trigger';
+
+  /**
+   * Forms shown as tabs of the popup, in tab order.
+   *
+   * The login form is part of the block; the other forms are loaded over AJAX
+   * the first time their tab is selected, if the block links to them.
+   */
+  const FORM_TABS = {
+    login: { path: 'user/login', label: () => Drupal.t('Log in') },
+    password: { path: 'user/password', link: 'a.request-password-link', label: () => Drupal.t('Request new password') },
+    register: { path: 'user/register', link: 'a.create-account-link', label: () => Drupal.t('Create account') }
+  };
+
   /**
    * Popup login block behavior.
    */
@@ -129,7 +146,7 @@
     event.stopPropagation();
     const loginBlock = document.getElementById('popup-login-block');
     if (loginBlock && loginBlock.soloPopupLogin) {
-      loginBlock.soloPopupLogin.open();
+      loginBlock.soloPopupLogin.open(event.currentTarget);
     }
   };
 
@@ -155,7 +172,11 @@
     this.closeButton = null;
     this.isOpen = false;
     this.boundHandlers = {};
-    this.lastFocusedElement = null;
+    this.dialog = null;
+    this.announceClose = true;
+    this.tabs = {};
+    this.panels = {};
+    this.ajax = {};
 
     // Settings with defaults.
     this.settings = {
@@ -165,6 +186,7 @@
       focusTrap: true,
       announceToScreenReaders: true,
       returnFocusOnClose: true,
+      ajaxForms: true,
       customTriggers: '',
       zIndex: 10000,
       overlayOpacity: 50,
@@ -229,8 +251,31 @@
     // Bind events.
     this.bindEvents();
 
+    // Focus trapping, Escape, outside clicks, scroll locking and focus return
+    // are handled by the shared dialog controller.
+    this.dialog = Drupal.solo.dialog.register(this.loginBlock, {
+      id: 'login',
+      container: () => this.loginBlock.querySelector('.popup-login-block-inner') || this.loginBlock,
+      triggers: TRIGGER_SELECTOR,
+      focusable: () => this.getFocusableElements(),
+      closeOnEscape: this.settings.closeOnEscape,
+      closeOnOutsideClick: this.settings.closeOnOutsideClick,
+      trapFocus: this.settings.focusTrap,
+      returnFocus: this.settings.returnFocusOnClose,
+      lockScroll: true,
+      onOpen: () => this.show(),
+      onClose: () => this.hide(this.announceClose)
+    });
+
+    if (this.settings.ajaxForms) {
+      this.initForms();
+    }
+
     // Initialize as closed.
-    this.close(false);
+    if (this.loginBlock.classList.contains('toggled')) {
+      this.hide(false);
+      Drupal.solo.setInert(this.loginBlock, true);
+    }
   };
 
   /**
@@ -312,7 +357,7 @@
     if (this.openButton) {
       this.boundHandlers.open = (e) => {
         e.preventDefault();
-        this.open();
+        this.open(e.currentTarget);
       };
       this.openButton.addEventListener('click', this.boundHandlers.open);
     }
@@ -322,87 +367,33 @@
       this.close();
     };
     this.closeButton.addEventListener('click', this.boundHandlers.close);
-
-    // Document click (outside) handler.
-    if (this.settings.closeOnOutsideClick) {
-      this.boundHandlers.documentClick = (e) => {
-        if (!this.isOpen) return;
-
-        // Inner popup container.
-        const popupInner = this.loginBlock.querySelector('.popup-login-block-inner');
-
-        // Fallback if inner container is missing.
-        if (!popupInner) {
-          if (
-            !this.loginBlock.contains(e.target) &&
-            !e.target.closest('.login-button-open') &&
-            !e.target.closest('[data-solo-login-popup-trigger]') &&
-            !e.target.closest('.login-popup-trigger')
-          ) {
-            this.close();
-          }
-          return;
-        }
-
-        // Close only if click is outside the inner popup and not on any trigger.
-        if (
-          !popupInner.contains(e.target) &&
-          !e.target.closest('.login-button-open') &&
-          !e.target.closest('[data-solo-login-popup-trigger]') &&
-          !e.target.closest('.login-popup-trigger')
-        ) {
-          this.close();
-        }
-      };
-    }
-
-    // Escape key handler.
-    if (this.settings.closeOnEscape) {
-      this.boundHandlers.escapeKey = (e) => {
-        if ((e.key === 'Escape' || e.key === 'Esc') && this.isOpen) {
-          e.preventDefault();
-          this.close();
-        }
-      };
-    }
-
-    // Focus trap handler.
-    if (this.settings.focusTrap) {
-      this.boundHandlers.focusTrap = (e) => {
-        if (e.key !== 'Tab') return;
-
-        const focusableElements = this.getFocusableElements();
-        if (focusableElements.length === 0) return;
-
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
-
-        if (e.shiftKey && document.activeElement === firstElement) {
-          e.preventDefault();
-          lastElement.focus();
-        } else if (!e.shiftKey && document.activeElement === lastElement) {
-          e.preventDefault();
-          firstElement.focus();
-        }
-      };
-    }
   };
 
   /**
    * Open the login popup.
+   *
+   * @param {HTMLElement} [trigger] - The element opening the popup, focus
+   *   returns to it on close
    */
-  Drupal.solo.PopupLogin.prototype.open = function () {
-    if (this.isOpen) return;
+  Drupal.solo.PopupLogin.prototype.open = function (trigger) {
+    this.dialog.open(trigger || document.activeElement);
+  };
 
-    if (this.settings.returnFocusOnClose) {
-      this.lastFocusedElement = document.activeElement;
-    }
+  /**
+   * Close the login popup.
+   */
+  Drupal.solo.PopupLogin.prototype.close = function (announce = true) {
+    this.announceClose = announce;
+    this.dialog.close();
+    this.announceClose = true;
+  };
 
+  /**
+   * Show the popup, called by the dialog controller when it opens.
+   */
+  Drupal.solo.PopupLogin.prototype.show = function () {
     this.isOpen = true;
 
-    // Remove inert attribute before opening
-    Drupal.solo.setInert(this.loginBlock, false);
-
     // Dispatch custom event.
     this.loginBlock.dispatchEvent(
       new CustomEvent('solo:loginPopupOpen', { detail: { loginBlock: this.loginBlock }, bubbles: true })
@@ -419,6 +410,8 @@
 
     // Add classes and update ARIA.
     requestAnimationFrame(() => {
+      if (!this.isOpen) return;
+
       this.loginBlock.classList.add('toggled');
       this.updateAriaAttributes(true);
       this.setElementsTabindex(true);
@@ -428,104 +421,27 @@
         this.announce(Drupal.t('Login form opened'));
       }
 
-      // Attach global handlers with a short delay.
-      setTimeout(() => {
-        if (this.boundHandlers.documentClick) {
-          document.addEventListener('click', this.boundHandlers.documentClick, true);
-          // Helper to check passive support
-          const supportsPassive = (() => {
-            let passive = false;
-            try {
-              const opts = Object.defineProperty({}, 'passive', {
-                get: function() { passive = true; }
-              });
-              window.addEventListener('testPassive', null, opts);
-              window.removeEventListener('testPassive', null, opts);
-            } catch (e) {}
-            return passive;
-          })();
-
-          // Then use it
-          document.addEventListener('touchstart', this.boundHandlers.documentClick,
-            supportsPassive ? { capture: true, passive: true } : true
-          );
-        }
-        if (this.boundHandlers.escapeKey) {
-          document.addEventListener('keydown', this.boundHandlers.escapeKey);
-        }
-        if (this.boundHandlers.focusTrap) {
-          this.loginBlock.addEventListener('keydown', this.boundHandlers.focusTrap);
-        }
-      }, 100);
-
       document.body.classList.add('solo-login-popup-open');
     });
   };
 
   /**
-   * Close the login popup.
+   * Hide the popup, called by the dialog controller once focus has moved out.
    */
-  Drupal.solo.PopupLogin.prototype.close = function (announce = true) {
-    if (!this.isOpen && !this.loginBlock.classList.contains('toggled')) return;
-
+  Drupal.solo.PopupLogin.prototype.hide = function (announce = true) {
     this.isOpen = false;
 
-    // CRITICAL: Remove focus from any element inside popup BEFORE hiding
-    if (this.loginBlock.contains(document.activeElement)) {
-      document.activeElement.blur();
-    }
-
     // Dispatch custom event.
     this.loginBlock.dispatchEvent(
       new CustomEvent('solo:loginPopupClose', { detail: { loginBlock: this.loginBlock }, bubbles: true })
     );
 
-    // Remove classes (but NOT aria-hidden yet)
     this.loginBlock.classList.remove('toggled');
-
-    // Update aria-expanded on triggers (but NOT aria-hidden on dialog yet)
-    const triggers = document.querySelectorAll(
-      '[data-solo-login-popup-trigger], .login-popup-trigger, .login-button-open button, .login-button-open > button'
-    );
-    triggers.forEach((el) => el.setAttribute('aria-expanded', 'false'));
-
-    if (this.openButton) {
-      this.openButton.setAttribute('aria-expanded', 'false');
-    }
-    this.closeButton.setAttribute('aria-expanded', 'false');
-
+    this.updateAriaAttributes(false);
+    this.loginBlock.setAttribute('aria-hidden', 'true');
     this.setElementsTabindex(false);
     document.body.classList.remove('solo-login-popup-open');
 
-    // Return focus FIRST
-    if (this.settings.returnFocusOnClose && this.lastFocusedElement) {
-      setTimeout(() => {
-        try {
-          this.lastFocusedElement.focus();
-        } catch (e) {
-          if (this.openButton) {
-            this.openButton.focus();
-          }
-        }
-
-        // THEN set aria-hidden AFTER focus has moved out
-        setTimeout(() => {
-          if (!this.isOpen) {
-            this.loginBlock.setAttribute('aria-hidden', 'true');
-            Drupal.solo.setInert(this.loginBlock, true);
-          }
-        }, 50);
-      }, 50);
-    } else {
-      // If not returning focus, still delay aria-hidden slightly
-      setTimeout(() => {
-        if (!this.isOpen) {
-          this.loginBlock.setAttribute('aria-hidden', 'true');
-          Drupal.solo.setInert(this.loginBlock, true);
-        }
-      }, 50);
-    }
-
     // Hide after animation.
     setTimeout(() => {
       if (!this.isOpen) {
@@ -540,20 +456,8 @@
     if (announce && this.settings.announceToScreenReaders) {
       this.announce(Drupal.t('Login form closed'));
     }
-
-    // Remove global handlers.
-    if (this.boundHandlers.documentClick) {
-      document.removeEventListener('click', this.boundHandlers.documentClick, true);
-      // Must match capture setting used when adding.
-      document.removeEventListener('touchstart', this.boundHandlers.documentClick, { capture: true });
-    }
-    if (this.boundHandlers.escapeKey) {
-      document.removeEventListener('keydown', this.boundHandlers.escapeKey);
-    }
-    if (this.boundHandlers.focusTrap) {
-      this.loginBlock.removeEventListener('keydown', this.boundHandlers.focusTrap);
-    }
   };
+
   /**
    * Update ARIA attributes.
    * Note: aria-hidden on dialog is now managed separately to avoid focus conflicts.
@@ -581,7 +485,8 @@
    * Set tabindex on elements within the dialog.
    */
   Drupal.solo.PopupLogin.prototype.setElementsTabindex = function (isOpen) {
-    const elements = this.loginBlock.querySelectorAll('button, input, select, textarea, a[href]');
+    // Tabs manage their own roving tabindex.
+    const elements = this.loginBlock.querySelectorAll('button:not([role="tab"]), input, select, textarea, a[href]');
     elements.forEach((element) => {
       if (isOpen) {
         const original = element.getAttribute('data-original-tabindex');
@@ -641,12 +546,356 @@
     }, 50);
   };
 
+  /**
+   * Build the form tabs and submit the forms of the popup over AJAX.
+   */
+  Drupal.solo.PopupLogin.prototype.initForms = function () {
+    const loginForm = this.loginBlock.querySelector('form.user-login-form');
+    if (!loginForm || typeof Drupal.ajax !== 'function' || typeof window.fetch !== 'function') {
+      return;
+    }
+
+    // Wrap the login form so AJAX responses can replace it.
+    const loginPanel = document.createElement('div');
+    loginForm.before(loginPanel);
+    loginPanel.appendChild(loginForm);
+    this.addPanel('login', loginPanel);
+
+    let previous = loginPanel;
+    Object.keys(FORM_TABS).forEach((name) => {
+      const selector = FORM_TABS[name].link;
+      const link = selector && this.loginBlock.querySelector(selector);
+      if (!link) return;
+
+      // Until the form is loaded the panel links to its page.
+      const panel = document.createElement('div');
+      const fallback = document.createElement('a');
+      fallback.href = link.href;
+      fallback.textContent = FORM_TABS[name].label();
+      panel.appendChild(fallback);
+      previous.after(panel);
+      previous = panel;
+      this.addPanel(name, panel);
+
+      // The tabs replace the links below the login form.
+      const list = link.closest('ul');
+      if (list) {
+        (list.closest('.item-list') || list).hidden = true;
+      }
+    });
+
+    // Only the login form, nothing to switch between.
+    if (Object.keys(this.panels).length < 2) {
+      this.boundHandlers.submit = this.handleSubmit.bind(this);
+      this.loginBlock.addEventListener('submit', this.boundHandlers.submit);
+      return;
+    }
+
+    this.tabList = document.createElement('div');
+    this.tabList.className = 'popup-login-tabs';
+    this.tabList.setAttribute('role', 'tablist');
+    this.tabList.setAttribute('aria-label', Drupal.t('Account'));
+    Object.keys(this.panels).forEach((name) => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'popup-login-tab';
+      tab.id = 'solo-popup-login-tab-' + name;
+      tab.textContent = FORM_TABS[name].label();
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-controls', this.panels[name].id);
+      tab.dataset.soloLoginTab = name;
+      this.panels[name].setAttribute('aria-labelledby', tab.id);
+      this.tabList.appendChild(tab);
+      this.tabs[name] = tab;
+    });
+    loginPanel.before(this.tabList);
+
+    this.boundHandlers.tabClick = (e) => {
+      const tab = e.target.closest('[role="tab"]');
+      if (tab) {
+        this.selectTab(tab.dataset.soloLoginTab);
+      }
+    };
+    this.boundHandlers.tabKeydown = this.handleTabKeydown.bind(this);
+    this.boundHandlers.submit = this.handleSubmit.bind(this);
+    this.tabList.addEventListener('click', this.boundHandlers.tabClick);
+    this.tabList.addEventListener('keydown', this.boundHandlers.tabKeydown);
+    this.loginBlock.addEventListener('submit', this.boundHandlers.submit);
+
+    this.selectTab('login', false);
+  };
+
+  /**
+   * Register a form panel.
+   *
+   * @param {string} name - The FORM_TABS key
+   * @param {HTMLElement} panel - The panel element
+   */
+  Drupal.solo.PopupLogin.prototype.addPanel = function (name, panel) {
+    panel.id = 'solo-popup-login-panel-' + name;
+    panel.className = 'popup-login-panel';
+    panel.setAttribute('role', 'tabpanel');
+    this.panels[name] = panel;
+  };
+
+  /**
+   * Show a form panel, loading its form on first use.
+   *
+   * @param {string} name - The FORM_TABS key
+   * @param {boolean} [focus=true] - Move focus to the tab
+   */
+  Drupal.solo.PopupLogin.prototype.selectTab = function (name, focus = true) {
+    const panel = this.panels[name];
+    if (!panel) return;
+
+    Object.keys(this.tabs).forEach((key) => {
+      const selected = key === name;
+      this.tabs[key].setAttribute('aria-selected', String(selected));
+      this.tabs[key].setAttribute('tabindex', selected ? '0' : '-1');
+      this.panels[key].hidden = !selected;
+    });
+    if (focus && this.tabs[name]) {
+      this.tabs[name].focus();
+    }
+
+    if (name !== 'login' && !panel.dataset.soloLoaded) {
+      panel.dataset.soloLoaded = 'true';
+      panel.setAttribute('aria-busy', 'true');
+      Promise.resolve(this.getAjax(name).execute())
+        .catch(() => {
+          // Keep the link to the form page.
+          delete panel.dataset.soloLoaded;
+        })
+        .finally(() => {
+          panel.removeAttribute('aria-busy');
+        });
+    }
+  };
+
+  /**
+   * Move between tabs with the arrow, Home and End keys.
+   *
+   * @param {KeyboardEvent} e - The keydown event
+   */
+  Drupal.solo.PopupLogin.prototype.handleTabKeydown = function (e) {
+    const names = Object.keys(this.tabs);
+    const current = names.indexOf(e.target.dataset.soloLoginTab);
+    if (current === -1) return;
+
+    const last = names.length - 1;
+    const targets = {
+      ArrowRight: current < last ? current + 1 : 0,
+      ArrowLeft: current > 0 ? current - 1 : last,
+      Home: 0,
+      End: last
+    };
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    this.selectTab(names[targets[e.key]]);
+  };
+
+  /**
+   * Get the Drupal.ajax instance rendering into a panel.
+   *
+   * Loads the form of the panel and runs the commands returned when one of
+   * its submissions fails validation.
+   *
+   * @param {string} name - The FORM_TABS key
+   * @returns {Drupal.Ajax} The AJAX instance
+   */
+  Drupal.solo.PopupLogin.prototype.getAjax = function (name) {
+    if (!this.ajax[name]) {
+      this.ajax[name] = Drupal.ajax({
+        url: Drupal.url(FORM_TABS[name].path),
+        wrapper: this.panels[name].id,
+        method: 'html',
+        base: false,
+        element: false,
+        progress: { type: 'none' }
+      });
+    }
+    return this.ajax[name];
+  };
+
+  /**
+   * Submit the forms of the popup over AJAX.
+   *
+   * @param {SubmitEvent} e - The submit event
+   */
+  Drupal.solo.PopupLogin.prototype.handleSubmit = function (e) {
+    const form = e.target;
+    const name = Object.keys(this.panels).find((key) => this.panels[key].contains(form));
+    if (!name || !(form instanceof HTMLFormElement)) return;
+
+    e.preventDefault();
+    if (form.getAttribute('aria-busy') === 'true') return;
+    this.submitForm(name, form, e.submitter);
+  };
+
+  /**
+   * Post a form to its page.
+   *
+   * Forms that fail validation come back as AJAX commands re-rendering the
+   * form and its messages inside the panel. A successful submission is
+   * redirected: the login and create account forms then go to the
+   * destination, or reload the current page; the password form shows the
+   * message of the page it was redirected to.
+   *
+   * @param {string} name - The FORM_TABS key
+   * @param {HTMLFormElement} form - The submitted form
+   * @param {HTMLElement} [submitter] - The clicked submit button
+   */
+  Drupal.solo.PopupLogin.prototype.submitForm = function (name, form, submitter) {
+    const destination = this.getDestination(name, form);
+    const url = new URL(Drupal.url(FORM_TABS[name].path), window.location.href);
+    url.searchParams.set(Drupal.ajax.WRAPPER_FORMAT, 'drupal_ajax');
+    if (destination) {
+      url.searchParams.set('destination', destination);
+    }
+
+    const data = new FormData(form);
+    if (submitter && submitter.name) {
+      data.append(submitter.name, submitter.value);
+    }
+    // Only return the assets missing from the page.
+    const pageState = drupalSettings.ajaxPageState;
+    if (pageState) {
+      data.append('ajax_page_state[theme]', pageState.theme);
+      data.append('ajax_page_state[theme_token]', pageState.theme_token);
+      data.append('ajax_page_state[libraries]', pageState.libraries);
+    }
+
+    form.setAttribute('aria-busy', 'true');
+    fetch(url, { method: 'POST', body: data, credentials: 'same-origin' })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(response.statusText);
+        }
+        if (response.redirected) {
+          return this.handleSuccess(name, form, response, destination);
+        }
+        return response.json().then((commands) =>
+          Promise.resolve(this.getAjax(name).success(commands, 'success'))
+            .then(() => this.showErrors(name))
+        );
+      })
+      .catch(() => {
+        this.showMessage(name, Drupal.t('The form could not be submitted. Please try again.'), 'error');
+      })
+      .finally(() => {
+        form.removeAttribute('aria-busy');
+      });
+  };
+
+  /**
+   * Get the path to go to after logging in or creating an account.
+   *
+   * @param {string} name - The FORM_TABS key
+   * @param {HTMLFormElement} form - The submitted form
+   * @returns {string|null} The destination, none for the password form
+   */
+  Drupal.solo.PopupLogin.prototype.getDestination = function (name, form) {
+    if (name === 'password') {
+      return null;
+    }
+    // The login block passes the current page as destination.
+    const action = new URL(form.getAttribute('action') || window.location.href, window.location.href);
+    return action.searchParams.get('destination') || window.location.pathname + window.location.search;
+  };
+
+  /**
+   * Handle a successful submission.
+   *
+   * @param {string} name - The FORM_TABS key
+   * @param {HTMLFormElement} form - The submitted form
+   * @param {Response} response - The response of the redirected request
+   * @param {string|null} destination - Where to go after logging in
+   * @returns {Promise|undefined} Resolves once the messages are shown
+   */
+  Drupal.solo.PopupLogin.prototype.handleSuccess = function (name, form, response, destination) {
+    if (name !== 'password') {
+      const target = new URL(destination, window.location.href);
+      if (target.pathname + target.search === window.location.pathname + window.location.search) {
+        window.location.reload();
+      } else {
+        window.location.assign(target.href);
+      }
+      return undefined;
+    }
+
+    // The status message is rendered by the page the form redirected to.
+    return response.text().then((html) => {
+      const page = new DOMParser().parseFromString(html, 'text/html');
+      const messages = page.querySelector('[data-drupal-messages]');
+      const text = messages ? messages.textContent.replace(/\s+/g, ' ').trim() : '';
+      this.showMessage(name, text || Drupal.t('Further instructions have been sent to your email address.'), 'status');
+      form.reset();
+    });
+  };
+
+  /**
+   * Announce the validation errors of a re-rendered form and focus it.
+   *
+   * @param {string} name - The FORM_TABS key
+   */
+  Drupal.solo.PopupLogin.prototype.showErrors = function (name) {
+    const panel = this.panels[name];
+    const messages = Array.from(panel.querySelectorAll('[data-drupal-messages]'));
+
+    // Drupal.announce reads the messages, keep them from being read twice.
+    messages.forEach((element) => {
+      element.querySelectorAll('[aria-live]').forEach((region) => {
+        region.removeAttribute('aria-live');
+        region.removeAttribute('role');
+      });
+    });
+
+    const text = messages
+      .map((element) => element.textContent.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join(' ');
+    if (text) {
+      Drupal.announce(text, 'assertive');
+    }
+
+    const field = panel.querySelector('[aria-invalid="true"], input.error') ||
+      panel.querySelector('input:not([type="hidden"])');
+    if (field) {
+      field.focus();
+    }
+  };
+
+  /**
+   * Show a message at the top of a panel and announce it.
+   *
+   * @param {string} name - The FORM_TABS key
+   * @param {string} message - The message text
+   * @param {string} type - 'status' or 'error'
+   */
+  Drupal.solo.PopupLogin.prototype.showMessage = function (name, message, type) {
+    const panel = this.panels[name];
+    panel.querySelectorAll('[data-drupal-messages]').forEach((element) => element.remove());
+
+    const wrapper = document.createElement('div');
+    wrapper.setAttribute('data-drupal-messages', '');
+    wrapper.className = 'messages-list popup-login-messages';
+    const item = document.createElement('div');
+    item.className = 'messages messages--' + type;
+    item.textContent = message;
+    wrapper.appendChild(item);
+    panel.prepend(wrapper);
+
+    Drupal.announce(message, type === 'error' ? 'assertive' : 'polite');
+  };
+
   /**
    * Destroy the popup instance.
    */
   Drupal.solo.PopupLogin.prototype.destroy = function () {
-    if (this.isOpen) {
+    if (this.dialog) {
       this.close(false);
+      this.dialog.destroy();
     }
 
     // Remove event listeners specific to this instance.
@@ -656,6 +905,12 @@
     if (this.closeButton && this.boundHandlers.close) {
       this.closeButton.removeEventListener('click', this.boundHandlers.close);
     }
+    if (this.boundHandlers.submit) {
+      this.loginBlock.removeEventListener('submit', this.boundHandlers.submit);
+    }
+    if (this.tabList) {
+      this.tabList.remove();
+    }
 
     // Clean up ARIA live region if this was the last popup.
     if (this.liveRegion && document.querySelectorAll('#popup-login-block').length <= 1) {
@@ -684,7 +939,11 @@
     this.context = null;
     this.boundHandlers = null;
     this.liveRegion = null;
-    this.lastFocusedElement = null;
+    this.dialog = null;
+    this.tabList = null;
+    this.tabs = null;
+    this.panels = null;
+    this.ajax = null;
   };
 
 })(Drupal, drupalSettings, once);
@@ -0,0 +1,605 @@
+/**
+ * @file
+ * Solo Accessibility Audit
+ *
+ * Crawls the rendered menus, dialogs and status messages and checks:
+ * - ARIA relationships: aria-controls targets exist and aria-expanded
+ *   matches the visibility of the controlled element
+ * - Focus order: positive tabindex, hidden tab stops, menubars that can't
+ *   be reached and open dialogs that trap the focus with nowhere to go
+ * - Missing accessible names
+ * - inert / aria-hidden conflicts
+ *
+ * The results come out as a JSON report and an overlay that highlights each
+ * offending element.
+ *
+ * Usage:
+ *   soloAudit.run()     - Audit the page and show the overlay
+ *   soloAudit.json()    - Get the last report as JSON
+ *   soloAudit.copy()    - Copy the last report to the clipboard
+ *   soloAudit.overlay() - Show the overlay of the last report again
+ *   soloAudit.clear()   - Remove the overlay
+ */
+((Drupal, drupalSettings) => {
+  'use strict';
+
+  if (!drupalSettings?.solo?.debug) {
+    return;
+  }
+
+  Drupal.solo = Drupal.solo || {};
+
+  // What the audit crawls.
+  const SCOPE_SELECTOR = [
+    '.solo-menu',
+    '[role="menubar"]',
+    '[role="menu"]',
+    'dialog',
+    '[role="dialog"]',
+    '[role="alertdialog"]',
+    '#primary-sidebar-menu',
+    '#fixed-search-block',
+    '#popup-login-block',
+    '[data-drupal-messages]',
+    '[role="alert"]',
+    '[role="status"]'
+  ].join(', ');
+
+  const DIALOG_SELECTOR = 'dialog, [role="dialog"], [role="alertdialog"], #primary-sidebar-menu, #fixed-search-block, #popup-login-block';
+
+  const FOCUSABLE_SELECTOR = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [contenteditable="true"], [tabindex]';
+
+  const INTERACTIVE_SELECTOR = 'a[href], button, input:not([type="hidden"]), select, textarea, [role="menuitem"], [role="button"], [role="link"], [tabindex]:not([tabindex="-1"])';
+
+  // The overlay is never audited.
+  const OVERLAY_ATTRIBUTE = 'data-solo-audit-overlay';
+
+  const isVisible = (element) =>
+    element.getClientRects().length > 0 && getComputedStyle(element).visibility !== 'hidden';
+
+  // Rendered, so it can take the focus, but it can't be seen: zero size,
+  // moved off the page or transparent
+  const isConcealed = (element) => {
+    const rect = element.getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) return true;
+    if (rect.right + window.scrollX <= 0 || rect.bottom + window.scrollY <= 0) return true;
+    if (rect.left + window.scrollX >= document.documentElement.scrollWidth) return true;
+
+    for (let current = element; current; current = current.parentElement) {
+      if (parseFloat(getComputedStyle(current).opacity) === 0) return true;
+    }
+    return false;
+  };
+
+  Drupal.solo.audit = {
+    report: null,
+    issues: [],
+    elements: [],
+    overlay: null,
+
+    /**
+     * Audit the page
+     *
+     * @param {Object} options
+     * @param {boolean} [options.overlay=true] - Show the overlay
+     * @returns {Object} The report
+     */
+    run({ overlay = true } = {}) {
+      this.issues = [];
+      this.elements = [];
+
+      const scopes = this.getScopes();
+
+      this.checkAriaRelationships();
+      this.checkFocusOrder();
+      this.checkAccessibleNames();
+      this.checkHiddenConflicts();
+
+      const checks = this.issues.reduce((acc, issue) => {
+        acc[issue.check] = (acc[issue.check] || 0) + 1;
+        return acc;
+      }, {});
+
+      this.report = {
+        timestamp: new Date().toISOString(),
+        url: window.location.href,
+        viewport: {
+          width: window.innerWidth,
+          height: window.innerHeight
+        },
+        scopes: scopes.length,
+        summary: {
+          errors: this.issues.filter(issue => issue.severity === 'error').length,
+          warnings: this.issues.filter(issue => issue.severity === 'warning').length,
+          checks
+        },
+        issues: this.issues
+      };
+
+      this.log();
+      if (overlay) {
+        this.showOverlay();
+      }
+
+      return this.report;
+    },
+
+    getScopes() {
+      return Array.from(document.querySelectorAll(SCOPE_SELECTOR))
+        .filter(element => !element.closest(`[${OVERLAY_ATTRIBUTE}]`));
+    },
+
+    /**
+     * Get the elements matching a selector in the audited scopes
+     */
+    collect(selector) {
+      const found = new Set();
+
+      this.getScopes().forEach(scope => {
+        if (scope.matches(selector)) {
+          found.add(scope);
+        }
+        scope.querySelectorAll(selector).forEach(element => found.add(element));
+      });
+
+      return Array.from(found);
+    },
+
+    isTabbable(element) {
+      if (element.disabled || element.closest('[inert]')) {
+        return false;
+      }
+
+      if (element.hasAttribute('tabindex')) {
+        return parseInt(element.getAttribute('tabindex'), 10) >= 0;
+      }
+
+      return element.matches(FOCUSABLE_SELECTOR);
+    },
+
+    addIssue(check, severity, element, message, details = {}) {
+      this.elements.push(element);
+      this.issues.push({
+        id: this.issues.length + 1,
+        check,
+        severity,
+        message,
+        element: {
+          selector: this.getSelector(element),
+          html: this.getOpeningTag(element)
+        },
+        details
+      });
+    },
+
+    /**
+     * aria-controls targets exist and aria-expanded matches their visibility
+     */
+    checkAriaRelationships() {
+      this.collect('[aria-controls], [aria-expanded]').forEach(element => {
+        // Lazy-loaded submenus are inserted on demand, see solo-menu-panels.js
+        const item = element.closest('li[data-solo-menu-panel]');
+        if (item && !item.querySelector(':scope > ul')) return;
+
+        const ids = (element.getAttribute('aria-controls') || '').split(/\s+/).filter(Boolean);
+        const targets = [];
+
+        ids.forEach(id => {
+          const matches = document.querySelectorAll(`[id="${CSS.escape(id)}"]`);
+          if (matches.length === 0) {
+            this.addIssue('aria-controls', 'error', element, `aria-controls references "${id}", no element has this id`, { id });
+          } else {
+            if (matches.length > 1) {
+              this.addIssue('aria-controls', 'warning', element, `aria-controls references "${id}", which ${matches.length} elements share`, { id, count: matches.length });
+            }
+            targets.push(matches[0]);
+          }
+        });
+
+        const expanded = element.getAttribute('aria-expanded');
+        if (expanded === null) return;
+
+        if (expanded !== 'true' && expanded !== 'false') {
+          this.addIssue('aria-expanded', 'error', element, `aria-expanded="${expanded}" is neither true nor false`);
+          return;
+        }
+
+        // The state of a hidden toggle (the hamburger on large screens)
+        // doesn't matter
+        if (!isVisible(element)) return;
+
+        targets.forEach(target => {
+          const visible = isVisible(target);
+          if ((expanded === 'true') !== visible) {
+            this.addIssue('aria-expanded', 'error', element, expanded === 'true'
+              ? `aria-expanded is true but #${target.id} is hidden`
+              : `aria-expanded is false but #${target.id} is visible`, { controls: target.id, visible });
+          }
+        });
+      });
+    },
+
+    /**
+     * Tab stops that break the focus order or trap the focus
+     */
+    checkFocusOrder() {
+      this.collect(FOCUSABLE_SELECTOR)
+        .filter(element => this.isTabbable(element))
+        .forEach(element => {
+          const tabindex = parseInt(element.getAttribute('tabindex'), 10);
+          if (tabindex > 0) {
+            this.addIssue('focus-order', 'warning', element, `tabindex="${tabindex}" takes the element out of the page order`, { tabindex });
+          }
+          // .focusable elements show up when they get the focus
+          if (isVisible(element) && !element.matches('.focusable') && isConcealed(element)) {
+            this.addIssue('focus-order', 'error', element, 'The element is in the tab order but can\'t be seen, the focus disappears when tabbing to it');
+          }
+        });
+
+      this.collect('[role="menubar"]').filter(isVisible).forEach(menubar => {
+        const stops = Array.from(menubar.querySelectorAll(':scope > li > a, :scope > li > button, :scope > li > [role="menuitem"]'))
+          .filter(item => this.isTabbable(item) && isVisible(item));
+
+        if (stops.length === 0) {
+          this.addIssue('focus-order', 'error', menubar, 'No menubar item is in the tab order, the menu can\'t be reached with Tab');
+          return;
+        }
+
+        // Menus with keyboard navigation are a single tab stop on large screens
+        const keyboard = menubar.closest('.solo-keyboard-enabled')?._soloKeyboardInstance;
+        if (stops.length > 1 && keyboard && !keyboard.isSmallScreen() && !keyboard.templateInfo.isSidebar) {
+          this.addIssue('focus-order', 'warning', menubar, `${stops.length} menubar items are in the tab order, the menubar should be a single tab stop`, { tabStops: stops.length });
+        }
+      });
+
+      this.collect(DIALOG_SELECTOR)
+        .filter(dialog => isVisible(dialog) && !dialog.closest('[inert]'))
+        .forEach(dialog => {
+          const isModal = dialog.matches('dialog:modal, [aria-modal="true"]') ||
+            (Drupal.solo.dialog && Drupal.solo.dialog.getOpen().length > 0 && dialog.matches('#primary-sidebar-menu, #fixed-search-block, #popup-login-block'));
+
+          if (isModal && !Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR)).some(element => this.isTabbable(element) && isVisible(element))) {
+            this.addIssue('focus-trap', 'error', dialog, 'The open dialog traps the focus but has nothing to focus');
+          }
+        });
+    },
+
+    /**
+     * Interactive elements, menus and dialogs have a name
+     */
+    checkAccessibleNames() {
+      this.collect(INTERACTIVE_SELECTOR).filter(isVisible).forEach(element => {
+        if (!this.getAccessibleName(element)) {
+          this.addIssue('accessible-name', 'error', element, `<${element.tagName.toLowerCase()}> has no accessible name`);
+        }
+      });
+
+      this.collect(DIALOG_SELECTOR).filter(isVisible).forEach(dialog => {
+        if (!this.getAccessibleName(dialog, false)) {
+          this.addIssue('accessible-name', 'error', dialog, 'The dialog has no accessible name');
+        }
+      });
+
+      this.collect('[role="menubar"], [role="menu"]').filter(isVisible).forEach(menu => {
+        if (!this.getAccessibleName(menu, false)) {
+          this.addIssue('accessible-name', 'warning', menu, `The ${menu.getAttribute('role')} has no accessible name, add aria-label or aria-labelledby`);
+        }
+      });
+    },
+
+    /**
+     * An approximation of the accessible name computation
+     *
+     * @param {HTMLElement} element - The element
+     * @param {boolean} fromContent - Whether the name can come from the text
+     * @returns {string} The name, empty when there's none
+     */
+    getAccessibleName(element, fromContent = true) {
+      const labelledby = element.getAttribute('aria-labelledby');
+      if (labelledby) {
+        const name = labelledby.split(/\s+/)
+          .map(id => document.getElementById(id))
+          .filter(Boolean)
+          .map(label => this.getText(label))
+          .join(' ')
+          .trim();
+        if (name) return name;
+      }
+
+      const label = (element.getAttribute('aria-label') || '').trim();
+      if (label) return label;
+
+      if (element.labels && element.labels.length > 0) {
+        const name = Array.from(element.labels).map(labelElement => this.getText(labelElement)).join(' ').trim();
+        if (name) return name;
+      }
+
+      if (element.matches('input[type="submit"], input[type="button"], input[type="reset"]')) {
+        return (element.value || '').trim();
+      }
+
+      if (element.matches('input[type="image"]')) {
+        return (element.getAttribute('alt') || '').trim();
+      }
+
+      if (fromContent && !element.matches('input, select, textarea')) {
+        const text = this.getText(element);
+        if (text) return text;
+      }
+
+      return (element.getAttribute('title') || element.getAttribute('placeholder') || '').trim();
+    },
+
+    getText(element) {
+      const clone = element.cloneNode(true);
+      clone.querySelectorAll('[aria-hidden="true"], script, style').forEach(hidden => hidden.remove());
+
+      const alternatives = Array.from(clone.querySelectorAll('img[alt], svg title'))
+        .map(alternative => alternative.getAttribute('alt') || alternative.textContent);
+
+      return [clone.textContent, ...alternatives].join(' ').replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * Content hidden from assistive technology that can still be used, and
+     * inert content that is announced or expanded
+     */
+    checkHiddenConflicts() {
+      this.collect('[aria-hidden="true"]').forEach(hidden => {
+        // inert takes the content out of the tab order as well
+        if (hidden.closest('[inert]')) return;
+
+        const focusable = [hidden, ...hidden.querySelectorAll(FOCUSABLE_SELECTOR)]
+          .filter(element => element.matches(FOCUSABLE_SELECTOR) && this.isTabbable(element) && isVisible(element));
+
+        if (focusable.length > 0) {
+          this.addIssue('hidden-conflict', 'error', hidden, `aria-hidden="true" hides ${focusable.length} focusable element(s) that can still be reached with Tab, make it inert`, { focusable: focusable.length });
+        } else if (isVisible(hidden) && (hidden.matches(INTERACTIVE_SELECTOR) || hidden.querySelector(INTERACTIVE_SELECTOR))) {
+          this.addIssue('hidden-conflict', 'warning', hidden, 'Visible interactive content has aria-hidden="true"');
+        }
+      });
+
+      this.collect('[inert]').forEach(inert => {
+        if (inert.getAttribute('aria-hidden') === 'false') {
+          this.addIssue('hidden-conflict', 'warning', inert, 'aria-hidden="false" on inert content, inert hides it from assistive technology anyway');
+        }
+
+        if (inert.contains(document.activeElement)) {
+          this.addIssue('hidden-conflict', 'error', inert, 'The focus is inside inert content');
+        }
+
+        if (inert.id && isVisible(inert)) {
+          const controllers = Array.from(document.querySelectorAll('[aria-expanded="true"][aria-controls]'))
+            .filter(controller => controller.getAttribute('aria-controls').split(/\s+/).includes(inert.id));
+          if (controllers.length > 0) {
+            this.addIssue('hidden-conflict', 'error', inert, `Expanded by ${this.getSelector(controllers[0])} but inert, its content can't be used`, { controller: this.getSelector(controllers[0]) });
+          }
+        }
+      });
+    },
+
+    getSelector(element) {
+      const parts = [];
+      let current = element;
+
+      while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.body) {
+        if (current.id) {
+          parts.unshift(`#${CSS.escape(current.id)}`);
+          return parts.join(' > ');
+        }
+
+        let part = current.tagName.toLowerCase();
+        const parent = current.parentElement;
+        if (parent) {
+          const siblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+          if (siblings.length > 1) {
+            part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+          }
+        }
+        parts.unshift(part);
+        current = parent;
+      }
+
+      parts.unshift('body');
+      return parts.join(' > ');
+    },
+
+    getOpeningTag(element) {
+      const html = element.outerHTML;
+      const tag = html.slice(0, html.indexOf('>') + 1);
+      return tag.length > 200 ? `${tag.slice(0, 197)}...` : tag;
+    },
+
+    log() {
+      const { summary } = this.report;
+      const color = summary.errors > 0 ? 'color: red' : (summary.warnings > 0 ? 'color: #FF9800' : 'color: green');
+
+      console.group(`%c♿ Solo Accessibility Audit: ${summary.errors} error(s), ${summary.warnings} warning(s)`, `${color}; font-weight: bold; font-size: 14px`);
+      if (this.issues.length > 0) {
+        console.table(this.issues.map(issue => ({
+          id: issue.id,
+          severity: issue.severity,
+          check: issue.check,
+          message: issue.message,
+          selector: issue.element.selector
+        })));
+      } else {
+        console.log('✓ No issues found');
+      }
+      console.log('%cRun soloAudit.json() or soloAudit.copy() for the JSON report', 'color: blue; font-style: italic');
+      console.groupEnd();
+    },
+
+    /**
+     * Highlight the offending elements and list the issues
+     */
+    showOverlay() {
+      this.hideOverlay();
+      if (!this.report) return;
+
+      const overlay = document.createElement('div');
+      overlay.className = 'solo-audit-overlay';
+      overlay.setAttribute(OVERLAY_ATTRIBUTE, '');
+
+      // The markers mirror the panel, keep them away from assistive technology
+      const markers = document.createElement('div');
+      markers.className = 'solo-audit-markers';
+      markers.setAttribute('aria-hidden', 'true');
+
+      this.issues.forEach(issue => {
+        const marker = document.createElement('div');
+        marker.className = `solo-audit-marker solo-audit-marker--${issue.severity}`;
+        marker.dataset.issue = issue.id;
+        marker.title = issue.message;
+        marker.innerHTML = `<span class="solo-audit-marker__badge">${issue.id}</span>`;
+        markers.appendChild(marker);
+      });
+
+      const panel = document.createElement('section');
+      panel.className = 'solo-audit-panel';
+      panel.setAttribute('aria-label', 'Solo accessibility audit');
+
+      const heading = document.createElement('h2');
+      heading.className = 'solo-audit-panel__title';
+      heading.textContent = `Accessibility audit: ${this.report.summary.errors} error(s), ${this.report.summary.warnings} warning(s)`;
+      panel.appendChild(heading);
+
+      const list = document.createElement('ol');
+      list.className = 'solo-audit-panel__issues';
+      this.issues.forEach(issue => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `solo-audit-panel__issue solo-audit-panel__issue--${issue.severity}`;
+        button.dataset.issue = issue.id;
+        button.textContent = `[${issue.severity}] ${issue.check}: ${issue.message}`;
+        item.appendChild(button);
+        list.appendChild(item);
+      });
+      panel.appendChild(list);
+
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.className = 'solo-audit-panel__close';
+      close.textContent = 'Close';
+      panel.appendChild(close);
+
+      panel.addEventListener('click', (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+
+        if (button === close) {
+          this.hideOverlay();
+        } else {
+          this.showIssue(parseInt(button.dataset.issue, 10));
+        }
+      });
+
+      overlay.appendChild(markers);
+      overlay.appendChild(panel);
+      document.body.appendChild(overlay);
+
+      this.overlay = overlay;
+      this.handleResize = () => {
+        cancelAnimationFrame(this.resizeFrame);
+        this.resizeFrame = requestAnimationFrame(() => this.positionMarkers());
+      };
+      window.addEventListener('resize', this.handleResize);
+      this.positionMarkers();
+    },
+
+    /**
+     * Put the markers over their elements, or over the closest visible
+     * ancestor of hidden ones
+     */
+    positionMarkers() {
+      if (!this.overlay) return;
+
+      this.overlay.querySelectorAll('.solo-audit-marker').forEach(marker => {
+        const element = this.elements[marker.dataset.issue - 1];
+        const target = this.getVisibleTarget(element);
+
+        marker.classList.toggle('solo-audit-marker--hidden', target !== element);
+        if (!target) {
+          marker.hidden = true;
+          return;
+        }
+
+        const rect = target.getBoundingClientRect();
+        marker.hidden = false;
+        marker.style.top = `${rect.top + window.scrollY}px`;
+        marker.style.left = `${rect.left + window.scrollX}px`;
+        marker.style.width = `${rect.width}px`;
+        marker.style.height = `${rect.height}px`;
+      });
+    },
+
+    getVisibleTarget(element) {
+      let current = element;
+      while (current && current !== document.body && !(current.isConnected && isVisible(current))) {
+        current = current.parentElement;
+      }
+      return current && current !== document.body ? current : null;
+    },
+
+    showIssue(id) {
+      const target = this.getVisibleTarget(this.elements[id - 1]);
+      if (target) {
+        target.scrollIntoView({ block: 'center', behavior: 'smooth' });
+      }
+
+      this.overlay.querySelectorAll('.solo-audit-marker').forEach(marker => {
+        marker.classList.toggle('is-current', parseInt(marker.dataset.issue, 10) === id);
+      });
+      this.positionMarkers();
+    },
+
+    hideOverlay() {
+      if (!this.overlay) return;
+
+      window.removeEventListener('resize', this.handleResize);
+      cancelAnimationFrame(this.resizeFrame);
+      this.overlay.remove();
+      this.overlay = null;
+    },
+
+    toJSON() {
+      return this.report ? JSON.stringify(this.report, null, 2) : null;
+    }
+  };
+
+  window.soloAudit = {
+    run: () => Drupal.solo.audit.run(),
+    json: () => {
+      const json = Drupal.solo.audit.toJSON();
+      if (!json) {
+        console.warn('Solo Audit: No report yet, run soloAudit.run() first');
+      }
+      return json;
+    },
+    copy: () => {
+      const json = Drupal.solo.audit.toJSON() || JSON.stringify(Drupal.solo.audit.run({ overlay: false }), null, 2);
+      if (window.soloDiagnostic) {
+        window.soloDiagnostic.copyToClipboard(json);
+      } else {
+        console.log(json);
+      }
+      return json;
+    },
+    overlay: () => Drupal.solo.audit.showOverlay(),
+    clear: () => Drupal.solo.audit.hideOverlay()
+  };
+
+  if (drupalSettings.solo.debug_audit) {
+    // Let the menus and dialogs settle first
+    window.addEventListener('load', () => {
+      setTimeout(() => Drupal.solo.audit.run(), 500);
+    });
+  }
+
+  console.log('%c♿ Accessibility Audit Commands Available:', 'color: blue; font-weight: bold; font-size: 12px');
+  console.log('%c  soloAudit.run()   %c- Audit menus, dialogs and messages', 'color: cyan', 'color: gray');
+  console.log('%c  soloAudit.copy()  %c- Copy the JSON report', 'color: cyan', 'color: gray');
+  console.log('%c  soloAudit.clear() %c- Remove the overlay', 'color: cyan', 'color: gray');
+
+})(Drupal, drupalSettings);
@@ -10,6 +10,7 @@
       this.core = core;
       this.menubar = core.menubar;
       this.observers = [];
+      this.observer = null;
     }
 
     init() {
@@ -17,9 +18,14 @@
       this.ensureProperRoles();
     }
 
-    ensureProperRoles() {
+    addItems(items, container) {
+      this.ensureProperRoles(container);
+      this.observeTogglers(container);
+    }
+
+    ensureProperRoles(root = this.menubar) {
       // Ensure all <li> elements have role="none" - ARIA best practice
-      this.menubar.querySelectorAll('li').forEach(li => {
+      root.querySelectorAll('li').forEach(li => {
         if (!li.hasAttribute('role') || li.getAttribute('role') !== 'none') {
           li.setAttribute('role', 'none');
         }
@@ -34,7 +40,7 @@
       });
 
       // Ensure all interactive elements have proper roles
-      this.menubar.querySelectorAll('a, button').forEach(item => {
+      root.querySelectorAll('a, button').forEach(item => {
         if (!item.hasAttribute('role') && (item.tagName === 'A' || item.classList.contains('dropdown-toggler'))) {
           item.setAttribute('role', 'menuitem');
         }
@@ -55,7 +61,7 @@
     }
 
     observeAriaChanges() {
-      const observer = new MutationObserver(mutations => {
+      this.observer = new MutationObserver(mutations => {
         mutations.forEach(mutation => {
           if (mutation.type === 'attributes' && mutation.attributeName === 'aria-expanded') {
             // FIX: Prevent redundant calls by checking if value actually changed
@@ -68,13 +74,18 @@
         });
       });
 
-      this.menubar.querySelectorAll('button.dropdown-toggler').forEach(button => {
-        observer.observe(button, {
+      this.observeTogglers(this.menubar);
+    }
+
+    observeTogglers(root) {
+      root.querySelectorAll('button.dropdown-toggler').forEach(button => {
+        if (this.observers.some(({ element }) => element === button)) return;
+        this.observer.observe(button, {
           attributes: true,
           attributeFilter: ['aria-expanded'],
           attributeOldValue: true // Track old values to prevent redundant updates
         });
-        this.observers.push({ element: button, observer });
+        this.observers.push({ element: button, observer: this.observer });
       });
     }
 
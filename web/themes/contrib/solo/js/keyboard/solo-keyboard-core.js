@@ -5,6 +5,8 @@
 
   const COMPONENT_NAME = 'keyboard-core';
 
+  const MENU_ITEM_SELECTOR = 'a[role="menuitem"], button[role="menuitem"], a, button';
+
   class KeyboardNavigationCore {
     constructor(menuWrapper) {
       this.menuWrapper = menuWrapper;
@@ -57,7 +59,14 @@
         return;
       }
 
-      // For horizontal/default menus on large screens
+      // For horizontal/default menus on large screens the menubar is a
+      // single tab stop
+      const focusModule = this.getModule('focus');
+      if (focusModule) {
+        focusModule.resetRovingTabindex();
+        return;
+      }
+
       const firstMenuItem = this.menubar.querySelector(':scope > li > a, :scope > li > button');
       if (firstMenuItem && firstMenuItem.offsetParent !== null) {
         firstMenuItem.setAttribute('tabindex', '0');
@@ -106,7 +115,7 @@
         this.menubar.setAttribute('role', 'menubar');
       }
 
-      this.menuItems = this.menubar.querySelectorAll('a[role="menuitem"], button[role="menuitem"], a, button');
+      this.menuItems = this.menubar.querySelectorAll(MENU_ITEM_SELECTOR);
       this.mobileNavButton = this.menuWrapper.querySelector('.mobile-menubar-toggler-button');
 
       return true;
@@ -147,6 +156,30 @@
       }
     }
 
+    /**
+     * Takes in menu items inserted after the initialization, e.g. the
+     * submenus loaded by solo-menu-panels.js.
+     *
+     * @param {HTMLElement} container - The element holding the new items
+     */
+    addItems(container) {
+      // The modules find the items themselves when they initialize
+      if (!this.menubar || !this.menubar.contains(container) || !this.modules.size) return;
+
+      const items = container.querySelectorAll(MENU_ITEM_SELECTOR);
+      this.menuItems = this.menubar.querySelectorAll(MENU_ITEM_SELECTOR);
+
+      this.modules.forEach((module, name) => {
+        try {
+          if (typeof module.addItems === 'function') {
+            module.addItems(items, container);
+          }
+        } catch (error) {
+          console.error(`Solo Keyboard: Error adding items to module ${name}`, error);
+        }
+      });
+    }
+
     getModule(name) {
       return this.modules.get(name);
     }
@@ -178,6 +211,12 @@
       menus.forEach(menu => {
         menu._soloKeyboardInstance = new KeyboardNavigationCore(menu);
       });
+
+      // Items inserted into a menu already set up
+      const menu = context !== document && context.closest ? context.closest('.solo-keyboard-enabled') : null;
+      if (menu && menu._soloKeyboardInstance) {
+        menu._soloKeyboardInstance.addItems(context);
+      }
     },
 
     detach: function(context, settings, trigger) {
@@ -5,41 +5,52 @@
 
   const COMPONENT_NAME = 'keyboard-focus';
 
+  // The menubar tab stop outranks the tabindex set by the other menu scripts
+  const ROVING_COMPONENT_NAME = 'keyboard';
+
   class KeyboardFocusModule {
     constructor(core) {
       this.core = core;
       this.menubar = core.menubar;
       this.handleFocus = this.handleFocus.bind(this);
       this.handleBlur = this.handleBlur.bind(this);
+      this.suppressAutoOpen = null;
+      this.wasSmallScreen = null;
     }
 
     init() {
+      this.wasSmallScreen = this.core.isSmallScreen();
       this.bindFocusEvents();
     }
 
-    bindFocusEvents() {
-      this.core.menuItems.forEach(item => {
+    bindFocusEvents(items = this.core.menuItems) {
+      items.forEach(item => {
         item.addEventListener('focus', this.handleFocus);
         item.addEventListener('blur', this.handleBlur);
       });
     }
 
+    addItems(items) {
+      this.bindFocusEvents(items);
+    }
+
     handleFocus(event) {
       const item = event.target;
       const parser = this.core.getModule('templateParser');
 
-      if (parser?.shouldAutoOpen(item)) {
+      if (this.suppressAutoOpen !== item && parser?.shouldAutoOpen(item)) {
         const itemStructure = parser.getItemStructure(item);
         if (itemStructure?.hasSubmenu && itemStructure.submenu && !itemStructure.submenu.classList.contains('toggled')) {
           setTimeout(() => {
             if (!itemStructure.submenu.classList.contains('toggled') && itemStructure.button) {
               if (Drupal.solo.menuOperations) {
                 const isMenubar = itemStructure.button.parentElement.classList.contains('nav__menubar-item');
-                if (isMenubar) {
-                  Drupal.solo.menuOperations.openMenubar(itemStructure.button, itemStructure.submenu);
-                } else {
-                  Drupal.solo.menuOperations.openSubMenu(itemStructure.button, itemStructure.submenu);
-                }
+                const opened = isMenubar
+                  ? Drupal.solo.menuOperations.openMenubar(itemStructure.button, itemStructure.submenu)
+                  : Drupal.solo.menuOperations.openSubMenu(itemStructure.button, itemStructure.submenu);
+
+                // A solo:menu:submenu-open listener vetoed the open
+                if (opened === false) return;
 
                 // For hover menus, make submenu items focusable via Tab
                 const isHoverMode = this.core.templateInfo.interactionMode === 'hover';
@@ -73,17 +84,83 @@
       event.target.classList.remove('solo-keyboard-focus');
     }
 
+    /**
+     * Focus an item without opening its submenu in hover mode, e.g. when
+     * Escape returns to the parent of the submenu it closed.
+     */
+    focusWithoutOpening(item) {
+      this.suppressAutoOpen = item;
+      try {
+        item.focus();
+      } finally {
+        this.suppressAutoOpen = null;
+      }
+    }
+
+    /**
+     * Whether the menubar is a single tab stop with a roving tabindex.
+     *
+     * On small screens and in sidebars the mobile and sidebar scripts open
+     * the whole menu to Tab instead.
+     */
+    hasRovingMenubar() {
+      return !this.core.isSmallScreen() && !this.core.templateInfo.isSidebar;
+    }
+
+    setRovingTabindex(container, newFocus, componentName) {
+      container.querySelectorAll(':scope > li > a, :scope > li > button').forEach(item => {
+        const tabindexValue = item === newFocus ? '0' : '-1';
+        if (Drupal.solo.menuState) {
+          Drupal.solo.menuState.setTabindex(item, tabindexValue, componentName);
+        } else {
+          item.setAttribute('tabindex', tabindexValue);
+        }
+      });
+    }
+
+    /**
+     * Reset the tab stop of the menubar to the active or the first item, or
+     * hand the menubar items back to the other menu scripts.
+     */
+    resetRovingTabindex() {
+      const items = this.menubar.querySelectorAll(':scope > li > a, :scope > li > button');
+
+      if (!this.hasRovingMenubar()) {
+        if (Drupal.solo.menuState) {
+          items.forEach(item => Drupal.solo.menuState.releaseTabindex(item, ROVING_COMPONENT_NAME));
+        }
+        return;
+      }
+
+      const focused = this.menubar.contains(document.activeElement) ? document.activeElement.closest('.nav__menubar-item') : null;
+      const current = focused || this.menubar.querySelector(':scope > li.is-active') || items[0]?.parentElement;
+      const tabStop = current?.querySelector(':scope > a, :scope > button');
+      if (tabStop) {
+        this.setRovingTabindex(this.menubar, tabStop, ROVING_COMPONENT_NAME);
+      }
+    }
+
+    onResize() {
+      const isSmallScreen = this.core.isSmallScreen();
+      if (isSmallScreen !== this.wasSmallScreen) {
+        this.wasSmallScreen = isSmallScreen;
+        this.resetRovingTabindex();
+      }
+    }
+
     updateRovingTabindex(newFocus) {
       const container = newFocus.closest('[role="menubar"], [role="menu"]');
       if (!container) return;
 
-      const isSmallScreen = this.core.isSmallScreen();
-      const isMenubarOpen = this.menubar.classList.contains('toggled');
-
-      if (isSmallScreen && !isMenubarOpen && container === this.menubar) {
+      if (container === this.menubar) {
+        if (this.hasRovingMenubar()) {
+          this.setRovingTabindex(container, newFocus, ROVING_COMPONENT_NAME);
+        }
         return;
       }
 
+      const isSmallScreen = this.core.isSmallScreen();
+
       // Check if we're in hover mode
       const isHoverMode = this.core.templateInfo.interactionMode === 'hover';
 
@@ -113,17 +190,7 @@
       }
 
       // Original roving tabindex behavior for click menus
-      container.querySelectorAll(':scope > li > a, :scope > li > button').forEach(item => {
-        const currentTabindex = item.getAttribute('tabindex');
-        if (currentTabindex !== null) {
-          const tabindexValue = item === newFocus ? '0' : '-1';
-          if (Drupal.solo.menuState) {
-            Drupal.solo.menuState.setTabindex(item, tabindexValue, 'keyboard-focus');
-          } else {
-            item.setAttribute('tabindex', tabindexValue);
-          }
-        }
-      });
+      this.setRovingTabindex(container, newFocus, COMPONENT_NAME);
     }
 
     destroy() {
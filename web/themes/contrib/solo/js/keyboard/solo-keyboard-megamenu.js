@@ -8,6 +8,7 @@
       this.core = core;
       this.menubar = core.menubar;
       this.handleMegamenuKeydown = this.handleMegamenuKeydown.bind(this);
+      this.megaMenus = new Set();
     }
 
     init() {
@@ -18,31 +19,41 @@
     enhanceMegamenuNavigation() {
       const megaMenus = this.menubar.querySelectorAll('.sub-mega, .sub__mega, [class*="sub-mega"]');
       megaMenus.forEach(megaMenu => {
-        megaMenu.querySelectorAll('a, button').forEach(item => {
-          item.addEventListener('keydown', this.handleMegamenuKeydown);
-        });
+        if (this.megaMenus.has(megaMenu)) return;
+        // Capture on the panel runs before the navigation module's listeners
+        // on the items, so column keys are handled once
+        megaMenu.addEventListener('keydown', this.handleMegamenuKeydown, true);
+        this.megaMenus.add(megaMenu);
       });
     }
 
+    addItems() {
+      if (!this.core.templateInfo.isMegamenu) return;
+      this.enhanceMegamenuNavigation();
+    }
+
     handleMegamenuKeydown(event) {
-      const megaMenu = event.target.closest('.sub-mega, .sub__mega, [class*="sub-mega"]');
-      if (!megaMenu) return;
+      if (!['ArrowRight', 'ArrowLeft', 'Home', 'End'].includes(event.key)) return;
 
+      const megaMenu = event.currentTarget;
       const columns = this.getMegamenuColumns(megaMenu);
       const position = this.findItemPosition(event.target, columns);
       if (!position) return;
 
+      event.preventDefault();
+      event.stopPropagation();
+
       switch (event.key) {
         case 'ArrowRight':
-          event.preventDefault();
-          event.stopPropagation();
           this.navigateColumns(position, columns, 1);
           break;
         case 'ArrowLeft':
-          event.preventDefault();
-          event.stopPropagation();
           this.navigateColumns(position, columns, -1);
           break;
+        case 'Home':
+        case 'End':
+          this.focusItem(columns[position.column][event.key === 'Home' ? 0 : columns[position.column].length - 1]);
+          break;
       }
     }
 
@@ -51,8 +62,9 @@
       const columnElements = megaMenu.querySelectorAll(':scope > li, .megamenu-column');
 
       columnElements.forEach(column => {
-        const items = Array.from(column.querySelectorAll('a, button'))
-          .filter(item => this.isVisible(item) && !item.closest('ul ul'));
+        // The column heading and the items listed under it
+        const items = Array.from(column.querySelectorAll(':scope > a, :scope > button, :scope > ul > li > a, :scope > ul > li > button'))
+          .filter(item => this.isVisible(item));
         if (items.length > 0) {
           columns.push(items);
         }
@@ -83,14 +95,17 @@
       const targetItems = columns[targetColumn];
       if (targetItems && targetItems.length > 0) {
         const targetIndex = Math.min(position.item, targetItems.length - 1);
-        const targetItem = targetItems[targetIndex];
-        if (targetItem) {
-          targetItem.focus();
-          const focusModule = this.core.getModule('focus');
-          if (focusModule) {
-            focusModule.updateRovingTabindex(targetItem);
-          }
-        }
+        this.focusItem(targetItems[targetIndex]);
+      }
+    }
+
+    focusItem(item) {
+      if (!item || item === document.activeElement) return;
+
+      item.focus();
+      const focusModule = this.core.getModule('focus');
+      if (focusModule) {
+        focusModule.updateRovingTabindex(item);
       }
     }
 
@@ -100,14 +115,10 @@
     }
 
     destroy() {
-      if (!this.core.templateInfo.isMegamenu) return;
-
-      const megaMenus = this.menubar.querySelectorAll('.sub-mega, .sub__mega, [class*="sub-mega"]');
-      megaMenus.forEach(megaMenu => {
-        megaMenu.querySelectorAll('a, button').forEach(item => {
-          item.removeEventListener('keydown', this.handleMegamenuKeydown);
-        });
+      this.megaMenus.forEach(megaMenu => {
+        megaMenu.removeEventListener('keydown', this.handleMegamenuKeydown, true);
       });
+      this.megaMenus.clear();
     }
   }
 
@@ -3,6 +3,9 @@
   Drupal.solo = Drupal.solo || {};
   Drupal.solo.keyboard = Drupal.solo.keyboard || {};
 
+  // Typed characters are joined into one search until this delay passes
+  const TYPEAHEAD_TIMEOUT = 500;
+
   class NavigationModule {
     constructor(core) {
       this.core = core;
@@ -11,6 +14,7 @@
       this.handleKeydown = this.handleKeydown.bind(this);
       this.handleMobileNavClick = this.handleMobileNavClick.bind(this);
       this.timeouts = new Set();
+      this.typeahead = { buffer: '', timeout: null };
     }
 
     init() {
@@ -24,6 +28,12 @@
       });
     }
 
+    addItems(items) {
+      items.forEach(item => {
+        item.addEventListener('keydown', this.handleKeydown);
+      });
+    }
+
     setupMobileNav() {
       if (this.core.mobileNavButton) {
         this.core.mobileNavButton.addEventListener('click', this.handleMobileNavClick);
@@ -84,6 +94,13 @@
       const itemStructure = parser.getItemStructure(target);
       const isSidebar = this.core.templateInfo.isSidebar;
 
+      // Printable characters move to the next item starting with them
+      if (this.isTypeaheadKey(event)) {
+        event.preventDefault();
+        this.handleTypeahead(target, key);
+        return;
+      }
+
       if (['ArrowRight', 'ArrowLeft', 'ArrowDown', 'ArrowUp', 'Home', 'End', 'Escape'].includes(key)) {
         event.preventDefault();
       }
@@ -120,15 +137,14 @@
                 }
               }
             }
-
-            // Don't prevent default - allow natural Tab navigation
-            return;
-          } else {
-            // For click menus or small screens: Use custom top-level navigation
-            event.preventDefault();
-            this.navigateTopLevel(target, !event.shiftKey);
+          } else if (!isSmallScreen) {
+            // For click menus: the menubar is a single tab stop, Tab leaves
+            // it and closes the submenu left open behind
+            this.closeMenubarSubmenu(target);
           }
-          break;
+
+          // Don't prevent default - allow natural Tab navigation
+          return;
 
         case 'Enter':
           if (target.tagName === 'A') {
@@ -179,7 +195,10 @@
           break;
 
         case 'Escape':
-          this.handleEscape(target);
+          // Don't let the sidebar dialog close as well
+          if (this.handleEscape(target, itemStructure)) {
+            event.stopPropagation();
+          }
           break;
 
         case 'Home':
@@ -189,29 +208,54 @@
       }
     }
 
-    navigateTopLevel(current, forward) {
-      const topLevelItems = Array.from(this.menubar.querySelectorAll(':scope > li > a, :scope > li > button'))
-        .filter(item => item.offsetParent !== null);
+    isTypeaheadKey(event) {
+      if (event.key.length !== 1 || event.ctrlKey || event.metaKey || event.altKey) {
+        return false;
+      }
+      // Space activates items unless it is part of a search
+      return event.key !== ' ' || this.typeahead.buffer !== '';
+    }
 
-      const currentIndex = topLevelItems.indexOf(current);
-      let targetIndex;
+    handleTypeahead(current, char) {
+      const typeahead = this.typeahead;
 
-      if (currentIndex === -1) {
-        const parentLi = current.closest('li');
-        const topLevelFocus = this.getPrimaryFocusElement(parentLi?.closest('.nav__menubar-item') || parentLi);
-        targetIndex = topLevelItems.indexOf(topLevelFocus);
-      } else {
-        targetIndex = currentIndex;
-      }
+      clearTimeout(typeahead.timeout);
+      typeahead.buffer += char.toLowerCase();
+      typeahead.timeout = setTimeout(() => {
+        typeahead.buffer = '';
+        typeahead.timeout = null;
+      }, TYPEAHEAD_TIMEOUT);
 
-      if (forward) {
-        targetIndex = (targetIndex + 1) % topLevelItems.length;
-      } else {
-        targetIndex = (targetIndex - 1 + topLevelItems.length) % topLevelItems.length;
+      const container = current.closest('[role="menubar"], [role="menu"]');
+      const items = this.getLevelItems(container);
+      if (items.length === 0) return;
+
+      const currentLi = current.closest('li');
+      const currentIndex = Math.max(items.findIndex(item => item.closest('li') === currentLi), 0);
+
+      // Typing the same character again cycles through the items starting
+      // with it, a longer prefix keeps the current item while it matches
+      const buffer = typeahead.buffer;
+      const isRepeat = buffer.split('').every(c => c === buffer[0]);
+      const prefix = isRepeat ? buffer[0] : buffer;
+      const start = isRepeat ? currentIndex + 1 : currentIndex;
+
+      for (let i = 0; i < items.length; i++) {
+        const item = items[(start + i) % items.length];
+        if (item.textContent.trim().toLowerCase().startsWith(prefix)) {
+          if (item !== current) item.focus();
+          return;
+        }
       }
+    }
+
+    closeMenubarSubmenu(current) {
+      const menubarItem = current.closest('.nav__menubar-item');
+      if (!menubarItem || !Drupal.solo.menuOperations) return;
 
-      if (topLevelItems[targetIndex]) {
-        topLevelItems[targetIndex].focus();
+      const itemStructure = this.core.getModule('templateParser')?.getItemStructure(menubarItem);
+      if (itemStructure?.button && itemStructure.submenu?.classList.contains('toggled')) {
+        Drupal.solo.menuOperations.closeMenubar(itemStructure.button, itemStructure.submenu);
       }
     }
 
@@ -416,11 +460,12 @@
 
         const isMenubar = itemStructure.button.parentElement?.classList.contains('nav__menubar-item');
 
-        if (isMenubar) {
-          Drupal.solo.menuOperations.openMenubar(itemStructure.button, itemStructure.submenu);
-        } else {
-          Drupal.solo.menuOperations.openSubMenu(itemStructure.button, itemStructure.submenu);
-        }
+        const opened = isMenubar
+          ? Drupal.solo.menuOperations.openMenubar(itemStructure.button, itemStructure.submenu)
+          : Drupal.solo.menuOperations.openSubMenu(itemStructure.button, itemStructure.submenu);
+
+        // A solo:menu:submenu-open listener vetoed the open
+        if (opened === false) return;
 
         // Focus handling after operation
         this.setTimeoutSafe(() => {
@@ -484,7 +529,7 @@
       const parentButton = parentStructure?.button || parentLi.querySelector(':scope > button.dropdown-toggler');
 
       if (parentButton && document.contains(parentButton)) {
-        parentButton.focus();
+        this.focusWithoutOpening(parentButton);
         if (submenu.classList.contains('toggled')) {
           if (Drupal.solo.menuOperations) {
             Drupal.solo.menuOperations.closeSubMenu(parentButton, submenu);
@@ -495,28 +540,65 @@
       } else {
         const parentFocus = this.getPrimaryFocusElement(parentLi, parentStructure);
         if (parentFocus && document.contains(parentFocus)) {
-          parentFocus.focus();
+          this.focusWithoutOpening(parentFocus);
         }
       }
     }
 
-    handleEscape(current) {
+    focusWithoutOpening(element) {
+      const focusModule = this.core.getModule('focus');
+      if (focusModule) {
+        focusModule.focusWithoutOpening(element);
+      } else {
+        element.focus();
+      }
+    }
+
+    handleEscape(current, itemStructure) {
+      // Escape closes one level at a time
       const submenu = current.closest('[role="menu"]');
       if (submenu && submenu !== this.menubar) {
         this.exitSubmenu(current);
-      } else if (this.core.isSmallScreen() && this.core.mobileNavButton) {
+        return true;
+      }
+
+      if (itemStructure?.button && itemStructure.submenu?.classList.contains('toggled')) {
+        if (Drupal.solo.menuOperations) {
+          Drupal.solo.menuOperations.closeMenubar(itemStructure.button, itemStructure.submenu);
+        } else {
+          itemStructure.button.click();
+        }
+        return true;
+      }
+
+      if (this.core.isSmallScreen() && this.core.mobileNavButton) {
         if (this.menubar.classList.contains('toggled')) {
           this.core.mobileNavButton.click();
         }
         this.core.mobileNavButton.focus();
+        return true;
       }
+
+      return false;
     }
 
     navigateToEnd(current, toFirst) {
       const container = current.closest('[role="menubar"], [role="menu"]');
-      const items = this.getAllFocusableItems(container);
+      const items = this.getLevelItems(container);
       const target = toFirst ? items[0] : items[items.length - 1];
-      if (target) target.focus();
+      if (target && target !== current) target.focus();
+    }
+
+    getLevelItems(container) {
+      if (!container || !document.contains(container)) {
+        return [];
+      }
+
+      // One item per menu item, the link of split items
+      return Array.from(container.children)
+        .filter(li => li.tagName === 'LI')
+        .map(li => this.getPrimaryFocusElement(li))
+        .filter(item => item && item.offsetParent !== null);
     }
 
     getAllFocusableItems(container) {
@@ -542,6 +624,7 @@
     destroy() {
       this.timeouts.forEach(timeoutId => clearTimeout(timeoutId));
       this.timeouts.clear();
+      clearTimeout(this.typeahead.timeout);
       this.core.menuItems.forEach(item => {
         item.removeEventListener('keydown', this.handleKeydown);
       });
@@ -110,10 +110,14 @@
       return 'down';
     }
 
-    ensureAccessibilityCompliance() {
+    addItems(items, container) {
+      this.ensureAccessibilityCompliance(container);
+    }
+
+    ensureAccessibilityCompliance(root = this.menubar) {
       if (!this.menubar) return;
       // Ensure all menu items have proper roles
-      this.menubar.querySelectorAll('a, button').forEach(item => {
+      root.querySelectorAll('a, button').forEach(item => {
         const role = item.getAttribute('role');
         if (!role || role !== 'menuitem') {
           item.setAttribute('role', 'menuitem');
@@ -126,7 +130,7 @@
       });
 
       // Ensure proper menu structure
-      this.menubar.querySelectorAll('ul').forEach(ul => {
+      root.querySelectorAll('ul').forEach(ul => {
         if (!ul.hasAttribute('role')) {
           const isTopLevel = ul === this.menubar;
           ul.setAttribute('role', isTopLevel ? 'menubar' : 'menu');
@@ -134,7 +138,7 @@
       });
 
       // Ensure li elements have role="none"
-      this.menubar.querySelectorAll('li').forEach(li => {
+      root.querySelectorAll('li').forEach(li => {
         if (!li.hasAttribute('role')) {
           li.setAttribute('role', 'none');
         }
@@ -149,7 +153,7 @@
       }
 
       // Ensure buttons have proper ARIA attributes
-      this.menubar.querySelectorAll('button.dropdown-toggler').forEach(button => {
+      root.querySelectorAll('button.dropdown-toggler').forEach(button => {
         if (Drupal.solo.menuState) {
           Drupal.solo.menuState.setAriaAttribute(button, 'aria-haspopup', 'true', 'templateParser');
           Drupal.solo.menuState.setAriaAttribute(button, 'aria-expanded', 'false', 'templateParser');
@@ -158,7 +162,7 @@
       });
 
       // Ensure submenus have proper initial state
-      this.menubar.querySelectorAll('ul[role="menu"]').forEach(submenu => {
+      root.querySelectorAll('ul[role="menu"]').forEach(submenu => {
         if (!submenu.hasAttribute('aria-hidden')) {
           const isOpen = submenu.classList.contains('toggled');
           if (Drupal.solo.menuState) {
@@ -64,6 +64,18 @@
     }
   };
 
+  /**
+   * Dispatches solo:menu:mobile-toggle before the mobile menu opens or closes
+   * @param {boolean} open - Whether the menu is opening
+   * @param {string} navTagId - The navigation element ID
+   * @param {HTMLElement} button - The hamburger button
+   * @returns {boolean} False when a listener vetoes the open
+   */
+  const dispatchMobileToggle = (open, navTagId, button) => {
+    const menu = document.getElementById(navTagId);
+    return Drupal.solo.menuState.dispatch('mobile-toggle', menu, { open, menu, button }, open);
+  };
+
   /**
    * Opens the mobile menu with coordinated state
    * @param {string} navTagId - The navigation element ID
@@ -249,6 +261,10 @@
       isOpen = navigationMenubar.classList.contains('toggled');
     }
 
+    if (!dispatchMobileToggle(!isOpen, navTagId, hamburgerIconChild)) {
+      return;
+    }
+
     if (!isOpen) {
       // Update button state using state manager if available
       if (hamburgerIconChild) {
@@ -362,6 +378,10 @@
 
     if (!navTagId) return;
 
+    if (Drupal.solo.getNavigationMenubarClass(navTagId)?.classList.contains('toggled')) {
+      dispatchMobileToggle(false, navTagId, hamburgerIconChild);
+    }
+
     if (hamburgerIconChild) {
       Drupal.solo.menuState.setExpanded(hamburgerIconChild, false, COMPONENT_NAME);
     }
@@ -0,0 +1,292 @@
+/**
+ * @file
+ * Lazy-loaded submenus of the primary menu.
+ *
+ * With lazy panels enabled, the top-level items of the primary menu are
+ * rendered without their submenu; their li carries the plugin ID of the link
+ * in data-solo-menu-panel. The submenu is fetched from the solo_menu_panels
+ * module on the first hover, focus or tap of the item, kept in memory and in
+ * sessionStorage, and inserted after the toggler. Drupal behaviors then bind
+ * the new markup, see Drupal.solo.keyboard.Core.addItems().
+ *
+ * Dispatches solo:menu:panel-load on the item once its submenu is inserted,
+ * detail: { item, submenu, toggler, link, menu }.
+ *
+ * Filename: solo-menu-panels.js
+ * Website: https://www.flashwebcenter.com
+ * Developer: Alaa Haddad https://www.alaahaddad.com.
+ */
+((Drupal, drupalSettings, once) => {
+  'use strict';
+
+  Drupal.solo = Drupal.solo || {};
+
+  const STORAGE_PREFIX = 'solo.menuPanel:';
+
+  // Keys opening the submenu of a menubar item
+  const OPEN_KEYS = ['ArrowDown', 'ArrowUp', 'Enter', ' '];
+
+  // The submenu html by storage key, or the request fetching it
+  const panels = new Map();
+
+  Drupal.solo.menuPanels = {
+
+    /**
+     * Get the storage key of a submenu.
+     *
+     * The key changes with the version of the menu, the language and the
+     * user, so a panel is never shown to a user it wasn't rendered for.
+     *
+     * @param {string} menuName - The machine name of the menu
+     * @param {string} link - The plugin ID of the link
+     * @returns {string} The key
+     */
+    getKey: function (menuName, link) {
+      const versions = (drupalSettings.solo && drupalSettings.solo.menuPanels) || {};
+      const language = (drupalSettings.path && drupalSettings.path.currentLanguage) || '';
+      const uid = (drupalSettings.user && drupalSettings.user.uid) || 0;
+      return `${STORAGE_PREFIX}${menuName}:${versions[menuName] || ''}:${language}:${uid}:${link}`;
+    },
+
+    /**
+     * Get the html of a submenu, from the cache or the server.
+     *
+     * @param {string} menuName - The machine name of the menu
+     * @param {string} link - The plugin ID of the link
+     * @returns {Promise<string>} The html of the link and its submenu
+     */
+    fetch: function (menuName, link) {
+      const key = this.getKey(menuName, link);
+      if (panels.has(key)) {
+        return Promise.resolve(panels.get(key));
+      }
+
+      let html = null;
+      try {
+        html = sessionStorage.getItem(key);
+      } catch (error) {
+        // Storage is disabled, the panels are kept for this page only.
+      }
+
+      const request = html !== null ? Promise.resolve(html) : fetch(Drupal.url('solo-menu-panel/' + encodeURIComponent(menuName)) + '?' + new URLSearchParams({ link: link }), {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' }
+      })
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(response.statusText);
+          }
+          return response.json();
+        })
+        .then((data) => {
+          try {
+            sessionStorage.setItem(key, data.html);
+          } catch (error) {
+            // Storage is disabled or full.
+          }
+          return data.html;
+        });
+
+      // Concurrent calls share the request, a failed one is tried again.
+      panels.set(key, request);
+      return request.then((panel) => {
+        panels.set(key, panel);
+        return panel;
+      }, (error) => {
+        panels.delete(key);
+        throw error;
+      });
+    },
+
+    /**
+     * Load and insert the submenu of a top-level item.
+     *
+     * @param {HTMLElement} item - The li with data-solo-menu-panel
+     * @returns {Promise<HTMLElement|null>} The submenu, null when there's none
+     */
+    load: function (item) {
+      if (!item._soloMenuPanel) {
+        const wrapper = item.closest('[data-menu-name]');
+        const link = item.getAttribute('data-solo-menu-panel');
+
+        item.classList.add('is-loading-panel');
+        item._soloMenuPanel = this.fetch(wrapper.getAttribute('data-menu-name'), link)
+          .then((html) => this.insert(item, html))
+          .catch((error) => {
+            delete item._soloMenuPanel;
+            if (window.console && console.error) {
+              console.error('Solo: could not load the submenu', error);
+            }
+            return null;
+          })
+          .finally(() => item.classList.remove('is-loading-panel'));
+      }
+      return item._soloMenuPanel;
+    },
+
+    /**
+     * Insert the submenu of a top-level item.
+     *
+     * @param {HTMLElement} item - The li with data-solo-menu-panel
+     * @param {string} html - The html of the link and its submenu
+     * @returns {HTMLElement|null} The submenu, null when there's none
+     */
+    insert: function (item, html) {
+      const existing = item.querySelector(':scope > ul');
+      if (existing) return existing;
+
+      const template = document.createElement('template');
+      template.innerHTML = html;
+      const submenu = template.content.querySelector('li > ul');
+      if (!submenu) return null;
+
+      const toggler = item.querySelector(':scope > .dropdown-toggler');
+      this.fixIds(submenu, toggler);
+      this.markActiveTrail(submenu);
+
+      item.appendChild(submenu);
+      Drupal.attachBehaviors(item, drupalSettings);
+
+      Drupal.solo.menuState.dispatch('panel-load', item, {
+        item,
+        submenu,
+        toggler,
+        link: item.getAttribute('data-solo-menu-panel'),
+        menu: item.closest('nav')
+      });
+      return submenu;
+    },
+
+    /**
+     * Keep the ids of a panel unique on the page.
+     *
+     * The panel is rendered in its own request, its ids can be those of
+     * the page. The submenu takes the id the toggler points to.
+     *
+     * @param {HTMLElement} submenu - The submenu, not inserted yet
+     * @param {HTMLElement|null} toggler - The toggler of the submenu
+     */
+    fixIds: function (submenu, toggler) {
+      const submenuId = toggler && toggler.getAttribute('aria-controls');
+      const renamed = new Map();
+      submenu.querySelectorAll('[id]').forEach((element) => {
+        let id = element.id;
+        for (let index = 2; id === submenuId || document.getElementById(id); index++) {
+          id = `${element.id}--${index}`;
+        }
+        if (id !== element.id) {
+          renamed.set(element.id, id);
+          element.id = id;
+        }
+      });
+
+      submenu.querySelectorAll('[aria-controls], [data-drupal-selector]').forEach((element) => {
+        ['aria-controls', 'data-drupal-selector'].forEach((name) => {
+          if (renamed.has(element.getAttribute(name))) {
+            element.setAttribute(name, renamed.get(element.getAttribute(name)));
+          }
+        });
+      });
+
+      if (submenuId) {
+        submenu.id = submenuId;
+      }
+    },
+
+    /**
+     * Mark the items of a panel linking to the current page.
+     *
+     * The active trail of the panel is that of the endpoint, not the page.
+     *
+     * @param {HTMLElement} submenu - The submenu, not inserted yet
+     */
+    markActiveTrail: function (submenu) {
+      submenu.querySelectorAll('a[href]').forEach((link) => {
+        // The links of a template aren't resolved against the page
+        const url = new URL(link.getAttribute('href'), window.location.href);
+        if (url.pathname !== window.location.pathname || url.origin !== window.location.origin) return;
+
+        link.setAttribute('aria-current', 'page');
+        link.removeAttribute('data-inactive');
+        for (let li = link.closest('li'); li && submenu.contains(li); li = li.parentElement.closest('li')) {
+          li.classList.add('is-active');
+        }
+      });
+    }
+  };
+
+  /**
+   * Loads the submenus of the primary menu on demand.
+   *
+   * @type {Drupal~behavior}
+   */
+  Drupal.behaviors.soloMenuPanels = {
+    attach: function (context) {
+      const menuPanels = Drupal.solo.menuPanels;
+
+      once('solo-menu-panels', 'li[data-solo-menu-panel]', context).forEach((item) => {
+        item.addEventListener('pointerenter', () => {
+          menuPanels.load(item).then((submenu) => {
+            // The pointer entered before the hover handlers were bound
+            if (submenu && item.matches(':hover')) {
+              item.dispatchEvent(new MouseEvent('mouseenter'));
+            }
+          });
+        }, { once: true });
+        item.addEventListener('focusin', () => menuPanels.load(item), { once: true });
+
+        // Clicks and keys that open the submenu wait for it
+        item.addEventListener('click', (event) => {
+          const toggler = event.target.closest('.dropdown-toggler');
+          if (!toggler || toggler.parentElement !== item || item.querySelector(':scope > ul')) return;
+
+          event.preventDefault();
+          event.stopPropagation();
+          menuPanels.load(item).then((submenu) => {
+            if (submenu) {
+              toggler.click();
+            }
+          });
+        }, true);
+
+        item.addEventListener('keydown', (event) => {
+          if (!OPEN_KEYS.includes(event.key) || item.querySelector(':scope > ul')) return;
+
+          const toggler = item.querySelector(':scope > .dropdown-toggler');
+          const isToggler = event.target === toggler;
+          if (!isToggler && (event.key === 'Enter' || event.key === ' ')) return;
+
+          event.preventDefault();
+          event.stopPropagation();
+          menuPanels.load(item).then((submenu) => {
+            if (!submenu || document.activeElement !== event.target) return;
+
+            if (isToggler && (event.key === 'Enter' || event.key === ' ')) {
+              toggler.click();
+            } else {
+              event.target.dispatchEvent(new KeyboardEvent('keydown', { key: event.key, bubbles: true, cancelable: true }));
+            }
+          });
+        }, true);
+      });
+
+      // Drop the panels of older versions of the menus.
+      once('solo-menu-panels', 'html').forEach(() => {
+        try {
+          Object.keys(sessionStorage).forEach((key) => {
+            if (!key.startsWith(STORAGE_PREFIX)) return;
+
+            const menuName = key.slice(STORAGE_PREFIX.length).split(':')[0];
+            const versions = (drupalSettings.solo && drupalSettings.solo.menuPanels) || {};
+            if (menuName in versions && !key.startsWith(`${STORAGE_PREFIX}${menuName}:${versions[menuName]}:`)) {
+              sessionStorage.removeItem(key);
+            }
+          });
+        } catch (error) {
+          // Storage is disabled.
+        }
+      });
+    }
+  };
+
+})(Drupal, drupalSettings, once);
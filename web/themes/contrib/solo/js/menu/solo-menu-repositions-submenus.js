@@ -241,7 +241,11 @@
         }
       }
 
-      // Store handler reference for cleanup
+      // Store handler reference for cleanup, replacing the one of an earlier
+      // attach, e.g. for the submenus loaded by solo-menu-panels.js
+      if (resizeHandler) {
+        window.removeEventListener('resize', resizeHandler);
+      }
       resizeHandler = handleResize;
 
       // Listen for window resize and reapply menu fix
@@ -139,7 +139,6 @@
 
     // Cache for focusable elements
     let cachedFocusableElements = null;
-    let lastFocusedElement = null;
 
     // Function to update the focusable elements cache
     const updateFocusableElementsCache = () => {
@@ -215,57 +214,8 @@
       cachedFocusableElements = null;
     };
 
-    // Function to trap focus within the sidebar
-    const trapFocus = (event) => {
-      // Check both key and code for better support
-      const isTab = event.key === 'Tab' || event.code === 'Tab';
-      const isEscape = event.key === 'Escape' || event.code === 'Escape' || event.keyCode === 27;
-
-      // Only process Tab and Escape keys
-      if (!isTab && !isEscape) return;
-
-      // Handle Escape key
-      if (isEscape) {
-        event.preventDefault();
-        sideMenubarToggleNav(false);
-        // Return focus to the element that opened the sidebar
-        if (lastFocusedElement && document.contains(lastFocusedElement)) {
-          lastFocusedElement.focus();
-        }
-        return;
-      }
-
-      // Handle Tab key
-      if (isTab) {
-        // Update cache if needed
-        if (!cachedFocusableElements) {
-          updateFocusableElementsCache();
-        }
-
-        const currentIndex = cachedFocusableElements.indexOf(document.activeElement);
-        let nextIndex;
-
-        if (event.shiftKey) { // Shift + Tab
-          nextIndex = currentIndex > 0 ? currentIndex - 1 : cachedFocusableElements.length - 1;
-        } else { // Tab
-          nextIndex = currentIndex < cachedFocusableElements.length - 1 ? currentIndex + 1 : 0;
-        }
-
-        event.preventDefault();
-        if (cachedFocusableElements[nextIndex]) {
-          cachedFocusableElements[nextIndex].focus();
-        }
-      }
-    };
-
-    const outsideClickListener = (event) => {
-      // Check if click is outside the sidebar and not on open button
-      if (verticalNav && !verticalNav.contains(event.target) && !event.target.closest('.sidebar-button-open')) {
-        sideMenubarToggleNav(false);
-      }
-    };
-
-    const sideMenubarToggleNav = (isOpen) => {
+    // Shows or hides the sidebar, called by the dialog controller
+    const setSidebarState = (isOpen) => {
       // Set duration based on open or close
       const duration = isOpen
         ? Drupal.solo.animations.slideDown
@@ -291,15 +241,9 @@
 
       // Toggle the class for the vertical navigation using state manager if available
       if (isOpen) {
-        // Store the element that triggered opening
-        lastFocusedElement = document.activeElement;
-
         // Remove aria-hidden BEFORE opening (so focus can move inside)
         Drupal.solo.menuState.setHidden(verticalNav, false, COMPONENT_NAME);
 
-        // Use inert attribute if available for better browser support
-        Drupal.solo.setInert(verticalNav, false);
-
         if (Drupal.solo.menuState) {
           Drupal.solo.menuState.coordinateMenuOperation('open', verticalNav, COMPONENT_NAME);
         } else {
@@ -308,22 +252,11 @@
 
         // Focus the first interactive element after opening the sidebar
         focusFirstInteractiveElement();
-
-        // Add namespaced event listeners only when opening
-        eventManager.on(document, 'keydown', 'solo.sidebar.focus', trapFocus);
-        eventManager.on(document, 'click', 'solo.sidebar.outside', outsideClickListener);
       } else {
-        // CRITICAL: Remove focus from any element inside sidebar BEFORE hiding
-        if (verticalNav.contains(document.activeElement)) {
-          document.activeElement.blur();
-
-          // Return focus to the element that opened the sidebar
-          if (lastFocusedElement && document.contains(lastFocusedElement)) {
-            lastFocusedElement.focus();
-          }
-        }
-
+        // Escape and outside clicks close the sidebar through the dialog
+        // controller, so the close is announced here rather than below
         if (Drupal.solo.menuState) {
+          Drupal.solo.menuState.dispatch('side-toggle', verticalNav, { open: false, menu: verticalNav, trigger: null });
           Drupal.solo.menuState.coordinateMenuOperation('close', verticalNav, COMPONENT_NAME);
         } else {
           verticalNav.classList.remove('toggled');
@@ -332,30 +265,46 @@
         const subMenus = verticalNav.querySelectorAll('.navigation__sidebar li ul.sub__menu');
         subMenus?.forEach(subMenu => Drupal.solo.hideSubMenus(subMenu, COMPONENT_NAME));
 
-        // Remove namespaced event listeners when closing
-        eventManager.off(document, 'keydown', 'solo.sidebar.focus');
-        eventManager.off(document, 'click', 'solo.sidebar.outside');
-
         // Clear cache
         cachedFocusableElements = null;
 
-        // CRITICAL: Set aria-hidden AFTER removing focus
-        // This prevents the "Blocked aria-hidden" warning
+        // The dialog controller has moved focus out of the sidebar already,
+        // so aria-hidden doesn't trigger the "Blocked aria-hidden" warning
         Drupal.solo.menuState.setHidden(verticalNav, true, COMPONENT_NAME);
+      }
+    };
 
-        // Use inert attribute if available for better browser support
-        Drupal.solo.setInert(verticalNav, true);
+    // Focus trapping, Escape, outside clicks, inert and focus return are
+    // handled by the shared dialog controller
+    const dialog = Drupal.solo.dialog.register(verticalNav, {
+      id: 'sidebar',
+      triggers: '.sidebar-button-open',
+      focusable: () => {
+        if (!cachedFocusableElements) {
+          updateFocusableElementsCache();
+        }
+        return cachedFocusableElements;
+      },
+      initiallyOpen: verticalNav.classList.contains('toggled'),
+      onOpen: () => setSidebarState(true),
+      onClose: () => setSidebarState(false)
+    });
+
+    const sideMenubarToggleNav = (isOpen, trigger) => {
+      if (isOpen) {
+        if (dialog.isOpen() || (Drupal.solo.menuState && !Drupal.solo.menuState.dispatch('side-toggle', verticalNav, { open: true, menu: verticalNav, trigger: trigger || null }, true))) {
+          return;
+        }
+        dialog.open(trigger);
+      } else {
+        dialog.close();
       }
     };
     Drupal.solo.sideMenubarToggleNav = sideMenubarToggleNav;
 
     // Legacy function for backward compatibility
     function addOutsideClickListener(enable) {
-      if (enable === true && verticalNav.classList.contains('toggled')) {
-        eventManager.on(document, 'click', 'solo.sidebar.outside', outsideClickListener);
-      } else {
-        eventManager.off(document, 'click', 'solo.sidebar.outside');
-      }
+      dialog.configure({ closeOnOutsideClick: enable === true });
     }
 
     // Expose the function to the Drupal namespace
@@ -369,26 +318,17 @@
           sideMenubarCloseOpen(closeBtns, () => sideMenubarToggleNav(false), context);
 
           // Open nav button event
-          sideMenubarCloseOpen(openBtns, () => sideMenubarToggleNav(true), context);
+          sideMenubarCloseOpen(openBtns, (event) => sideMenubarToggleNav(true, event.currentTarget), context);
 
           // Ensure the tabindex is always set correctly on load
-          if (verticalNav.classList.contains('toggled')) {
-            updateTabindex(true);
-            // If already open on load, add the event listeners
-            eventManager.on(document, 'keydown', 'solo.sidebar.focus', trapFocus);
-            eventManager.on(document, 'click', 'solo.sidebar.outside', outsideClickListener);
-          } else {
-            updateTabindex(false);
-          }
+          updateTabindex(dialog.isOpen());
         });
       },
 
       detach: function (context, settings, trigger) {
         // Clean up event listeners when unloading
         if (trigger === 'unload') {
-          // Remove all namespaced event listeners
-          eventManager.off(document, 'click', 'solo.sidebar.outside');
-          eventManager.off(document, 'keydown', 'solo.sidebar.focus');
+          dialog.destroy();
 
           // Clean up button event listeners
           const buttons = context.querySelectorAll('.sidebar-button-close>button, .sidebar-button-open>button');
@@ -404,7 +344,6 @@
 
           // Clear cache
           cachedFocusableElements = null;
-          lastFocusedElement = null;
 
           // Unregister from state manager
           if (Drupal.solo.menuState) {
@@ -4,6 +4,32 @@
  *
  * This module provides centralized state management and coordination
  * between different Solo menu components to prevent conflicts.
+ *
+ * Events, dispatched by the menu components and bubbling, so they can be
+ * listened to on document:
+ * - solo:menu:submenu-open, detail: { submenu, toggler, item, menu, level,
+ *   megamenu, trigger }. Dispatched before the submenu opens, cancelable
+ *   unless trigger is 'hover' (hover submenus are shown by CSS).
+ * - solo:menu:submenu-close, detail: same as submenu-open. Dispatched once
+ *   the submenu is closing.
+ * - solo:menu:mobile-toggle, detail: { open, menu, button }. Dispatched
+ *   before the mobile menu opens or closes, cancelable when opening.
+ * - solo:menu:side-toggle, detail: { open, menu, trigger }. Dispatched before
+ *   the side menu opens or closes, cancelable when opening.
+ * - solo:menu:breakpoint-change, detail: { width, breakpoint, isSmallScreen },
+ *   dispatched on document when the menu breakpoint is crossed.
+ * - solo:menu:panel-load, detail: { item, submenu, toggler, link, menu }.
+ *   Dispatched once a lazy-loaded submenu is inserted, see
+ *   solo-menu-panels.js.
+ *
+ * For example, to keep a submenu from opening:
+ * @code
+ * document.addEventListener('solo:menu:submenu-open', (event) => {
+ *   if (event.detail.submenu.id === 'locked') {
+ *     event.preventDefault();
+ *   }
+ * });
+ * @endcode
  */
 ((Drupal, drupalSettings) => {
   'use strict';
@@ -123,9 +149,62 @@
       const pageWrapper = document.querySelector('.page-wrapper');
       if (!pageWrapper) return;
 
+      // Null until the first update, which isn't a change
+      const wasSmallScreen = this.screenSize.breakpoint === null ? null : this.screenSize.isSmallScreen;
+
       this.screenSize.width = this.getCurrentWidth();
       this.screenSize.breakpoint = Drupal.solo.getMyBreakpoints(pageWrapper, 'mn');
       this.screenSize.isSmallScreen = this.screenSize.width <= this.screenSize.breakpoint;
+
+      if (wasSmallScreen !== null && wasSmallScreen !== this.screenSize.isSmallScreen) {
+        this.dispatch('breakpoint-change', document, { ...this.screenSize });
+      }
+    },
+
+    /**
+     * Dispatch a solo:menu:* event
+     *
+     * @param {string} type - The event name without the prefix, e.g. 'submenu-open'
+     * @param {EventTarget} target - The element the event is dispatched on
+     * @param {Object} detail - The event detail
+     * @param {boolean} cancelable - Whether listeners can veto the change
+     * @returns {boolean} False when a listener called preventDefault()
+     */
+    dispatch(type, target, detail = {}, cancelable = false) {
+      const event = new CustomEvent(`solo:menu:${type}`, {
+        bubbles: true,
+        cancelable,
+        detail
+      });
+
+      return (target && target.isConnected ? target : document).dispatchEvent(event);
+    },
+
+    /**
+     * Build the detail of the submenu events
+     *
+     * @param {HTMLElement} toggler - The button toggling the submenu
+     * @param {HTMLElement} subMenu - The submenu
+     * @param {string} trigger - 'toggle' (click, keyboard) or 'hover'
+     * @returns {Object} The event detail
+     */
+    getSubmenuDetail(toggler, subMenu, trigger = 'toggle') {
+      let level = 1;
+      let parent = subMenu.parentElement?.closest('ul.sub__menu');
+      while (parent) {
+        level++;
+        parent = parent.parentElement?.closest('ul.sub__menu');
+      }
+
+      return {
+        submenu: subMenu,
+        toggler,
+        item: subMenu.closest('li'),
+        menu: subMenu.closest('nav'),
+        level,
+        megamenu: !!subMenu.closest('.navigation__megamenu'),
+        trigger
+      };
     },
 
     /**
@@ -330,6 +409,17 @@
       });
     },
 
+    /**
+     * Release the tabindex set by a component, so that components with a
+     * lower priority can set it again
+     */
+    releaseTabindex(element, componentName) {
+      const elementState = this.tabindexStates.get(element);
+      if (elementState && elementState.component === componentName) {
+        this.tabindexStates.delete(element);
+      }
+    },
+
     /**
      * Unified menu tabindex helper
      */
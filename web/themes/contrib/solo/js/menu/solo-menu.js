@@ -122,10 +122,38 @@
     return ARROW_ROTATIONS[key];
   };
 
+  // Submenu events, see solo-menu-state-manager.js
+  const submenuEvents = {
+    // Returns false when a listener vetoes the open
+    open: (dropdownTogglerButton, subMenu, trigger = 'toggle') => {
+      const detail = Drupal.solo.menuState.getSubmenuDetail(dropdownTogglerButton, subMenu, trigger);
+      return Drupal.solo.menuState.dispatch('submenu-open', subMenu, detail, trigger !== 'hover');
+    },
+
+    close: (dropdownTogglerButton, subMenu, trigger = 'toggle') => {
+      const detail = Drupal.solo.menuState.getSubmenuDetail(dropdownTogglerButton, subMenu, trigger);
+      Drupal.solo.menuState.dispatch('submenu-close', subMenu, detail);
+    },
+
+    // Open submenus among the given ones, read before hiding them since
+    // slideUp() removes the toggled class right away
+    getOpen: (subMenus) => [...subMenus].filter(subMenu => subMenu?.classList.contains('toggled')),
+
+    // Dispatches close for submenus hidden without their toggler
+    closeHidden: (subMenus) => {
+      subMenus.forEach(subMenu => {
+        const toggler = subMenu.previousElementSibling;
+        submenuEvents.close(toggler?.classList.contains('dropdown-toggler') ? toggler : null, subMenu);
+      });
+    }
+  };
+
   // Menu visibility functions
   const menuVisibility = {
     hideSubMenus: (subMenu) => {
+      const openSubMenus = submenuEvents.getOpen([subMenu]);
       Drupal.solo.menuState.hideSubmenu(subMenu, COMPONENT_NAME);
+      submenuEvents.closeHidden(openSubMenus);
     },
 
     closeMenuHelper: (rotated, dropdownTogglerButton, subMenu) => {
@@ -186,9 +214,11 @@
     },
 
     resetSubMenus: (siteSubMenus, svgIcons) => {
+      const openSubMenus = submenuEvents.getOpen(siteSubMenus);
       svgIcons.forEach(el => el.style.removeProperty('transform'));
       // FIXED: Reset operations shouldn't announce - pass false explicitly
       siteSubMenus.forEach(el => Drupal.solo.slideUp(el, animations.slideUp, COMPONENT_NAME, false));
+      submenuEvents.closeHidden(openSubMenus);
 
       setTimeout(() => {
         siteSubMenus.forEach(el => el.style.removeProperty('transform'));
@@ -196,9 +226,11 @@
     },
 
     resetSpecificSubMenus: (specificSubMenus, specificSvgIcons) => {
+      const openSubMenus = submenuEvents.getOpen(specificSubMenus);
       specificSvgIcons.forEach(el => el.style.removeProperty('transform'));
       // FIXED: Reset operations shouldn't announce - pass false explicitly
       specificSubMenus.forEach(el => Drupal.solo.slideUp(el, animations.slideUp, COMPONENT_NAME, false));
+      submenuEvents.closeHidden(openSubMenus);
 
       setTimeout(() => {
         specificSubMenus.forEach(el => el.style.removeProperty('transform'));
@@ -209,6 +241,10 @@
   // Menu operations
   const menuOperations = {
     openMenubar: (dropdownTogglerButton, subMenu) => {
+      if (!submenuEvents.open(dropdownTogglerButton, subMenu)) {
+        return false;
+      }
+
       // Remove inert before opening
       Drupal.solo.setInert(subMenu, false);
       const navTagId = utils.getNavTagId(dropdownTogglerButton);
@@ -224,6 +260,7 @@
 
       rotated.style.transform = ARROW_ROTATIONS.default;
       menuVisibility.openMenuHelper(dropdownTogglerButton, subMenu);
+      return true;
     },
 
     closeMenubar: (dropdownTogglerButton, subMenu) => {
@@ -248,7 +285,12 @@
         if (subMenuClass.contains(document.activeElement)) {
           document.activeElement.blur();
         }
-        menuVisibility.hideSubMenus(subMenuClass);
+        // The close event of subMenu itself is dispatched below
+        if (subMenuClass === subMenu) {
+          Drupal.solo.menuState.hideSubmenu(subMenuClass, COMPONENT_NAME);
+        } else {
+          menuVisibility.hideSubMenus(subMenuClass);
+        }
         iconManagement.revertIcons(navTagId);
         Drupal.solo.setInert(subMenuClass, true);
 
@@ -258,10 +300,15 @@
 
       // Set inert on main submenu if available
       Drupal.solo.setInert(subMenu, true);
+      submenuEvents.close(dropdownTogglerButton, subMenu);
     },
 
     openSubMenu: (dropdownTogglerButton, subMenu) => {
-        // Remove inert before opening
+      if (!submenuEvents.open(dropdownTogglerButton, subMenu)) {
+        return false;
+      }
+
+      // Remove inert before opening
       Drupal.solo.setInert(subMenu, false);
       const togglerSibling = dropdownTogglerButton.closest('.solo-inner .solo-menu ul');
       const nestedSubMenus = [...togglerSibling.querySelectorAll(':scope > li > ul.sub__menu')];
@@ -284,6 +331,7 @@
 
       rotated.style.transform = getArrowDirection(verticalNav);
       menuVisibility.openMenuHelper(dropdownTogglerButton, subMenu);
+      return true;
     },
 
     closeSubMenu: (dropdownTogglerButton, subMenu) => {
@@ -314,6 +362,8 @@
       const nestedSubMenus = subMenu.querySelectorAll('ul.sub__menu');
       const nestedTogglers = subMenu.querySelectorAll('button.dropdown-toggler');
 
+      const openNestedSubMenus = submenuEvents.getOpen(nestedSubMenus);
+
       // Remove focus from nested elements before closing
       nestedSubMenus.forEach(nested => {
         if (nested.contains(document.activeElement)) {
@@ -323,6 +373,7 @@
         nested.classList.remove('toggled');
         Drupal.solo.setInert(nested, true);
       });
+      submenuEvents.closeHidden(openNestedSubMenus);
 
       nestedTogglers.forEach(toggler => {
         const icon = toggler.querySelector('.toggler-icon svg');
@@ -332,6 +383,7 @@
 
       // Set inert on the main submenu if available
       Drupal.solo.setInert(subMenu, true);
+      submenuEvents.close(dropdownTogglerButton, subMenu);
     }
   };
 
@@ -419,16 +471,38 @@
         item.addEventListener('mouseenter', () => {
           Drupal.solo.menuState.setExpanded(toggler, true, COMPONENT_NAME);
           Drupal.solo.menuState.setHidden(subMenu, false, COMPONENT_NAME);
+          submenuEvents.open(toggler, subMenu, 'hover');
         });
 
         item.addEventListener('mouseleave', () => {
           Drupal.solo.menuState.setExpanded(toggler, false, COMPONENT_NAME);
           Drupal.solo.menuState.setHidden(subMenu, true, COMPONENT_NAME);
+          submenuEvents.close(toggler, subMenu, 'hover');
         });
+
+        // Items whose submenu is loaded later are bound once it's inserted
+        item.setAttribute('data-hover-added', 'true');
       }
+    });
+  };
 
-      item.setAttribute('data-hover-added', 'true');
+  // Bind the togglers of submenus inserted after the page load
+  const bindInsertedSubmenus = (context) => {
+    const isLargeScreen = getCurrentWidth() >= state.brNum;
+    const selectors = [
+      CONFIG.selectors.responsiveClick,
+      CONFIG.selectors.sidebarClick,
+      isLargeScreen ? CONFIG.selectors.megaMenuClick.big : CONFIG.selectors.megaMenuClick.small
+    ];
+
+    if (!isLargeScreen) {
+      selectors.push(CONFIG.selectors.megaMenuHover, CONFIG.selectors.sidebarHover, CONFIG.selectors.responsiveHover);
+    }
+
+    selectors.forEach(selector => {
+      eventHandlers.addEventListenerToButtons(utils.querySelectorElements(selector, context));
     });
+    addHoverFunctionality();
   };
 
   // Close submenus on outside click
@@ -571,6 +645,13 @@
         return;
       }
 
+      // Submenus inserted into an initialized menu, e.g. by
+      // solo-menu-panels.js, only need their togglers bound
+      if (state.brNum && context !== document && context.closest && context.closest('.solo-menu')) {
+        bindInsertedSubmenus(context);
+        return;
+      }
+
       // Mark as initialized
       context._soloMenuInitialized = true;
 
@@ -0,0 +1,82 @@
+<?php
+
+namespace Drupal\Tests\solo\Nightwatch;
+
+use Drupal\Core\Extension\ModuleInstallerInterface;
+use Drupal\Core\Extension\ThemeInstallerInterface;
+use Drupal\menu_link_content\Entity\MenuLinkContent;
+use Drupal\TestSite\TestSetupInterface;
+
+/**
+ * Sets up the site for the keyboard navigation tests of the Solo menus.
+ *
+ * Solo is the default theme and the main menu, with keyboard navigation
+ * enabled, holds:
+ * - About: Team, History, Careers
+ * - Blog
+ * - Books
+ * - Contact
+ */
+class SoloKeyboardTestSetup implements TestSetupInterface {
+
+  /**
+   * {@inheritdoc}
+   */
+  public function setup(): void {
+    $module_installer = \Drupal::service('module_installer');
+    assert($module_installer instanceof ModuleInstallerInterface);
+    $module_installer->install(['block', 'menu_link_content']);
+
+    $theme_installer = \Drupal::service('theme_installer');
+    assert($theme_installer instanceof ThemeInstallerInterface);
+    $theme_installer->install(['solo']);
+    \Drupal::configFactory()->getEditable('system.theme')->set('default', 'solo')->save();
+
+    \Drupal::configFactory()->getEditable('solo.settings')
+      ->set('keyboard_navigation_menus', ['main' => 'main'])
+      ->save();
+
+    $links = [
+      'About' => ['Team', 'History', 'Careers'],
+      'Blog' => [],
+      'Books' => [],
+      'Contact' => [],
+    ];
+    $weight = 0;
+    foreach ($links as $title => $children) {
+      $parent = $this->createLink($title, $weight++, (bool) $children);
+      foreach ($children as $child) {
+        $this->createLink($child, $weight++, FALSE, $parent->getPluginId());
+      }
+    }
+  }
+
+  /**
+   * Creates a link in the main menu.
+   *
+   * @param string $title
+   *   The title of the link, its path is derived from it.
+   * @param int $weight
+   *   The weight of the link.
+   * @param bool $expanded
+   *   Whether the link shows its children.
+   * @param string $parent
+   *   The plugin ID of the parent link, if any.
+   *
+   * @return \Drupal\menu_link_content\Entity\MenuLinkContent
+   *   The link.
+   */
+  protected function createLink(string $title, int $weight, bool $expanded, string $parent = ''): MenuLinkContent {
+    $link = MenuLinkContent::create([
+      'title' => $title,
+      'link' => ['uri' => 'internal:/' . strtolower($title)],
+      'menu_name' => 'main',
+      'parent' => $parent,
+      'expanded' => $expanded,
+      'weight' => $weight,
+    ]);
+    $link->save();
+    return $link;
+  }
+
+}
@@ -0,0 +1,218 @@
+/**
+ * @file
+ * Tests the WAI-ARIA menubar pattern of the Solo keyboard navigation.
+ */
+
+const menubarSelector = '.solo-keyboard-enabled [role="menubar"]';
+const aboutLinkSelector = `${menubarSelector} > li:first-child > a`;
+const aboutButtonSelector = `${menubarSelector} > li:first-child > button`;
+
+/**
+ * Sends keys to the focused element.
+ *
+ * @param {object} browser - Nightwatch Browser object
+ * @param {...string} keys - The keys to send
+ */
+const pressKeys = (browser, ...keys) => {
+  keys.forEach((key) => {
+    browser.perform(function () {
+      return this.actions().sendKeys(key).pause(50);
+    });
+  });
+};
+
+/**
+ * Checks the focused element.
+ *
+ * @param {object} browser - Nightwatch Browser object
+ * @param {string} selector - The selector the focused element matches
+ * @param {string} message - The assertion message
+ */
+const assertFocused = (browser, selector, message) => {
+  browser.execute(
+    // eslint-disable-next-line func-names, prefer-arrow-callback, no-shadow
+    function (selector) {
+      return document.activeElement.matches(selector);
+    },
+    [selector],
+    (result) => {
+      browser.assert.ok(result.value, message);
+    },
+  );
+};
+
+/**
+ * Focuses a menu item with a script.
+ *
+ * @param {object} browser - Nightwatch Browser object
+ * @param {string} selector - The selector of the item
+ */
+const focusItem = (browser, selector) => {
+  browser.execute(
+    // eslint-disable-next-line func-names, prefer-arrow-callback, no-shadow
+    function (selector) {
+      document.querySelector(selector).focus();
+    },
+    [selector],
+  );
+};
+
+/**
+ * Gets the selector of the link of a top-level item.
+ *
+ * @param {string} title - The title of the link, lowercase
+ * @return {string} The selector
+ */
+const topLevelLink = (title) =>
+  `${menubarSelector} > li > a[href$="/${title}"]`;
+
+module.exports = {
+  '@tags': ['solo'],
+  before(browser) {
+    browser
+      .drupalInstall({
+        setupFile:
+          'themes/contrib/solo/tests/src/Nightwatch/SoloKeyboardTestSetup.php',
+      })
+      // Above the mobile breakpoint, the menubar is horizontal.
+      .setWindowSize(1280, 1024);
+  },
+  beforeEach(browser) {
+    browser
+      .drupalRelativeURL('/user/login')
+      .waitForElementPresent(`${menubarSelector} > li > [tabindex="0"]`);
+  },
+  after(browser) {
+    browser.drupalUninstall();
+  },
+  'The menubar is a single tab stop': (browser) => {
+    browser
+      .execute(
+        // eslint-disable-next-line func-names, prefer-arrow-callback, no-shadow
+        function (menubarSelector) {
+          return document.querySelectorAll(
+            `${menubarSelector} > li > [tabindex="0"]`,
+          ).length;
+        },
+        [menubarSelector],
+        (result) => {
+          browser.assert.equal(result.value, 1, 'One item is in tab order.');
+        },
+      )
+      .assert.attributeEquals(aboutLinkSelector, 'tabindex', '0');
+
+    // The tab stop follows the focus.
+    focusItem(browser, aboutLinkSelector);
+    pressKeys(browser, browser.Keys.ARROW_RIGHT, browser.Keys.ARROW_RIGHT);
+    assertFocused(browser, topLevelLink('blog'), 'Arrow keys move the focus.');
+    browser
+      .assert.attributeEquals(topLevelLink('blog'), 'tabindex', '0')
+      .assert.attributeEquals(aboutLinkSelector, 'tabindex', '-1')
+      .assert.attributeEquals(aboutButtonSelector, 'tabindex', '-1');
+  },
+  'Home and End move to the first and last item': (browser) => {
+    focusItem(browser, topLevelLink('blog'));
+    pressKeys(browser, browser.Keys.END);
+    assertFocused(
+      browser,
+      topLevelLink('contact'),
+      'End focuses the last item.',
+    );
+    pressKeys(browser, browser.Keys.HOME);
+    assertFocused(browser, aboutLinkSelector, 'Home focuses the first item.');
+
+    // Within a submenu.
+    focusItem(browser, aboutButtonSelector);
+    pressKeys(browser, browser.Keys.ARROW_DOWN);
+    browser.pause(300);
+    pressKeys(browser, browser.Keys.END);
+    assertFocused(
+      browser,
+      `${menubarSelector} [role="menu"] > li:last-child > a`,
+      'End focuses the last item of the submenu.',
+    );
+    pressKeys(browser, browser.Keys.HOME);
+    assertFocused(
+      browser,
+      `${menubarSelector} [role="menu"] > li:first-child > a`,
+      'Home focuses the first item of the submenu.',
+    );
+  },
+  'Typing moves to the item starting with the typed characters': (browser) => {
+    focusItem(browser, aboutLinkSelector);
+    pressKeys(browser, 'b');
+    assertFocused(browser, topLevelLink('blog'), 'B focuses Blog.');
+    pressKeys(browser, 'b');
+    assertFocused(browser, topLevelLink('books'), 'B again focuses Books.');
+    pressKeys(browser, 'b');
+    assertFocused(browser, topLevelLink('blog'), 'B again wraps to Blog.');
+
+    // The search starts over once the typing stops.
+    browser.pause(600);
+    pressKeys(browser, 'c');
+    assertFocused(browser, topLevelLink('contact'), 'C focuses Contact.');
+    browser.pause(600);
+    pressKeys(browser, 'b', 'o', 'o');
+    assertFocused(browser, topLevelLink('books'), 'Boo focuses Books.');
+  },
+  'Escape closes one level at a time': (browser) => {
+    focusItem(browser, aboutButtonSelector);
+    pressKeys(browser, browser.Keys.ARROW_DOWN);
+    browser.pause(300);
+    assertFocused(
+      browser,
+      `${menubarSelector} [role="menu"] > li:first-child > a`,
+      'Arrow down opens the submenu and focuses its first item.',
+    );
+    browser.assert.attributeEquals(
+      aboutButtonSelector,
+      'aria-expanded',
+      'true',
+    );
+
+    pressKeys(browser, browser.Keys.ESCAPE);
+    browser.pause(300);
+    assertFocused(browser, aboutButtonSelector, 'Escape focuses the parent.');
+    browser.assert.attributeEquals(
+      aboutButtonSelector,
+      'aria-expanded',
+      'false',
+    );
+
+    // Escape on a parent closes its submenu and keeps the focus.
+    pressKeys(browser, browser.Keys.ENTER);
+    browser.pause(300);
+    browser.assert.attributeEquals(
+      aboutButtonSelector,
+      'aria-expanded',
+      'true',
+    );
+    pressKeys(browser, browser.Keys.ESCAPE);
+    browser.pause(300);
+    assertFocused(browser, aboutButtonSelector, 'The parent keeps the focus.');
+    browser.assert.attributeEquals(
+      aboutButtonSelector,
+      'aria-expanded',
+      'false',
+    );
+  },
+  'Tab leaves the menubar': (browser) => {
+    focusItem(browser, aboutButtonSelector);
+    pressKeys(browser, browser.Keys.ARROW_DOWN);
+    browser.pause(300);
+    pressKeys(browser, browser.Keys.TAB);
+    browser.pause(300);
+    browser
+      .execute(
+        // eslint-disable-next-line func-names, prefer-arrow-callback, no-shadow
+        function (menubarSelector) {
+          return document.activeElement.closest(menubarSelector) === null;
+        },
+        [menubarSelector],
+        (result) => {
+          browser.assert.ok(result.value, 'Tab moves the focus out.');
+        },
+      )
+      .assert.attributeEquals(aboutButtonSelector, 'aria-expanded', 'false');
+  },
+};
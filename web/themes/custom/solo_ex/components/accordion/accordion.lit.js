@@ -0,0 +1,41 @@
+import { css, html } from 'lit';
+import { defineElement, SdcElement } from '../../js/lib/sdc-element.js';
+import component from './accordion.component.yml';
+
+class SoloExAccordion extends SdcElement(component) {
+  static styles = css`
+    button {
+      display: flex;
+      justify-content: space-between;
+      width: 100%;
+      padding: 0.75rem 1rem;
+      border: 0;
+      background: none;
+      font: inherit;
+      text-align: start;
+      cursor: pointer;
+    }
+
+    [hidden] {
+      display: none;
+    }
+  `;
+
+  toggle() {
+    this.open = !this.open;
+  }
+
+  render() {
+    return html`
+      <button type="button" aria-expanded=${this.open} aria-controls="panel" @click=${this.toggle}>
+        ${this.heading}
+        <span aria-hidden="true">${this.open ? '−' : '+'}</span>
+      </button>
+      <div id="panel" ?hidden=${!this.open}>
+        ${this.renderSlot('content')}
+      </div>
+    `;
+  }
+}
+
+defineElement('solo-ex-accordion', SoloExAccordion);
@@ -1,18 +1,205 @@
-((Drupal, once) => {
+/**
+ * @file
+ * Disclosure navigation for the Umami header component.
+ *
+ * Below the component's collapse breakpoint the dropdown is hidden behind the
+ * burger button. It closes on Escape (returning focus to the burger), on a
+ * click outside of the header, when focus leaves the header and when the
+ * viewport grows past the breakpoint. Arrow keys, Home and End move focus
+ * between the dropdown links.
+ */
+((Drupal, drupalSettings, once) => {
+  /**
+   * Media query used when the breakpoint is missing from drupalSettings.
+   */
+  const FALLBACK_MEDIA_QUERY = 'all and (min-width: 992px)';
+
+  /**
+   * Cleanup functions of the initialized headers, keyed by header element.
+   */
+  const instances = new WeakMap();
+
+  /**
+   * Returns the links and buttons of the dropdown that can receive focus.
+   *
+   * @param {HTMLElement} dropdown
+   *   The dropdown element.
+   * @return {HTMLElement[]}
+   *   The focusable elements, in document order.
+   */
+  function getFocusableItems(dropdown) {
+    return Array.from(
+      dropdown.querySelectorAll('a[href], button:not([disabled])'),
+    ).filter((item) => item.offsetWidth > 0 || item.offsetHeight > 0);
+  }
+
+  /**
+   * Reports the height of a sticky header to Drupal.displace.
+   *
+   * The header sticks below the other displacing elements, such as the
+   * toolbar, so their offset is measured without the header first.
+   *
+   * @param {HTMLElement} header
+   *   The header element.
+   */
+  function updateDisplacement(header) {
+    header.removeAttribute('data-offset-top');
+    header.style.top = `${Drupal.displace.calculateOffset('top')}px`;
+    header.setAttribute('data-offset-top', '');
+    Drupal.displace();
+  }
+
+  /**
+   * Initializes a header.
+   *
+   * @param {HTMLElement} header
+   *   The header element.
+   * @return {function}
+   *   Removes every listener added to the header and the document.
+   */
+  function initHeader(header) {
+    const button = header.querySelector('.umami-header__burger');
+    const dropdown = header.querySelector('.umami-header__dropdown');
+    const breakpoints = drupalSettings.soloEx?.breakpoints ?? {};
+    const wide = window.matchMedia(
+      breakpoints[header.dataset.collapseBreakpoint] || FALLBACK_MEDIA_QUERY,
+    );
+    const sticky = header.classList.contains('umami-header--sticky');
+
+    const isOpen = () => button.getAttribute('aria-expanded') === 'true';
+
+    const setOpen = (open, returnFocus = false) => {
+      button.setAttribute('aria-expanded', open);
+      // Collapsed links are only visually clipped, keep them out of the tab
+      // order and the accessibility tree.
+      dropdown.inert = !open && !wide.matches;
+      if (!open && returnFocus) {
+        button.focus();
+      }
+    };
+
+    const updateLayout = () => {
+      header.dataset.umamiHeaderLayout = wide.matches ? 'wide' : 'narrow';
+      setOpen(false);
+    };
+
+    const moveFocus = (event) => {
+      const items = getFocusableItems(dropdown);
+      const index = items.indexOf(document.activeElement);
+      const last = items.length - 1;
+      const targets = {
+        ArrowDown: index < last ? index + 1 : 0,
+        ArrowRight: index < last ? index + 1 : 0,
+        ArrowUp: index > 0 ? index - 1 : last,
+        ArrowLeft: index > 0 ? index - 1 : last,
+        Home: 0,
+        End: last,
+      };
+      if (!items.length || !(event.key in targets)) {
+        return;
+      }
+      event.preventDefault();
+      items[targets[event.key]].focus();
+    };
+
+    const onButtonClick = () => {
+      setOpen(!isOpen());
+    };
+
+    const onButtonKeydown = (event) => {
+      if (event.key === 'ArrowDown' && !wide.matches) {
+        event.preventDefault();
+        setOpen(true);
+        getFocusableItems(dropdown)[0]?.focus();
+      }
+    };
+
+    const onKeydown = (event) => {
+      if (event.key === 'Escape' && isOpen()) {
+        event.preventDefault();
+        setOpen(false, true);
+      } else if (dropdown.contains(event.target)) {
+        moveFocus(event);
+      }
+    };
+
+    const onFocusout = (event) => {
+      // A null relatedTarget means focus left the document or went to a
+      // non-focusable element; the click handler takes care of the latter.
+      if (
+        isOpen() &&
+        event.relatedTarget &&
+        !header.contains(event.relatedTarget)
+      ) {
+        setOpen(false);
+      }
+    };
+
+    const onDocumentClick = (event) => {
+      if (isOpen() && !header.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    button.addEventListener('click', onButtonClick);
+    button.addEventListener('keydown', onButtonKeydown);
+    header.addEventListener('keydown', onKeydown);
+    header.addEventListener('focusout', onFocusout);
+    document.addEventListener('click', onDocumentClick);
+    wide.addEventListener('change', updateLayout);
+    updateLayout();
+
+    let resizeObserver;
+    if (sticky) {
+      resizeObserver = new ResizeObserver(() => updateDisplacement(header));
+      resizeObserver.observe(header);
+    }
+
+    return () => {
+      button.removeEventListener('click', onButtonClick);
+      button.removeEventListener('keydown', onButtonKeydown);
+      header.removeEventListener('keydown', onKeydown);
+      header.removeEventListener('focusout', onFocusout);
+      document.removeEventListener('click', onDocumentClick);
+      wide.removeEventListener('change', updateLayout);
+      resizeObserver?.disconnect();
+      if (sticky) {
+        header.removeAttribute('data-offset-top');
+        header.style.removeProperty('top');
+        Drupal.displace();
+      }
+      delete header.dataset.umamiHeaderLayout;
+      dropdown.inert = false;
+      button.setAttribute('aria-expanded', false);
+    };
+  }
+
+  /**
+   * Attaches the disclosure navigation to Umami headers.
+   *
+   * @type {Drupal~behavior}
+   *
+   * @prop {Drupal~behaviorAttach} attach
+   *   Initializes the headers in the context.
+   * @prop {Drupal~behaviorDetach} detach
+   *   Removes the listeners of the headers in the context when unloaded.
+   */
   Drupal.behaviors.umamiHeader = {
     attach(context) {
-      once(
-        'umami-header',
-        '[aria-controls="umami-header__dropdown"]',
-        context,
-      ).forEach((button) => {
-        button.addEventListener('click', (e) => {
-          button.setAttribute(
-            'aria-expanded',
-            e.currentTarget.getAttribute('aria-expanded') === 'false',
-          );
-        });
+      once('umami-header', '.umami-header', context).forEach((header) => {
+        instances.set(header, initHeader(header));
       });
     },
+    detach(context, settings, trigger) {
+      if (trigger !== 'unload') {
+        return;
+      }
+      once.remove('umami-header', '.umami-header', context).forEach(
+        (header) => {
+          instances.get(header)?.();
+          instances.delete(header);
+        },
+      );
+    },
   };
-})(Drupal, once);
+})(Drupal, drupalSettings, once);
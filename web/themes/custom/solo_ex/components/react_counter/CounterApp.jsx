@@ -0,0 +1,17 @@
+import React, { useState } from 'react';
+
+// Kept apart from the entry so edits hot-swap through React Fast Refresh.
+/** @param {import('./react_counter.component.yml').ReactCounterProps} props */
+const CounterApp = ({ startCount }) => {
+  const [count, setCount] = useState(startCount);
+
+  return (
+    <div className="p-4 border rounded">
+      <h3>React Counter</h3>
+      <p>Count: {count}</p>
+      <button onClick={() => setCount(count + 1)}>Increment</button>
+    </div>
+  );
+};
+
+export default CounterApp;
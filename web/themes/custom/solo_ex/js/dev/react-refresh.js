@@ -0,0 +1,14 @@
+/**
+ * @file
+ * React Fast Refresh preamble for React islands served by the Vite dev server.
+ *
+ * Loaded through the `vite.devDependencies` of solo-ex-global, so it is only
+ * attached while the dev server is in use.
+ */
+
+import RefreshRuntime from '/@react-refresh';
+
+RefreshRuntime.injectIntoGlobalHook(window);
+window.$RefreshReg$ = () => {};
+window.$RefreshSig$ = () => (type) => type;
+window.__vite_plugin_react_preamble_installed__ = true;
@@ -0,0 +1,46 @@
+/**
+ * @file
+ * Re-renders SDC components after their Twig or YAML changed.
+ *
+ * The current page is fetched again and every instance of the changed
+ * component (found by the `data-component-id` attribute SDC adds to the
+ * component attributes) is swapped for its fresh markup, with behaviors
+ * detached and re-attached. Falls back to a full reload when instances can't
+ * be matched one to one.
+ */
+
+const COMPONENT_UPDATE_HEADER = 'X-Vite-Component-Update';
+
+const rerender = async ({ component, definition }) => {
+  const selector = `[data-component-id$=":${component}"]`;
+  const current = document.querySelectorAll(selector);
+  if (!current.length) {
+    return;
+  }
+
+  // A changed definition has to be rebuilt by Drupal before rendering, see
+  // Drupal\vite\EventSubscriber\DevServerSubscriber.
+  const response = await fetch(window.location.href, {
+    credentials: 'same-origin',
+    headers: definition ? { [COMPONENT_UPDATE_HEADER]: component } : {},
+  });
+  const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+  const fresh = page.querySelectorAll(selector);
+  if (!response.ok || fresh.length !== current.length) {
+    window.location.reload();
+    return;
+  }
+
+  current.forEach((element, index) => {
+    const replacement = document.importNode(fresh[index], true);
+    Drupal.detachBehaviors(element, drupalSettings, 'unload');
+    element.replaceWith(replacement);
+    Drupal.attachBehaviors(replacement, drupalSettings);
+  });
+};
+
+if (import.meta.hot) {
+  import.meta.hot.on('solo-ex:component-update', (update) => {
+    rerender(update).catch(() => window.location.reload());
+  });
+}
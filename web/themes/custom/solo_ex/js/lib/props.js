@@ -0,0 +1,154 @@
+/**
+ * @file
+ * Reads and validates SDC props passed from Twig to JS entry points.
+ *
+ * Counterpart of the `sdc_props()` Twig function from the sdc_props module.
+ */
+
+/**
+ * Attribute holding the JSON encoded props of a mount point.
+ */
+export const PROPS_ATTRIBUTE = 'data-props';
+
+/**
+ * Checks a value against a JSON schema `type` keyword.
+ *
+ * PHP class types (such as `Drupal\Core\Template\Attribute`) never reach the
+ * browser, so they always pass.
+ */
+const matchesType = (value, type) => {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some((item) => {
+    switch (item) {
+      case 'string':
+        return typeof value === 'string';
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'null':
+        return value === null;
+      default:
+        return true;
+    }
+  });
+};
+
+/**
+ * Validates props against the `props` schema of a component.
+ *
+ * Only the keywords SDC definitions use in practice are checked: `type`,
+ * `enum` and `required`.
+ *
+ * @param {object} props
+ *   The props to validate.
+ * @param {object} schema
+ *   The `props` schema from the component's `*.component.yml`.
+ *
+ * @return {string[]}
+ *   A list of validation errors, empty when the props are valid.
+ */
+export const validateProps = (props, schema) => {
+  const errors = [];
+  const properties = schema?.properties ?? {};
+
+  (schema?.required ?? []).forEach((name) => {
+    if (props[name] === undefined) {
+      errors.push(`"${name}" is required.`);
+    }
+  });
+
+  Object.entries(props).forEach(([name, value]) => {
+    const definition = properties[name];
+    if (!definition) {
+      errors.push(`"${name}" is not declared in the component schema.`);
+      return;
+    }
+    if (definition.type && !matchesType(value, definition.type)) {
+      errors.push(`"${name}" must be of type ${[].concat(definition.type).join('|')}.`);
+      return;
+    }
+    if (Array.isArray(definition.enum) && !definition.enum.includes(value)) {
+      errors.push(`"${name}" must be one of: ${definition.enum.join(', ')}.`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Fills in schema defaults for props missing from the payload.
+ *
+ * @param {object} props
+ *   The props read from the mount point.
+ * @param {object} schema
+ *   The `props` schema from the component's `*.component.yml`.
+ *
+ * @return {object}
+ *   A new props object.
+ */
+export const applyDefaults = (props, schema) => {
+  const defaults = Object.fromEntries(
+    Object.entries(schema?.properties ?? {})
+      .filter(([, definition]) => definition.default !== undefined)
+      .map(([name, definition]) => [name, definition.default]),
+  );
+  return { ...defaults, ...props };
+};
+
+/**
+ * Reports problems with the props payload, in development builds only.
+ */
+const report = (message, ...details) => {
+  if (import.meta.env.DEV) {
+    console.error(message, ...details);
+  }
+};
+
+/**
+ * Reads the props of a mount point.
+ *
+ * The payload is written by the `sdc_props()` Twig function, which already
+ * coerces every prop to its schema type. Missing props get their schema
+ * default. In development builds (the Vite dev server) invalid payloads are
+ * reported to the console.
+ *
+ * @param {HTMLElement} element
+ *   The mount point.
+ * @param {object} component
+ *   The component definition imported from its `*.component.yml`.
+ *
+ * @return {object}
+ *   The typed props. An invalid payload yields the schema defaults.
+ */
+export const readProps = (element, component) => {
+  let props = {};
+  const json = element.getAttribute(PROPS_ATTRIBUTE);
+  if (json) {
+    try {
+      props = JSON.parse(json);
+    } catch (e) {
+      report(`${component.id}: could not parse ${PROPS_ATTRIBUTE}.`, e);
+    }
+  }
+
+  if (props === null || typeof props !== 'object' || Array.isArray(props)) {
+    report(`${component.id}: ${PROPS_ATTRIBUTE} must hold a JSON object.`, element);
+    props = {};
+  }
+
+  props = applyDefaults(props, component.props);
+
+  const errors = validateProps(props, component.props);
+  if (errors.length) {
+    report(`${component.id}: invalid props.\n${errors.join('\n')}`, element);
+  }
+
+  return props;
+};
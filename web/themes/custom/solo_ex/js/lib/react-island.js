@@ -0,0 +1,97 @@
+/**
+ * @file
+ * Mounts React components ("islands") into SDC mount points.
+ *
+ * Each island is attached through Drupal behaviors, so it also mounts on
+ * markup inserted by AJAX or BigPipe, and its root is unmounted again when
+ * Drupal.detachBehaviors() runs on the surrounding context. Mount points
+ * holding server-rendered markup (see the `sdc_ssr()` Twig function) are
+ * hydrated instead of rendered from scratch.
+ */
+
+import { createElement } from 'react';
+import { createRoot, hydrateRoot } from 'react-dom/client';
+import { readProps } from './props.js';
+
+/**
+ * React roots keyed by their mount point.
+ */
+const roots = new WeakMap();
+
+/**
+ * Registered islands keyed by component ID, read by the server renderer.
+ */
+export const islands = new Map();
+
+/**
+ * Mounts an island, hydrating server-rendered markup when there is some.
+ *
+ * @param {HTMLElement} element
+ *   The mount point.
+ * @param {object} island
+ *   The registered island.
+ *
+ * @return {import('react-dom/client').Root}
+ *   The React root.
+ */
+const mount = (element, { component, render }) => {
+  const app = createElement(render, readProps(element, component));
+  if (element.innerHTML.trim() !== '') {
+    return hydrateRoot(element, app);
+  }
+  // Whitespace left by the template would be rendered next to the app.
+  element.textContent = '';
+  const root = createRoot(element);
+  root.render(app);
+  return root;
+};
+
+/**
+ * Registers a React component against a mount attribute.
+ *
+ * The render component must accept the props declared in the component's
+ * schema, which the build type-checks.
+ *
+ * @template P
+ * @param {object} options
+ *   The island options.
+ * @param {import('../../types/sdc').SdcComponent<P>} options.component
+ *   The component definition imported from its `*.component.yml`.
+ * @param {import('react').ComponentType<P>} options.render
+ *   The React component to render. It receives the props parsed from the
+ *   mount point.
+ * @param {string} [options.attribute]
+ *   The data attribute marking mount points. Defaults to
+ *   `data-<component id>-app`.
+ */
+export const registerIsland = ({ component, render, attribute }) => {
+  islands.set(component.id, { component, render });
+  // Server rendering only needs the registry.
+  if (import.meta.env.SSR) {
+    return;
+  }
+
+  const selector = `[${attribute ?? `data-${component.id.replace(/_/g, '-')}-app`}]`;
+  const onceId = `solo-ex-island-${component.id}`;
+
+  Drupal.behaviors[`soloExIsland_${component.id}`] = {
+    attach(context) {
+      once(onceId, selector, context).forEach((element) => {
+        roots.set(element, mount(element, { component, render }));
+      });
+    },
+    detach(context, settings, trigger) {
+      if (trigger !== 'unload') {
+        return;
+      }
+      once.remove(onceId, selector, context).forEach((element) => {
+        roots.get(element)?.unmount();
+        roots.delete(element);
+      });
+    },
+  };
+
+  // Entry points are loaded as deferred modules and may run after the initial
+  // Drupal.attachBehaviors() call, so attach to the document right away.
+  Drupal.behaviors[`soloExIsland_${component.id}`].attach(document);
+};
@@ -0,0 +1,161 @@
+/**
+ * @file
+ * Builds Lit custom elements from SDC component definitions.
+ *
+ * A component opts in by shipping a `<name>.lit.js` entry which extends
+ * SdcElement() and registers itself with defineElement().
+ */
+
+import { LitElement, html } from 'lit';
+
+/**
+ * Lit property types keyed by JSON schema type.
+ */
+const propertyTypes = {
+  string: String,
+  integer: Number,
+  number: Number,
+  boolean: Boolean,
+  array: Array,
+  object: Object,
+};
+
+/**
+ * Converts a prop name (`startCount`, `html_tag`) to an attribute name.
+ */
+export const toAttributeName = (name) =>
+  name
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/_/g, '-')
+    .toLowerCase();
+
+/**
+ * Builds Lit reactive property declarations from a `props` schema.
+ *
+ * Props with PHP class types (such as `attributes`) stay on the server.
+ *
+ * @param {object} schema
+ *   The `props` schema from the component's `*.component.yml`.
+ *
+ * @return {object}
+ *   The value for a LitElement's static `properties`.
+ */
+export const propertiesFromSchema = (schema) =>
+  Object.fromEntries(
+    Object.entries(schema?.properties ?? {})
+      .filter(([, definition]) => propertyTypes[[].concat(definition.type)[0]])
+      .map(([name, definition]) => [
+        name,
+        {
+          type: propertyTypes[[].concat(definition.type)[0]],
+          attribute: toAttributeName(name),
+          reflect: definition.type === 'boolean',
+        },
+      ]),
+  );
+
+/**
+ * Returns a LitElement base class for a component.
+ *
+ * The class declares one reactive property per prop, initialised to the
+ * schema default, and attaches Drupal behaviors to the element itself so they
+ * can enhance its slotted light DOM. Behaviors are not run on the shadow root:
+ * once() only accepts an Element as context, and a ShadowRoot is not one.
+ *
+ * @template P
+ * @param {import('../../types/sdc').SdcComponent<P>} component
+ *   The component definition imported from its `*.component.yml`.
+ *
+ * @return {import('../../types/sdc').SdcElementClass<P>}
+ *   The base class.
+ */
+export const SdcElement = (component) => {
+  const properties = propertiesFromSchema(component.props);
+
+  class Element extends LitElement {
+    static component = component;
+
+    static properties = properties;
+
+    constructor() {
+      super();
+      Object.entries(component.props?.properties ?? {}).forEach(([name, definition]) => {
+        if (name in properties && definition.default !== undefined) {
+          this[name] = definition.default;
+        }
+      });
+    }
+
+    /**
+     * Renders the `<slot>` for an SDC slot.
+     *
+     * Twig passes slot content as light DOM children carrying a matching
+     * `slot` attribute.
+     */
+    renderSlot(name) {
+      return html`<slot name=${name}></slot>`;
+    }
+
+    /**
+     * Renders every slot of the component in definition order.
+     */
+    render() {
+      return Object.keys(component.slots ?? {}).map((name) => this.renderSlot(name));
+    }
+
+    firstUpdated() {
+      Drupal.attachBehaviors(this, window.drupalSettings);
+    }
+
+    connectedCallback() {
+      super.connectedCallback();
+      // Re-attach when an already rendered element is moved in the DOM.
+      if (this.hasUpdated) {
+        Drupal.attachBehaviors(this, window.drupalSettings);
+      }
+    }
+
+    disconnectedCallback() {
+      super.disconnectedCallback();
+      Drupal.detachBehaviors(this, window.drupalSettings, 'unload');
+    }
+  }
+
+  // The props are only known at runtime, the return type declares them.
+  return /** @type {any} */ (Element);
+};
+
+/**
+ * Registers a custom element and makes it discoverable by behaviors.
+ *
+ * Elements inserted by AJAX are upgraded by the browser as soon as they are
+ * connected. Once upgraded and rendered, each element dispatches a bubbling
+ * `solo-ex:element-ready` event and gets the `data-sdc-element` attribute, so
+ * behaviors can select rendered elements with `once()`.
+ *
+ * @param {string} tagName
+ *   The custom element name, e.g. `solo-ex-accordion`.
+ * @param {import('../../types/sdc').SdcElementClass<any>} elementClass
+ *   The element class.
+ */
+export const defineElement = (tagName, elementClass) => {
+  if (!customElements.get(tagName)) {
+    customElements.define(tagName, elementClass);
+  }
+
+  const { id } = elementClass.component;
+  Drupal.behaviors[`soloExElement_${id}`] = {
+    attach(context) {
+      once(`solo-ex-element-${id}`, tagName, context).forEach(async (element) => {
+        await customElements.whenDefined(tagName);
+        await element.updateComplete;
+        element.setAttribute('data-sdc-element', id);
+        element.dispatchEvent(new CustomEvent('solo-ex:element-ready', { bubbles: true }));
+      });
+    },
+  };
+
+  // Entry points are deferred modules which may run after the initial
+  // Drupal.attachBehaviors() call.
+  Drupal.behaviors[`soloExElement_${id}`].attach(document);
+};
@@ -0,0 +1,36 @@
+/**
+ * @file
+ * Server entry rendering React islands to static markup.
+ *
+ * Loaded by `vite/ssr-renderer.js`, either built (`npm run build:ssr`) or
+ * straight from the sources through the Vite dev server.
+ */
+
+import { createElement } from 'react';
+import { renderToString } from 'react-dom/server';
+import { islands } from '../lib/react-island.js';
+import { applyDefaults } from '../lib/props.js';
+
+// Island entries register themselves, see registerIsland().
+import.meta.glob('../../components/*/index.jsx', { eager: true });
+
+/**
+ * Renders an island to HTML.
+ *
+ * @param {string} id
+ *   The component ID (the machine name of the SDC component).
+ * @param {object} props
+ *   The props, as serialized by `sdc_props()`.
+ *
+ * @return {string}
+ *   The markup to embed in the mount point.
+ */
+export const render = (id, props) => {
+  const island = islands.get(id);
+  if (!island) {
+    throw new Error(`${id} is not a registered island.`);
+  }
+  return renderToString(
+    createElement(island.render, applyDefaults(props, island.component.props)),
+  );
+};
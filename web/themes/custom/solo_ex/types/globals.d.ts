@@ -0,0 +1,12 @@
+/**
+ * @file
+ * Globals provided by Drupal core libraries.
+ */
+
+declare const Drupal: any;
+declare const drupalSettings: any;
+declare const once: any;
+
+interface Window {
+  drupalSettings: any;
+}
@@ -0,0 +1,53 @@
+/**
+ * @file
+ * Types of SDC component definitions imported from `*.component.yml`.
+ *
+ * The definitions are produced by `vite/component-schema.js`; the prop
+ * interfaces of each component are generated next to it by
+ * `vite/component-types.js`.
+ */
+
+import type { LitElement } from 'lit';
+
+/**
+ * A JSON schema, as written in `*.component.yml`.
+ */
+export interface JsonSchema {
+  type?: string | string[];
+  title?: string;
+  description?: string;
+  enum?: unknown[];
+  default?: unknown;
+  items?: JsonSchema;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  [keyword: string]: unknown;
+}
+
+/**
+ * A component definition.
+ *
+ * @template P
+ *   The props of the component, as received by its JS entry.
+ */
+export interface SdcComponent<P = Record<string, unknown>> {
+  id: string;
+  name: string;
+  props: JsonSchema;
+  slots: Record<string, { title?: string; description?: string }>;
+  /**
+   * Never set, carries the props type.
+   */
+  readonly __props?: P;
+}
+
+/**
+ * The base class returned by SdcElement(), with one property per prop.
+ */
+export type SdcElementClass<P> = Omit<typeof LitElement, 'prototype'> & {
+  new (): LitElement &
+    P & {
+      renderSlot(name: string): unknown;
+    };
+  component: SdcComponent<P>;
+};
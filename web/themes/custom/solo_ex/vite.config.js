@@ -2,26 +2,53 @@ import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import { glob } from 'glob';
 import path from 'path';
+import componentSchema from './vite/component-schema.js';
+import componentTypes from './vite/component-types.js';
+import sdcHotReload from './vite/sdc-hot-reload.js';
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), componentSchema(), componentTypes(), sdcHotReload()],
   build: {
     manifest: true,
     outDir: 'dist',
     emptyOutDir: true,
 
     rollupOptions: {
+      // Entries are `index.jsx` or `<component>.js` / `<component>.lit.js`,
+      // other modules in a component directory are imported by those.
       input: Object.fromEntries(
-        glob.sync('components/*/*.{js,jsx}').map(file => {
-          const name = path.basename(path.dirname(file));
-          return [name, file];
-        })
+        glob.sync('components/*/*.{js,jsx}')
+          .filter(file => {
+            const name = path.basename(path.dirname(file));
+            const basename = path.basename(file);
+            return /^index\.jsx?$/.test(basename) || basename.startsWith(`${name}.`);
+          })
+          .map(file => {
+            const name = path.basename(path.dirname(file));
+            return [name, file];
+          })
       ),
 
       output: {
         // dist/component/component.js
         entryFileNames: '[name]/[name]-[hash].js',
 
+        // dist/chunks/vendor-react.js, shared by all entries importing it.
+        chunkFileNames: 'chunks/[name]-[hash].js',
+
+        // Frameworks get a chunk of their own, so a page with several islands
+        // loads them once. The vite module attaches the chunks imported by an
+        // entry as library dependencies.
+        manualChunks: id => {
+          if (/node_modules\/(react|react-dom|scheduler)\//.test(id)) {
+            return 'vendor-react';
+          }
+          if (/node_modules\/(lit|lit-html|lit-element|@lit\/reactive-element)\//.test(id)) {
+            return 'vendor-lit';
+          }
+          return undefined;
+        },
+
         // dist/component/component.css
         assetFileNames: asset => {
           if (asset.name?.endsWith('.css')) {
@@ -0,0 +1,33 @@
+import path from 'path';
+import { parse } from 'yaml';
+
+/**
+ * Lets JS entries import their SDC definition.
+ *
+ * `import definition from './card.component.yml'` resolves to the parsed
+ * metadata, with the component id derived from the directory name.
+ */
+export default function componentSchema() {
+  return {
+    name: 'solo-ex:component-schema',
+
+    transform(code, id) {
+      if (!id.endsWith('.component.yml')) {
+        return null;
+      }
+
+      const definition = parse(code) ?? {};
+      const component = {
+        id: path.basename(id, '.component.yml'),
+        name: definition.name ?? null,
+        props: definition.props ?? { type: 'object', properties: {} },
+        slots: definition.slots ?? {},
+      };
+
+      return {
+        code: `export default ${JSON.stringify(component)};`,
+        map: null,
+      };
+    },
+  };
+}
@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { glob } from 'glob';
+import ts from 'typescript';
+import { parse } from 'yaml';
+
+/**
+ * TypeScript types keyed by JSON schema type.
+ */
+const scalarTypes = {
+  string: 'string',
+  integer: 'number',
+  number: 'number',
+  boolean: 'boolean',
+};
+
+/**
+ * Returns the TypeScript type of a prop schema.
+ *
+ * Returns null for PHP class types (such as `attributes`), which never reach
+ * JS entries.
+ */
+const toTsType = (schema) => {
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+  }
+  const type = [].concat(schema.type ?? 'string')[0];
+  if (scalarTypes[type]) {
+    return scalarTypes[type];
+  }
+  if (type === 'array') {
+    return `Array<${(schema.items && toTsType(schema.items)) ?? 'unknown'}>`;
+  }
+  if (type === 'object') {
+    return schema.properties
+      ? `{ ${toTsMembers(schema).join(' ')} }`
+      : 'Record<string, unknown>';
+  }
+  return null;
+};
+
+/**
+ * Returns the interface members of an object schema.
+ *
+ * Props with a default are always set: readProps() fills them in.
+ */
+const toTsMembers = (schema) => {
+  const required = schema.required ?? [];
+  return Object.entries(schema.properties ?? {}).flatMap(([name, prop]) => {
+    const type = toTsType(prop);
+    if (type === null) {
+      return [];
+    }
+    const optional = !required.includes(name) && prop.default === undefined;
+    return [`${JSON.stringify(name)}${optional ? '?' : ''}: ${type};`];
+  });
+};
+
+/**
+ * Converts a component machine name (`react_counter`) to a type name.
+ */
+const toTypeName = (id) =>
+  id.replace(/(^|[-_])([a-z0-9])/g, (match, separator, letter) => letter.toUpperCase());
+
+/**
+ * Returns the declaration file contents for a component definition.
+ */
+export const componentDeclaration = (file, definition) => {
+  const id = path.basename(file, '.component.yml');
+  const typeName = `${toTypeName(id)}Props`;
+  const types = path.relative(path.dirname(file), 'types/sdc').split(path.sep).join('/');
+  const members = toTsMembers(definition.props ?? {}).map((member) => `  ${member}`);
+
+  return [
+    `// Generated from ${path.basename(file)} by vite/component-types.js, do not edit.`,
+    `import type { SdcComponent } from '${types}';`,
+    '',
+    '/**',
+    ` * Props of the ${definition.name ?? id} component.`,
+    ' */',
+    members.length
+      ? `export interface ${typeName} {\n${members.join('\n')}\n}`
+      : `export interface ${typeName} {}`,
+    '',
+    `declare const component: SdcComponent<${typeName}>;`,
+    'export default component;',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Writes a `<name>.component.d.yml.ts` declaration next to every component.
+ *
+ * TypeScript resolves `import component from './<name>.component.yml'` to
+ * that file (see `allowArbitraryExtensions` in tsconfig.json). Unchanged
+ * declarations are left alone.
+ *
+ * @param {string} root
+ *   The theme directory.
+ */
+export const generateComponentTypes = (root) => {
+  glob.sync('components/*/*.component.yml', { cwd: root }).forEach((file) => {
+    const declaration = componentDeclaration(
+      file,
+      parse(fs.readFileSync(path.join(root, file), 'utf8')) ?? {},
+    );
+    const target = path.join(root, file.replace(/\.yml$/, '.d.yml.ts'));
+    if (!fs.existsSync(target) || fs.readFileSync(target, 'utf8') !== declaration) {
+      fs.writeFileSync(target, declaration);
+    }
+  });
+};
+
+/**
+ * Type-checks the project described by tsconfig.json.
+ *
+ * @param {string} root
+ *   The theme directory.
+ *
+ * @return {string|null}
+ *   The formatted errors, or null if there are none.
+ */
+export const typeCheck = (root) => {
+  const configFile = path.join(root, 'tsconfig.json');
+  const { config } = ts.readConfigFile(configFile, ts.sys.readFile);
+  const { fileNames, options } = ts.parseJsonConfigFileContent(config, ts.sys, root);
+  const diagnostics = ts.getPreEmitDiagnostics(ts.createProgram(fileNames, options));
+  if (!diagnostics.length) {
+    return null;
+  }
+  return ts.formatDiagnostics(diagnostics, {
+    getCanonicalFileName: (fileName) => fileName,
+    getCurrentDirectory: () => root,
+    getNewLine: () => '\n',
+  });
+};
+
+/**
+ * Generates prop types from component schemas and type-checks JS entries.
+ *
+ * During `vite build` a type error, such as an entry reading a prop its
+ * `*.component.yml` doesn't declare, fails the build. The dev server only
+ * keeps the declarations up to date, for editors.
+ */
+export default function componentTypes() {
+  let root;
+
+  return {
+    name: 'solo-ex:component-types',
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    buildStart() {
+      generateComponentTypes(root);
+      if (this.meta.watchMode) {
+        return;
+      }
+      const errors = typeCheck(root);
+      if (errors) {
+        this.error(`Type errors in components:\n${errors}`);
+      }
+    },
+
+    handleHotUpdate({ file }) {
+      if (file.endsWith('.component.yml')) {
+        generateComponentTypes(root);
+      }
+    },
+  };
+}
+
+// `node vite/component-types.js` generates the declarations `tsc` needs, see
+// the `typecheck` script.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  generateComponentTypes(path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..'));
+}
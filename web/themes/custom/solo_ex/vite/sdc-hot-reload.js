@@ -0,0 +1,35 @@
+import path from 'path';
+
+/**
+ * Pushes SDC template and definition changes to the browser.
+ *
+ * Instead of a full page reload, the dev client in `js/dev/sdc-hot-reload.js`
+ * receives a `solo-ex:component-update` event over the HMR websocket and
+ * re-renders only the markup of the changed component.
+ */
+export default function sdcHotReload() {
+  return {
+    name: 'solo-ex:sdc-hot-reload',
+    apply: 'serve',
+
+    handleHotUpdate({ file, server }) {
+      if (!/\/components\/[^/]+\/[^/]+\.(twig|component\.yml)$/.test(file)) {
+        return undefined;
+      }
+
+      server.ws.send({
+        type: 'custom',
+        event: 'solo-ex:component-update',
+        data: {
+          component: path.basename(path.dirname(file)),
+          file: path.relative(server.config.root, file),
+          definition: file.endsWith('.component.yml'),
+        },
+      });
+
+      // Entries importing the definition are not re-executed, the dev client
+      // takes care of the update.
+      return [];
+    },
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * @file
+ * Local renderer process server-rendering React islands for Drupal.
+ *
+ * - `node vite/ssr-renderer.js build` builds the server entry to dist/ssr.
+ * - `node vite/ssr-renderer.js serve` serves the built entry.
+ * - `node vite/ssr-renderer.js dev` serves the entry straight from the
+ *   sources through Vite, picking up changes without a rebuild.
+ *
+ * `POST /render` with `{"component": "<id>", "props": {...}}` responds with
+ * `{"html": "..."}`. The sdc_props module calls it from the `sdc_ssr()` Twig
+ * function. The port defaults to 5174 and can be changed with `SSR_PORT`.
+ */
+
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { build, createServer } from 'vite';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const entry = 'js/ssr/entry-server.jsx';
+const outDir = 'dist/ssr';
+const port = Number(process.env.SSR_PORT ?? 5174);
+const command = process.argv[2] ?? 'serve';
+
+/**
+ * Returns a function loading the server entry module.
+ */
+const createLoader = async () => {
+  if (command !== 'dev') {
+    const file = pathToFileURL(path.join(root, outDir, 'entry-server.js'));
+    const module = await import(file.href);
+    return () => module;
+  }
+
+  const vite = await createServer({
+    root,
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+  });
+  return async () => {
+    try {
+      return await vite.ssrLoadModule(`/${entry}`);
+    } catch (e) {
+      vite.ssrFixStacktrace(e);
+      throw e;
+    }
+  };
+};
+
+const send = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+};
+
+if (command === 'build') {
+  await build({
+    root,
+    build: {
+      ssr: entry,
+      outDir,
+      emptyOutDir: true,
+      manifest: false,
+      rollupOptions: {
+        output: { entryFileNames: '[name].js' },
+      },
+    },
+  });
+} else if (command === 'serve' || command === 'dev') {
+  const load = await createLoader();
+
+  http
+    .createServer(async (request, response) => {
+      if (request.method !== 'POST' || request.url !== '/render') {
+        send(response, 404, { error: 'Not found.' });
+        return;
+      }
+
+      let body = '';
+      for await (const chunk of request) {
+        body += chunk;
+      }
+
+      try {
+        const { component, props } = JSON.parse(body);
+        const { render } = await load();
+        send(response, 200, { html: render(component, props ?? {}) });
+      } catch (e) {
+        console.error(e);
+        send(response, 500, { error: e.message });
+      }
+    })
+    .listen(port, 'localhost', () => {
+      console.log(`Rendering React islands on http://localhost:${port}/render`);
+    });
+} else {
+  console.error(`Unknown command "${command}", use build, serve or dev.`);
+  process.exitCode = 1;
+}